@@ -3,6 +3,68 @@ require('dotenv').config();
 // Determine the environment
 const ENVIRONMENT = process.env.NODE_ENV || 'development';
 
+/**
+ * Parse per-language-pair translation provider routes
+ * Format: comma-separated "source>target=provider" entries, where either side may be "*",
+ * e.g. "es>en=libretranslate,*>ur=google"
+ * @param {string} value - Raw TRANSLATION_PROVIDER_ROUTES value
+ * @returns {Array<Object>} - Routes as { source, target, provider }
+ */
+function parseTranslationRoutes(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^([a-z*-]+)\s*>\s*([a-z*-]+)\s*=\s*([a-z0-9_-]+)$/i);
+      if (!match) {
+        console.error(`Invalid translation provider route: ${entry}`);
+        process.exit(1);
+      }
+
+      return {
+        source: match[1].toLowerCase(),
+        target: match[2].toLowerCase(),
+        provider: match[3].toLowerCase()
+      };
+    });
+}
+
+/**
+ * Pick the text-to-speech provider when TTS_PROVIDER is not set
+ * Setups where speech-to-text and translation are offline have no Google Cloud credentials,
+ * so spoken replies are turned off there instead of failing on every reply. The tone
+ * provider makes WAV files, which WhatsApp does not accept, so it is never picked by default.
+ * @returns {string} - 'google' or 'none'
+ */
+function defaultTextToSpeechProvider() {
+  const providers = [
+    process.env.STT_PROVIDER || 'google',
+    process.env.TRANSLATION_PROVIDER || 'google',
+    ...parseTranslationRoutes(process.env.TRANSLATION_PROVIDER_ROUTES).map(route => route.provider)
+  ];
+
+  return providers.includes('google') ? 'google' : 'none';
+}
+
+/**
+ * Check whether any configured provider needs Google Cloud credentials
+ * @returns {boolean} - True if a Google provider is selected
+ */
+function usesGoogleServices() {
+  const providers = [
+    process.env.STT_PROVIDER || 'google',
+    process.env.TTS_PROVIDER || defaultTextToSpeechProvider(),
+    process.env.TRANSLATION_PROVIDER || 'google',
+    ...parseTranslationRoutes(process.env.TRANSLATION_PROVIDER_ROUTES).map(route => route.provider)
+  ];
+
+  return providers.includes('google');
+}
+
 /**
  * Validate that required environment variables are present
  */
@@ -11,9 +73,15 @@ function validateConfig() {
     'WHATSAPP_API_TOKEN',
     'WHATSAPP_PHONE_NUMBER_ID',
     'WHATSAPP_VERIFY_TOKEN',
-    'GOOGLE_CLOUD_PROJECT_ID'
+    'WHATSAPP_APP_SECRET'
   ];
   
+  // Google settings are only needed when a Google provider is selected
+  const googleRequired = usesGoogleServices();
+  if (googleRequired) {
+    requiredVars.push('GOOGLE_CLOUD_PROJECT_ID');
+  }
+  
   const missingVars = requiredVars.filter(varName => !process.env[varName]);
   
   if (missingVars.length > 0) {
@@ -22,7 +90,7 @@ function validateConfig() {
   }
   
   // Also validate that either GOOGLE_CREDENTIALS or GOOGLE_APPLICATION_CREDENTIALS is provided
-  if (!process.env.GOOGLE_CREDENTIALS && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+  if (googleRequired && !process.env.GOOGLE_CREDENTIALS && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
     console.error('Either GOOGLE_CREDENTIALS or GOOGLE_APPLICATION_CREDENTIALS environment variable must be provided for Google services');
     process.exit(1);
   }
@@ -40,8 +108,19 @@ const config = {
     apiToken: process.env.WHATSAPP_API_TOKEN,
     phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
     verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+    appSecret: process.env.WHATSAPP_APP_SECRET, // Used to verify X-Hub-Signature-256 on incoming webhooks
     apiVersion: process.env.WHATSAPP_API_VERSION || 'v18.0', // Configurable API version
     apiUrl: `https://graph.facebook.com/${process.env.WHATSAPP_API_VERSION || 'v18.0'}`, // Dynamic API URL
+    maxMessageLength: parseInt(process.env.WHATSAPP_MAX_MESSAGE_LENGTH) || 4096, // Longer replies are split into numbered parts
+    timeout: parseInt(process.env.WHATSAPP_TIMEOUT_MS) || 30000, // Per Graph API request
+    // Retries of rate-limited and transient Graph API errors
+    retry: {
+      maxRetries: process.env.WHATSAPP_MAX_RETRIES !== undefined ? parseInt(process.env.WHATSAPP_MAX_RETRIES) : 3,
+      baseDelayMs: parseInt(process.env.WHATSAPP_RETRY_BASE_DELAY_MS) || 500, // Doubled on every retry
+      maxDelayMs: parseInt(process.env.WHATSAPP_RETRY_MAX_DELAY_MS) || 10000,
+      maxRetryAfterMs: parseInt(process.env.WHATSAPP_MAX_RETRY_AFTER_MS) || 60000, // Longer Retry-After waits are not retried
+    },
+    ackMode: process.env.WHATSAPP_ACK_MODE || 'text', // 'text' ("Processing..." message) or 'reaction' (read receipt and ⏳/✅/❌ reactions)
   },
   
   // Google Cloud Configuration
@@ -57,6 +136,27 @@ const config = {
     credentialsPath: process.env.GOOGLE_APPLICATION_CREDENTIALS,
     projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
   },
+
+  // Circuit breakers around Google Speech-to-Text and Translation, with optional per-service overrides
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5, // Consecutive failures that open a circuit
+    resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS) || 30000, // Time open before one probe call is let through
+    services: {
+      google_stt: {
+        failureThreshold: parseInt(process.env.GOOGLE_STT_CIRCUIT_FAILURE_THRESHOLD) || null,
+        resetTimeoutMs: parseInt(process.env.GOOGLE_STT_CIRCUIT_RESET_TIMEOUT_MS) || null,
+      },
+      google_translation: {
+        failureThreshold: parseInt(process.env.GOOGLE_TRANSLATION_CIRCUIT_FAILURE_THRESHOLD) || null,
+        resetTimeoutMs: parseInt(process.env.GOOGLE_TRANSLATION_CIRCUIT_RESET_TIMEOUT_MS) || null,
+      },
+    },
+  },
+
+  // Admin API, disabled unless a token is set
+  admin: {
+    apiToken: process.env.ADMIN_API_TOKEN || null, // Expected as "Authorization: Bearer <token>"
+  },
   
   // Server Configuration
   server: {
@@ -64,6 +164,7 @@ const config = {
   },
   
   // Supported languages for translation
+  // These are the default target languages for users without their own preferences
   supportedLanguages: {
     english: 'en',
     arabic: 'ar',
@@ -71,6 +172,93 @@ const config = {
     spanish: 'es'
   },
   
+  // Languages users may choose as their own target languages
+  availableLanguages: {
+    english: 'en',
+    arabic: 'ar',
+    hindi: 'hi',
+    spanish: 'es',
+    french: 'fr',
+    german: 'de',
+    portuguese: 'pt',
+    urdu: 'ur',
+    chinese: 'zh',
+    russian: 'ru'
+  },
+  
+  // Speech recognition
+  speechToText: {
+    provider: process.env.STT_PROVIDER || 'google', // 'google' or 'fixture' (offline canned transcripts)
+    fixturesPath: process.env.STT_FIXTURES_PATH || null, // JSON file mapping audio SHA-256 hashes to transcripts
+    syncLimitSeconds: parseInt(process.env.STT_SYNC_LIMIT_SECONDS) || 55, // Longer audio uses long-running recognition
+    longRunningTimeoutRatio: parseFloat(process.env.STT_LONG_RUNNING_TIMEOUT_RATIO) || 1, // Seconds allowed for long-running recognition per second of audio
+    inlineLimitBytes: parseInt(process.env.STT_INLINE_LIMIT_BYTES) || 10 * 1024 * 1024, // Google's limit on audio sent inside the request
+    gcsBucket: process.env.STT_GCS_BUCKET || null, // Cloud Storage bucket for audio over the inline limit
+  },
+  
+  // Text translation
+  translation: {
+    provider: process.env.TRANSLATION_PROVIDER || 'google', // 'google', 'libretranslate' or 'dictionary'
+    routes: parseTranslationRoutes(process.env.TRANSLATION_PROVIDER_ROUTES), // Per-language-pair overrides
+    libreTranslate: {
+      url: process.env.LIBRETRANSLATE_URL || 'http://localhost:5000',
+      apiKey: process.env.LIBRETRANSLATE_API_KEY || null,
+      timeout: parseInt(process.env.LIBRETRANSLATE_TIMEOUT_MS) || 10000,
+    },
+    dictionaryPath: process.env.TRANSLATION_DICTIONARY_PATH || null, // JSON dictionary for the offline provider
+    // Working out the source language, so it can be left out of the target languages
+    sourceDetection: {
+      minSpeechConfidence: parseFloat(process.env.SOURCE_LANGUAGE_MIN_STT_CONFIDENCE) || 0.6, // Below this the STT language is checked against the text
+      minTextConfidence: parseFloat(process.env.SOURCE_LANGUAGE_MIN_DETECTION_CONFIDENCE) || 0.5, // Below this the source language is treated as unknown
+    },
+    // Reuse of earlier translations
+    cache: {
+      enabled: process.env.TRANSLATION_CACHE_ENABLED !== 'false',
+      maxEntries: parseInt(process.env.TRANSLATION_CACHE_MAX_ENTRIES) || 5000, // In-memory LRU size
+      ttlMs: parseInt(process.env.TRANSLATION_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+      filePath: process.env.TRANSLATION_CACHE_FILE_PATH || null, // Enables the persistent tier
+      maxFileEntries: parseInt(process.env.TRANSLATION_CACHE_MAX_FILE_ENTRIES) || 50000,
+    },
+  },
+  
+  // Spoken replies
+  textToSpeech: {
+    provider: process.env.TTS_PROVIDER || defaultTextToSpeechProvider(), // 'google', 'tone' (offline stand-in for tests) or 'none' (spoken replies off)
+    defaultOutputMode: process.env.TTS_DEFAULT_OUTPUT_MODE || 'text', // 'text', 'audio' or 'both'
+    // Default voice locale for each language code
+    voiceLocales: {
+      en: 'en-US',
+      ar: 'ar-XA',
+      hi: 'hi-IN',
+      es: 'es-ES',
+      fr: 'fr-FR',
+      de: 'de-DE',
+      pt: 'pt-BR',
+      ur: 'ur-IN',
+      zh: 'cmn-CN',
+      ru: 'ru-RU'
+    }
+  },
+  
+  // "Translate to…" list offered after each voice note
+  languagePicker: {
+    enabled: process.env.LANGUAGE_PICKER_ENABLED === 'true', // Off unless asked for, since it adds a message after every voice note
+    transcriptTtlMs: parseInt(process.env.TRANSCRIPT_TTL_MS) || 24 * 60 * 60 * 1000, // How long a note can still be translated
+    maxTranscripts: parseInt(process.env.TRANSCRIPT_MAX_ENTRIES) || 10000,
+  },
+  
+  // Delivery statuses of messages sent by the bot
+  deliveryTracking: {
+    ttlMs: parseInt(process.env.DELIVERY_TRACKING_TTL_MS) || 3 * 24 * 60 * 60 * 1000, // 3 days
+    maxEntries: parseInt(process.env.DELIVERY_TRACKING_MAX_ENTRIES) || 50000,
+  },
+  
+  // Per-user preferences such as target languages
+  userPreferences: {
+    store: process.env.USER_PREFERENCES_STORE || 'json', // 'json' or 'memory'
+    filePath: process.env.USER_PREFERENCES_FILE_PATH || './data/user-preferences.json',
+  },
+  
   // Language codes for automatic language detection
   // Format: ISO 639-1 language code with ISO 3166-1 country code
   autoLanguageDetection: {
@@ -87,6 +275,26 @@ const config = {
     supportedFormats: ['audio/ogg', 'audio/ogg; codecs=opus', 'audio/wav', 'audio/mp4', 'audio/mpeg'],
     tempDir: './temp',
     maxFileSize: 16000000, // 16MB in bytes, WhatsApp's limit
+    // Voice activity detection before speech recognition
+    // Off by default: notes that are not already WAV take an extra ffmpeg decode each
+    vad: {
+      enabled: process.env.VAD_ENABLED === 'true',
+      minSpeechRatio: parseFloat(process.env.VAD_MIN_SPEECH_RATIO) || 0.1, // Notes with less speech are rejected
+      thresholdDb: parseFloat(process.env.VAD_THRESHOLD_DB) || -45, // Quietest level counted as speech, in dBFS
+      noiseMarginDb: 10, // Speech must also be this far above the background noise
+      frameMs: 30,
+      hangoverMs: 150,
+      trimSilence: process.env.VAD_TRIM_SILENCE === 'true', // Cut leading and trailing silence before transcription
+      paddingMs: 250, // Silence kept around speech when trimming
+    },
+    // Normalisation with a local ffmpeg binary
+    transcoding: {
+      mode: process.env.AUDIO_TRANSCODE || 'auto', // 'auto' (formats not taken as-is), 'always' or 'off'
+      ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+      format: process.env.AUDIO_TRANSCODE_FORMAT || 'flac', // 'flac' or 'linear16'
+      sampleRate: parseInt(process.env.AUDIO_TRANSCODE_SAMPLE_RATE) || 16000,
+      timeout: parseInt(process.env.AUDIO_TRANSCODE_TIMEOUT_MS) || 20000,
+    },
   },
   
   // Processing settings (environment-specific adjustments)
@@ -97,6 +305,14 @@ const config = {
     jobTimeout: ENVIRONMENT === 'production' ? 
       parseInt(process.env.PROD_JOB_TIMEOUT) || 60000 : // 60 seconds for prod
       parseInt(process.env.DEV_JOB_TIMEOUT) || 30000,   // 30 seconds for dev
+    maxQueueDepth: parseInt(process.env.MAX_QUEUE_DEPTH) || 100, // Messages waiting beyond this are turned away with a "busy" reply
+  },
+  
+  // Deduplication of redelivered WhatsApp messages
+  idempotency: {
+    store: process.env.IDEMPOTENCY_STORE || 'memory', // 'memory' or 'file'
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    filePath: process.env.IDEMPOTENCY_FILE_PATH || './data/processed-messages.json',
   },
   
   // Rate limiting settings (environment-specific)
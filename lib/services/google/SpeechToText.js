@@ -1,9 +1,14 @@
 const speech = require('@google-cloud/speech');
+const { Storage } = require('@google-cloud/storage');
+const crypto = require('crypto');
 const fs = require('fs');
-const path = require('path');
 const config = require('../../../lib/config');
+const AudioInspector = require('../../../utils/audioInspector');
+const { getCircuitBreaker } = require('../../../utils/circuitBreaker');
 const ErrorHandler = require('../../../utils/errorHandler');
+const { AppError, AudioTooLargeError, UnsupportedFormatError } = ErrorHandler;
 const monitoringService = require('../../../utils/monitoring');
+const SpeechToTextProvider = require('../providers/SpeechToTextProvider');
 const { createLogger, format, transports } = require('winston');
 
 // Create logger for this module
@@ -25,8 +30,26 @@ const logger = createLogger({
   ]
 });
 
-class GoogleSpeechToText {
+// Metrics recorded by this module
+monitoringService.registerTimer('google_stt_api_call', ['mimeType', 'success']);
+monitoringService.registerTimer('google_stt_long_running', ['mimeType', 'success']);
+monitoringService.registerTimer('transcribe_audio_file', ['success']);
+monitoringService.registerMetric('google_stt_api_success', { type: 'counter', labels: ['mimeType'] });
+monitoringService.registerMetric('google_stt_gcs_upload', { type: 'counter', labels: ['mimeType'] });
+monitoringService.registerMetric('google_stt_recognition_mode', { type: 'counter', labels: ['mode', 'mimeType'] });
+monitoringService.registerMetric('audio_format_unrecognized', { type: 'counter', labels: ['mimeType'] });
+monitoringService.registerMetric('audio_format_detected', { type: 'counter', labels: ['container', 'codec', 'declaredMimeType'] });
+
+// Sample rates accepted for Opus audio
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+class GoogleSpeechToText extends SpeechToTextProvider {
   constructor() {
+    super('google');
+
+    // Stop calling Google during an outage instead of waiting for every request to time out
+    this.breaker = getCircuitBreaker('google_stt', { description: 'speech recognition' });
+
     // Initialize the Google Cloud Speech client
     try {
       // Check if credentials are provided as environment variable
@@ -60,46 +83,30 @@ class GoogleSpeechToText {
    * Convert audio buffer to text using Google Cloud Speech-to-Text API
    * @param {Buffer} audioBuffer - Audio data as a buffer
    * @param {string} audioMimeType - MIME type of the audio (e.g. 'audio/ogg', 'audio/mp3')
-   * @returns {Promise<string>} - Transcribed text
+   * @returns {Promise<Object>} - Object with text, language, confidence and segments
    */
   async transcribeAudio(audioBuffer, audioMimeType = 'audio/ogg') {
-    monitoringService.startTimer('google_stt_api_call', { mimeType: audioMimeType });
+    const timer = monitoringService.startTimer('google_stt_api_call');
+    let uploadedFile = null;
     
     try {
-      // Prepare the audio content for the API request
-      const audio = {
-        content: audioBuffer.toString('base64'),
-      };
+      // Prepare the recognition configuration from the audio itself rather than the declared MIME type
+      const audioInfo = AudioInspector.inspect(audioBuffer);
+      const { encoding, sampleRate, channels } = GoogleSpeechToText.recognitionSettings(audioInfo, audioMimeType);
 
-      // Prepare the recognition configuration based on the audio format
-      let encoding;
-      let sampleRate;
-      switch (audioMimeType) {
-        case 'audio/ogg':
-        case 'audio/ogg; codecs=opus':
-          encoding = 'OGG_OPUS';
-          // For OGG_OPUS from WhatsApp, use a standard sample rate that's supported
-          sampleRate = 16000; // WhatsApp typically uses 16kHz for voice notes
-          break;
-        case 'audio/wav':
-          encoding = 'LINEAR16';
-          sampleRate = 16000; // Standard rate for voice processing
-          break;
-        case 'audio/mp4':
-        case 'audio/mpeg':
-          encoding = 'MP3';
-          sampleRate = 16000; // Standard rate for voice processing
-          break;
-        default:
-          encoding = 'OGG_OPUS'; // Default encoding for WhatsApp voice notes
-          sampleRate = 16000; // Standard rate for voice processing
-          logger.warn('Unknown audio MIME type, using default OGG_OPUS encoding', { audioMimeType });
+      // Prepare the audio for the API request; audio over the inline limit is read from Cloud Storage
+      let audio;
+      if (audioBuffer.length > config.speechToText.inlineLimitBytes) {
+        uploadedFile = await this.uploadAudio(audioBuffer, audioInfo, audioMimeType);
+        audio = { uri: `gs://${uploadedFile.bucket.name}/${uploadedFile.name}` };
+      } else {
+        audio = { content: audioBuffer.toString('base64') };
       }
 
       // Create a fresh config object to avoid any potential inheritance issues
       const configObj = Object.assign({}, {
         encoding: encoding,
-        sampleRateHertz: sampleRate, // Specify sample rate for all encodings to prevent errors
+        sampleRateHertz: sampleRate, // Rate read from the audio headers
         // Use automatic language identification by providing a list of possible languages
         // from the configuration
         languageCode: config.autoLanguageDetection.primaryLanguage,
@@ -108,46 +115,76 @@ class GoogleSpeechToText {
         enableAutomaticLanguageDetection: true, // Enable automatic language detection
       });
 
+      if (channels > 1) {
+        configObj.audioChannelCount = channels;
+      }
+
       const request = {
         audio: audio,
         config: configObj,
       };
 
+      // Synchronous recognition rejects audio over about a minute, so check the length first
+      const durationSeconds = audioInfo ? audioInfo.durationSeconds : null;
+
       // Deep log the request for debugging to catch any inherited properties
       logger.info('Sending request to Google Speech-to-Text API', {
         configKeys: Object.keys(configObj),
         configValues: JSON.stringify(configObj),
         encoding: encoding,
         audioMimeType: audioMimeType,
-        hasAudioContent: !!audio.content
+        durationSeconds,
+        hasAudioContent: !!audio.content,
+        audioUri: audio.uri || null
       });
 
       // Perform the transcription
-      const [response] = await this.client.recognize(request);
+      const response = await this.breaker.execute(() => this.recognize(request, durationSeconds, audioMimeType));
+      
+      // Each result covers a consecutive part of the audio, so keep them as segments
+      const segments = (response.results || [])
+        .filter(result => result.alternatives && result.alternatives.length > 0)
+        .map(result => ({
+          text: result.alternatives[0].transcript,
+          language: result.languageCode || null,
+          confidence: result.alternatives[0].confidence || 0,
+          endTime: result.resultEndTime
+            ? Number(result.resultEndTime.seconds || 0) + (result.resultEndTime.nanos || 0) / 1e9
+            : null
+        }));
       
       // Extract transcription and detected language
-      const transcription = response.results
-        .map(result => result.alternatives[0].transcript)
+      const transcription = segments
+        .map(segment => segment.text)
         .join('\n');
       
       // Extract the detected language from the first result (if available)
-      const detectedLanguage = response.results && response.results[0] && response.results[0].languageCode 
-        ? response.results[0].languageCode 
+      const detectedLanguage = segments.length > 0 && segments[0].language
+        ? segments[0].language
         : config.autoLanguageDetection.primaryLanguage;
+      
+      // Overall confidence, weighted by the length of each segment
+      const totalLength = segments.reduce((sum, segment) => sum + segment.text.length, 0);
+      const confidence = totalLength > 0
+        ? segments.reduce((sum, segment) => sum + segment.confidence * segment.text.length, 0) / totalLength
+        : 0;
 
       logger.info('Audio transcribed successfully', {
         resultCount: response.results ? response.results.length : 0,
         transcription: transcription.substring(0, 100) + (transcription.length > 100 ? '...' : ''), // Log first 100 chars
-        detectedLanguage: detectedLanguage
+        detectedLanguage: detectedLanguage,
+        confidence
       });
 
       // Record successful API call metrics
       monitoringService.recordMetric('google_stt_api_success', 1, { mimeType: audioMimeType });
-      monitoringService.endTimer('google_stt_api_call', { mimeType: audioMimeType, success: true });
+      monitoringService.endTimer(timer, { mimeType: audioMimeType, success: true });
 
       return {
         text: transcription,
-        language: detectedLanguage
+        language: detectedLanguage,
+        confidence,
+        segments
       };
     } catch (error) {
       logger.error('Error during speech-to-text conversion', {
@@ -157,26 +194,242 @@ class GoogleSpeechToText {
       
       // Record error in monitoring
       monitoringService.recordError('google_stt', 'transcribeAudio', error.constructor.name);
-      monitoringService.endTimer('google_stt_api_call', { mimeType: audioMimeType, success: false });
+      monitoringService.endTimer(timer, { mimeType: audioMimeType, success: false });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'GoogleSpeechToText',
         function: 'transcribeAudio',
         audioMimeType
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
+    } finally {
+      if (uploadedFile) {
+        await this.deleteUploadedAudio(uploadedFile);
+      }
+    }
+  }
+
+  /**
+   * Get the Cloud Storage client, created on first use since most audio is sent inline
+   * @returns {Storage} - Cloud Storage client
+   */
+  getStorage() {
+    if (!this.storage) {
+      // A credentials file path was already exported as GOOGLE_APPLICATION_CREDENTIALS by the constructor
+      this.storage = config.google.credentials
+        ? new Storage({ projectId: config.google.projectId, credentials: config.google.credentials })
+        : new Storage({ projectId: config.google.projectId });
+    }
+    return this.storage;
+  }
+
+  /**
+   * Upload audio over the inline limit to the configured Cloud Storage bucket
+   * @param {Buffer} audioBuffer - Audio data as a buffer
+   * @param {Object|null} audioInfo - Result of AudioInspector.inspect(), null if not recognised
+   * @param {string} audioMimeType - Declared MIME type, used when the audio is not recognised
+   * @returns {Promise<Object>} - The uploaded Cloud Storage file
+   */
+  async uploadAudio(audioBuffer, audioInfo, audioMimeType) {
+    const { gcsBucket, inlineLimitBytes } = config.speechToText;
+
+    if (!gcsBucket) {
+      throw new AudioTooLargeError(`Audio of ${audioBuffer.length} bytes is over the ${inlineLimitBytes} byte inline limit and STT_GCS_BUCKET is not set`);
     }
+
+    const extension = audioInfo ? audioInfo.extension : 'audio';
+    const file = this.getStorage().bucket(gcsBucket).file(`speech-to-text/${crypto.randomUUID()}.${extension}`);
+    await file.save(audioBuffer, {
+      contentType: audioInfo ? audioInfo.mimeType : audioMimeType,
+      resumable: false
+    });
+
+    logger.info('Uploaded audio over the inline limit to Cloud Storage', {
+      bucket: gcsBucket,
+      file: file.name,
+      size: audioBuffer.length
+    });
+    monitoringService.recordMetric('google_stt_gcs_upload', 1, { mimeType: audioMimeType });
+
+    return file;
+  }
+
+  /**
+   * Delete audio uploaded for recognition; failures are only logged since the transcript is already known
+   * @param {Object} file - Cloud Storage file returned by uploadAudio()
+   */
+  async deleteUploadedAudio(file) {
+    try {
+      await file.delete({ ignoreNotFound: true });
+    } catch (error) {
+      logger.error('Error deleting uploaded audio from Cloud Storage', {
+        file: file.name,
+        error: error.message
+      });
+      monitoringService.recordError('google_stt', 'deleteUploadedAudio', error.constructor.name);
+    }
+  }
+
+  /**
+   * Work out the recognition encoding, sample rate and channel count for a piece of audio
+   * @param {Object|null} audioInfo - Result of AudioInspector.inspect(), null if not recognised
+   * @param {string} audioMimeType - Declared MIME type, only used when the audio is not recognised
+   * @returns {Object} - Object with encoding, sampleRate and channels
+   */
+  static recognitionSettings(audioInfo, audioMimeType) {
+    if (!audioInfo) {
+      // Fall back to the declared MIME type when the bytes give nothing away
+      logger.warn('Could not identify audio format, using the declared MIME type', { audioMimeType });
+      monitoringService.recordMetric('audio_format_unrecognized', 1, { mimeType: audioMimeType });
+
+      switch (audioMimeType) {
+        case 'audio/wav':
+          return { encoding: 'LINEAR16', sampleRate: 16000, channels: 1 };
+        case 'audio/mpeg':
+          return { encoding: 'MP3', sampleRate: 16000, channels: 1 };
+        default:
+          return { encoding: 'OGG_OPUS', sampleRate: 16000, channels: 1 }; // WhatsApp voice notes
+      }
+    }
+
+    monitoringService.recordMetric('audio_format_detected', 1, {
+      container: audioInfo.container,
+      codec: audioInfo.codec,
+      declaredMimeType: audioMimeType
+    });
+
+    if (audioMimeType && !audioMimeType.startsWith(audioInfo.mimeType)) {
+      logger.warn('Declared MIME type does not match the audio', {
+        audioMimeType,
+        detectedMimeType: audioInfo.mimeType,
+        codec: audioInfo.codec
+      });
+    }
+
+    const channels = audioInfo.channels || 1;
+
+    switch (audioInfo.codec) {
+      case 'opus': {
+        // Opus recognition only accepts these rates; Opus always decodes at 48 kHz otherwise
+        const sampleRate = OPUS_SAMPLE_RATES.includes(audioInfo.sampleRate) ? audioInfo.sampleRate : 48000;
+        if (audioInfo.container === 'ogg') {
+          return { encoding: 'OGG_OPUS', sampleRate, channels };
+        }
+        if (audioInfo.container === 'webm') {
+          return { encoding: 'WEBM_OPUS', sampleRate, channels };
+        }
+        break;
+      }
+      case 'pcm':
+        if (audioInfo.bitsPerSample === 16) {
+          return { encoding: 'LINEAR16', sampleRate: audioInfo.sampleRate, channels };
+        }
+        break;
+      case 'mulaw':
+        return { encoding: 'MULAW', sampleRate: audioInfo.sampleRate, channels };
+      case 'flac':
+        if (audioInfo.container === 'flac') {
+          return { encoding: 'FLAC', sampleRate: audioInfo.sampleRate, channels };
+        }
+        break;
+      case 'mp3':
+        return { encoding: 'MP3', sampleRate: audioInfo.sampleRate, channels };
+      case 'amr':
+        return { encoding: 'AMR', sampleRate: 8000, channels: 1 };
+      case 'amr_wb':
+        return { encoding: 'AMR_WB', sampleRate: 16000, channels: 1 };
+      default:
+        break;
+    }
+
+    throw new UnsupportedFormatError(`Unsupported audio format: ${audioInfo.codec || 'unknown'} audio in ${audioInfo.container} (${audioInfo.mimeType})`);
+  }
+
+  /**
+   * Run recognition, switching to long-running recognition for audio over the synchronous limit
+   * When the duration is unknown, synchronous recognition is tried first and long-running
+   * recognition is used if the API rejects the audio as too long
+   * @param {Object} request - Recognition request with audio and config
+   * @param {number|null} durationSeconds - Estimated audio duration, null if unknown
+   * @param {string} audioMimeType - MIME type of the audio
+   * @returns {Promise<Object>} - Recognition response
+   */
+  async recognize(request, durationSeconds, audioMimeType) {
+    if (durationSeconds !== null && durationSeconds > config.speechToText.syncLimitSeconds) {
+      return this.longRunningRecognize(request, durationSeconds, audioMimeType);
+    }
+
+    try {
+      const [response] = await this.client.recognize(request);
+      monitoringService.recordMetric('google_stt_recognition_mode', 1, { mode: 'sync', mimeType: audioMimeType });
+      return response;
+    } catch (error) {
+      if (durationSeconds === null && /LongRunningRecognize|too long/i.test(error.message)) {
+        logger.info('Audio too long for synchronous recognition, retrying as long-running', { audioMimeType });
+        return this.longRunningRecognize(request, durationSeconds, audioMimeType);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Transcribe with long-running recognition and wait for the operation to finish
+   * @param {Object} request - Recognition request with audio and config
+   * @param {number|null} durationSeconds - Estimated audio duration, null if unknown
+   * @param {string} audioMimeType - MIME type of the audio
+   * @returns {Promise<Object>} - Recognition response
+   */
+  async longRunningRecognize(request, durationSeconds, audioMimeType) {
+    const timer = monitoringService.startTimer('google_stt_long_running');
+
+    // Wait in proportion to the audio length; audio of unknown length gets the usual job timeout
+    const timeoutMs = SpeechToTextProvider.recognitionTimeout(durationSeconds) || config.processing.jobTimeout;
+
+    try {
+      const [operation] = await this.client.longRunningRecognize(request);
+      const [response] = await GoogleSpeechToText.waitForOperation(operation, timeoutMs);
+
+      monitoringService.recordMetric('google_stt_recognition_mode', 1, { mode: 'long_running', mimeType: audioMimeType });
+      monitoringService.endTimer(timer, { mimeType: audioMimeType, durationSeconds, success: true });
+
+      return response;
+    } catch (error) {
+      monitoringService.endTimer(timer, { mimeType: audioMimeType, durationSeconds, success: false });
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a long-running operation to finish, giving up after the timeout
+   * The operation stops polling once nothing listens to it any more.
+   * @param {Object} operation - Long-running operation returned by the client
+   * @param {number} timeoutMs - Longest wait in milliseconds
+   * @returns {Promise<Array>} - Resolves like operation.promise()
+   */
+  static waitForOperation(operation, timeoutMs) {
+    let timeoutHandle = null;
+
+    const timeout = new Promise((resolve, reject) => {
+      timeoutHandle = setTimeout(() => {
+        if (typeof operation.removeAllListeners === 'function') {
+          operation.removeAllListeners();
+        }
+        reject(new AppError(`Long-running recognition did not finish within ${timeoutMs}ms`, { code: 'JOB_TIMEOUT' }));
+      }, timeoutMs);
+    });
+
+    return Promise.race([operation.promise(), timeout]).finally(() => clearTimeout(timeoutHandle));
   }
 
   /**
    * Convert audio file to text using Google Cloud Speech-to-Text API
    * @param {string} audioFilePath - Path to the audio file
-   * @returns {Promise<string>} - Transcribed text
+   * @returns {Promise<Object>} - Object with text, language, confidence and segments
    */
   async transcribeAudioFile(audioFilePath) {
-    monitoringService.startTimer('transcribe_audio_file', { filePath: audioFilePath });
+    const timer = monitoringService.startTimer('transcribe_audio_file');
     
     try {
       logger.info('Starting audio file transcription', { audioFilePath });
@@ -190,22 +443,7 @@ class GoogleSpeechToText {
       const audioBuffer = fs.readFileSync(audioFilePath);
 
       // Determine the MIME type from the file extension
-      const ext = path.extname(audioFilePath).toLowerCase();
-      let mimeType = 'audio/ogg'; // Default
-      switch (ext) {
-        case '.wav':
-          mimeType = 'audio/wav';
-          break;
-        case '.mp3':
-          mimeType = 'audio/mpeg';
-          break;
-        case '.mp4':
-          mimeType = 'audio/mp4';
-          break;
-        case '.ogg':
-          mimeType = 'audio/ogg';
-          break;
-      }
+      const mimeType = SpeechToTextProvider.mimeTypeFromPath(audioFilePath);
 
       // Perform transcription
       const result = await this.transcribeAudio(audioBuffer, mimeType);
@@ -236,9 +474,11 @@ class GoogleSpeechToText {
       }
       
       // Record successful transcription
-      monitoringService.endTimer('transcribe_audio_file', { filePath: audioFilePath, success: true });
+      monitoringService.endTimer(timer, { success: true });
       
-      return typeof result === 'string' ? result : result.text;
+      return typeof result === 'string'
+        ? { text: result, language: null, confidence: 0, segments: [] }
+        : result;
     } catch (error) {
       logger.error('Error during speech-to-text conversion from file', {
         audioFilePath,
@@ -248,16 +488,16 @@ class GoogleSpeechToText {
       
       // Record error in monitoring
       monitoringService.recordError('google_stt', 'transcribeAudioFile', error.constructor.name);
-      monitoringService.endTimer('transcribe_audio_file', { filePath: audioFilePath, success: false });
+      monitoringService.endTimer(timer, { success: false });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'GoogleSpeechToText',
         function: 'transcribeAudioFile',
         audioFilePath
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
     }
   }
 }
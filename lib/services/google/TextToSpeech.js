@@ -0,0 +1,143 @@
+const textToSpeech = require('@google-cloud/text-to-speech');
+const config = require('../../../lib/config');
+const ErrorHandler = require('../../../utils/errorHandler');
+const monitoringService = require('../../../utils/monitoring');
+const TextToSpeechProvider = require('../providers/TextToSpeechProvider');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'google-text-to-speech' },
+  transports: [
+    new transports.File({
+      filename: 'logs/text-to-speech.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerTimer('google_tts_api_call', ['languageCode', 'success']);
+monitoringService.registerMetric('google_tts_api_success', { type: 'counter', labels: ['languageCode'] });
+
+class GoogleTextToSpeech extends TextToSpeechProvider {
+  constructor() {
+    super('google');
+
+    // Initialize the Google Cloud Text-to-Speech client
+    try {
+      // Check if credentials are provided as environment variable
+      if (config.google.credentials) {
+        this.client = new textToSpeech.TextToSpeechClient({
+          projectId: config.google.projectId,
+          credentials: config.google.credentials
+        });
+        logger.info('Google Text-to-Speech client initialized with provided credentials');
+      } else if (config.google.credentialsPath) {
+        // Use credentials file path if provided
+        process.env.GOOGLE_APPLICATION_CREDENTIALS = config.google.credentialsPath;
+        this.client = new textToSpeech.TextToSpeechClient({
+          projectId: config.google.projectId
+        });
+        logger.info('Google Text-to-Speech client initialized with credentials file path');
+      } else {
+        // Default initialization (expects credentials to be configured through other means)
+        this.client = new textToSpeech.TextToSpeechClient({
+          projectId: config.google.projectId
+        });
+        logger.info('Google Text-to-Speech client initialized with default configuration');
+      }
+    } catch (error) {
+      logger.error('Failed to initialize Google Text-to-Speech client:', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Synthesize speech as an Ogg/Opus file, which WhatsApp plays as a voice note
+   * @param {string} text - Text to speak
+   * @param {string} languageCode - Language code of the text (e.g. 'es')
+   * @returns {Promise<Object>} - Object with the audio buffer, MIME type and file extension
+   */
+  async synthesize(text, languageCode) {
+    const timer = monitoringService.startTimer('google_tts_api_call');
+
+    try {
+      this.validateInput(text, languageCode);
+
+      // Google voices are selected by locale, so map base language codes to a default locale
+      const voiceLanguageCode = config.textToSpeech.voiceLocales[languageCode] || languageCode;
+
+      const request = {
+        input: { text },
+        voice: {
+          languageCode: voiceLanguageCode,
+          ssmlGender: 'NEUTRAL'
+        },
+        audioConfig: {
+          audioEncoding: 'OGG_OPUS'
+        }
+      };
+
+      logger.info('Sending request to Google Text-to-Speech API', {
+        languageCode,
+        voiceLanguageCode,
+        textLength: text.length
+      });
+
+      const [response] = await this.client.synthesizeSpeech(request);
+
+      const audio = Buffer.from(response.audioContent);
+
+      // Validate the result
+      const validationResult = ErrorHandler.validateResponse(audio, 'buffer');
+      if (!validationResult.isValid || audio.length === 0) {
+        throw new Error(`Validation failed: ${validationResult.error || 'empty audio content'}`);
+      }
+
+      logger.info('Speech synthesized successfully', {
+        languageCode,
+        size: audio.length
+      });
+
+      // Record successful API call metrics
+      monitoringService.recordMetric('google_tts_api_success', 1, { languageCode });
+      monitoringService.endTimer(timer, { languageCode, success: true });
+
+      return {
+        audio,
+        mimeType: 'audio/ogg',
+        extension: 'ogg'
+      };
+    } catch (error) {
+      logger.error('Error during text-to-speech conversion', {
+        languageCode,
+        error: error.message,
+        stack: error.stack
+      });
+
+      // Record error in monitoring
+      monitoringService.recordError('google_tts', 'synthesize', error.constructor.name);
+      monitoringService.endTimer(timer, { languageCode, success: false });
+
+      // Use the centralized error handler
+      ErrorHandler.handleError(error, {
+        module: 'GoogleTextToSpeech',
+        function: 'synthesize',
+        languageCode
+      });
+
+      throw ErrorHandler.wrap(error);
+    }
+  }
+}
+
+module.exports = GoogleTextToSpeech;
@@ -1,7 +1,9 @@
 const { Translate } = require('@google-cloud/translate').v2;
 const config = require('../../../lib/config');
+const { getCircuitBreaker } = require('../../../utils/circuitBreaker');
 const ErrorHandler = require('../../../utils/errorHandler');
 const monitoringService = require('../../../utils/monitoring');
+const TranslationProvider = require('../providers/TranslationProvider');
 const { createLogger, format, transports } = require('winston');
 
 // Create logger for this module
@@ -23,8 +25,18 @@ const logger = createLogger({
   ]
 });
 
-class GoogleTranslation {
+// Metrics recorded by this module
+monitoringService.registerTimer('google_translation_api_call', ['targetLanguage', 'sourceLanguage', 'success']);
+monitoringService.registerTimer('google_language_detection', ['success']);
+monitoringService.registerMetric('google_translation_api_success', { type: 'counter', labels: ['targetLanguage', 'sourceLanguage'] });
+
+class GoogleTranslation extends TranslationProvider {
   constructor() {
+    super('google');
+
+    // Shared by translation and language detection, which fail together when Google is down
+    this.breaker = getCircuitBreaker('google_translation', { description: 'translation' });
+
     // Initialize the Google Cloud Translation client
     try {
       // Check if credentials are provided as environment variable
@@ -62,20 +74,11 @@ class GoogleTranslation {
    * @returns {Promise<string>} - Translated text
    */
   async translateText(text, targetLanguage, sourceLanguage = null) {
-    monitoringService.startTimer('google_translation_api_call', { 
-      targetLanguage, 
-      sourceLanguage 
-    });
+    const timer = monitoringService.startTimer('google_translation_api_call');
     
     try {
       // Validate inputs
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
-        throw new Error('Text to translate is required and must be a non-empty string');
-      }
-      
-      if (!targetLanguage || typeof targetLanguage !== 'string') {
-        throw new Error('Target language is required and must be a string');
-      }
+      this.validateInput(text, targetLanguage);
 
       const options = {
         to: targetLanguage,
@@ -85,7 +88,7 @@ class GoogleTranslation {
         options.from = sourceLanguage;
       }
 
-      const [translation] = await this.translate.translate(text, options);
+      const [translation] = await this.breaker.execute(() => this.translate.translate(text, options));
 
       logger.info('Text translated successfully', {
         targetLanguage,
@@ -109,7 +112,7 @@ class GoogleTranslation {
         targetLanguage, 
         sourceLanguage 
       });
-      monitoringService.endTimer('google_translation_api_call', { 
+      monitoringService.endTimer(timer, { 
         targetLanguage, 
         sourceLanguage, 
         success: true 
@@ -126,118 +129,57 @@ class GoogleTranslation {
       
       // Record error in monitoring
       monitoringService.recordError('google_translation', 'translateText', error.constructor.name);
-      monitoringService.endTimer('google_translation_api_call', { 
+      monitoringService.endTimer(timer, { 
         targetLanguage, 
         sourceLanguage, 
         success: false 
       });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'GoogleTranslation',
         function: 'translateText',
         targetLanguage,
         sourceText: text.substring(0, 50) + (text.length > 50 ? '...' : '')
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
     }
   }
 
   /**
-   * Translate text to multiple languages
-   * @param {string} text - Text to translate
-   * @param {Array<string>} targetLanguages - Array of target language codes
-   * @param {string} sourceLanguage - Source language code (optional)
-   * @returns {Promise<Object>} - Object with language codes as keys and translations as values
+   * Detect the language of a text
+   * @param {string} text - Text to inspect
+   * @returns {Promise<Object|null>} - { language, confidence }, or null if Google could not tell
    */
-  async translateTextMultiple(text, targetLanguages, sourceLanguage = null) {
-    monitoringService.startTimer('google_translation_multiple', { 
-      targetLanguageCount: targetLanguages.length,
-      sourceLanguage 
-    });
-    
-    try {
-      // Validate inputs
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
-        throw new Error('Text to translate is required and must be a non-empty string');
-      }
-      
-      if (!Array.isArray(targetLanguages) || targetLanguages.length === 0) {
-        throw new Error('Target languages must be a non-empty array');
-      }
+  async detectLanguage(text) {
+    const timer = monitoringService.startTimer('google_language_detection');
 
-      const translations = {};
-      
-      // Create an array of promises for all translation requests
-      const translationPromises = targetLanguages.map(lang => 
-        this.translateText(text, lang, sourceLanguage)
-          .then(translation => ({ lang, translation }))
-          .catch(error => {
-            logger.error(`Failed to translate to ${lang}`, {
-              error: error.message
-            });
-            return { lang, translation: `Translation to ${lang} failed: ${error.message}` };
-          })
-      );
-      
-      // Execute all translation requests in parallel
-      const results = await Promise.all(translationPromises);
-      
-      // Build the translations object from results
-      results.forEach(result => {
-        translations[result.lang] = result.translation;
-      });
-
-      logger.info('Text translated to multiple languages successfully', {
-        targetLanguages,
-        sourceText: text.substring(0, 50) + (text.length > 50 ? '...' : '')
-      });
+    try {
+      const [detection] = await this.breaker.execute(() => this.translate.detect(text));
+      monitoringService.endTimer(timer, { success: true });
 
-      // Validate the result
-      const validationResult = ErrorHandler.validateResponse(translations, 'object');
-      if (!validationResult.isValid) {
-        logger.error('Validation failed for multiple translation result', {
-          error: validationResult.error,
-          result: translations
-        });
-        
-        throw new Error(`Validation failed: ${validationResult.error}`);
+      // 'und' means undetermined
+      if (!detection || !detection.language || detection.language === 'und') {
+        return null;
       }
 
-      // Record successful multiple translation
-      monitoringService.endTimer('google_translation_multiple', { 
-        targetLanguageCount: targetLanguages.length,
-        sourceLanguage,
-        success: true 
-      });
-
-      return translations;
+      return { language: detection.language, confidence: detection.confidence || 0 };
     } catch (error) {
-      logger.error('Error during multiple text translations', {
-        targetLanguages,
+      logger.error('Error detecting text language', {
         sourceText: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
-        error: error.message,
-        stack: error.stack
+        error: error.message
       });
-      
-      // Record error in monitoring
-      monitoringService.recordError('google_translation', 'translateTextMultiple', error.constructor.name);
-      monitoringService.endTimer('google_translation_multiple', { 
-        targetLanguageCount: targetLanguages.length,
-        sourceLanguage,
-        success: false 
-      });
-      
-      // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+
+      monitoringService.recordError('google_translation', 'detectLanguage', error.constructor.name);
+      monitoringService.endTimer(timer, { success: false });
+
+      ErrorHandler.handleError(error, {
         module: 'GoogleTranslation',
-        function: 'translateTextMultiple',
-        targetLanguages,
-        sourceText: text.substring(0, 50) + (text.length > 50 ? '...' : '')
+        function: 'detectLanguage'
       });
-      
-      throw new Error(handledError.error);
+
+      throw ErrorHandler.wrap(error);
     }
   }
 }
@@ -0,0 +1,367 @@
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const config = require('../config');
+const { AppError } = require('../../utils/errorHandler');
+const monitoringService = require('../../utils/monitoring');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'graph-api-client' },
+  transports: [
+    new transports.File({
+      filename: 'logs/whatsapp-service.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('graph_api_error', { type: 'counter', labels: ['category', 'code'] });
+monitoringService.registerMetric('graph_api_retry', { type: 'counter', labels: ['category', 'attempt'] });
+
+// Meta error codes by category, see the Graph API and WhatsApp Cloud API error code references
+const AUTH_CODES = new Set([0, 3, 10, 190]);
+const RATE_LIMIT_CODES = new Set([4, 17, 32, 613, 80007, 130429, 131048, 131056]);
+const RECIPIENT_CODES = new Set([131021, 131026, 131030, 131047, 131050]);
+const TRANSIENT_CODES = new Set([1, 2, 131000, 131016, 133004]);
+
+// Network failures worth another attempt
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK']);
+
+// Network failures that happen before the request is sent, so it cannot have reached Meta
+const NOT_SENT_NETWORK_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN']);
+
+// Methods that can be repeated without side effects
+const IDEMPOTENT_METHODS = new Set(['get', 'head']);
+
+// Kind of AppError of each category, which picks the message users get
+const CATEGORY_KINDS = {
+  rate_limit: 'RATE_LIMITED',
+  transient: 'PROVIDER_UNAVAILABLE'
+};
+
+/**
+ * Error returned by the Graph API, with Meta's error details
+ */
+class GraphApiError extends AppError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.category - 'auth', 'rate_limit', 'recipient', 'transient' or 'request'
+   * @param {number} details.status - HTTP status, or null for network failures
+   * @param {number|string} details.metaCode - Meta error code, or the network error code
+   * @param {number} details.subcode - Meta error subcode (optional)
+   * @param {string} details.fbtraceId - Meta trace ID for support requests (optional)
+   * @param {number} details.retryAfterMs - Delay requested by the Retry-After header (optional)
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { category, status = null, metaCode = null, subcode = null, fbtraceId = null, retryAfterMs = null, cause = null }) {
+    super(message, { code: CATEGORY_KINDS[category] || 'WHATSAPP_API_ERROR', status, cause });
+    this.category = category;
+    this.metaCode = metaCode;
+    this.subcode = subcode;
+    this.fbtraceId = fbtraceId;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Whether repeating the request may succeed
+   * @returns {boolean} - True for rate-limit and transient errors
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * Invalid, expired or under-privileged access token
+ */
+class GraphAuthError extends GraphApiError {}
+
+/**
+ * Too many requests, for the app, the phone number or one recipient
+ */
+class GraphRateLimitError extends GraphApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The recipient cannot get the message, e.g. outside the 24-hour window or not on WhatsApp
+ */
+class GraphRecipientError extends GraphApiError {}
+
+/**
+ * Temporary failure on Meta's side or in the network
+ */
+class GraphTransientError extends GraphApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+const ERROR_CLASSES = {
+  auth: GraphAuthError,
+  rate_limit: GraphRateLimitError,
+  recipient: GraphRecipientError,
+  transient: GraphTransientError,
+  request: GraphApiError
+};
+
+/**
+ * HTTP client for the Graph API
+ *
+ * Connections are kept alive and shared. Failed requests are turned into typed GraphApiErrors;
+ * rate-limit and transient errors are retried with exponential backoff and jitter, waiting at
+ * least as long as a Retry-After header asks. POSTs are only retried when they cannot have been
+ * carried out, since repeating one that timed out or hit a 5xx could send a message twice.
+ */
+class GraphApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseURL - Base URL of requests with relative paths
+   * @param {string} options.token - Access token sent as a bearer token
+   * @param {Object} options.retry - Retry settings, defaults to config.whatsapp.retry
+   * @param {number} options.timeout - Request timeout in milliseconds, defaults to config.whatsapp.timeout
+   */
+  constructor({ baseURL, token, retry = config.whatsapp.retry, timeout = config.whatsapp.timeout }) {
+    this.retry = retry;
+    this.http = axios.create({
+      baseURL,
+      timeout,
+      httpAgent: GraphApiClient.httpAgent,
+      httpsAgent: GraphApiClient.httpsAgent,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Send a GET request
+   * @param {string} url - Path relative to the base URL, or an absolute URL
+   * @param {Object} options - Axios request options
+   * @returns {Promise<Object>} - Axios response
+   */
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'get', url });
+  }
+
+  /**
+   * Send a POST request
+   * @param {string} url - Path relative to the base URL, or an absolute URL
+   * @param {*} data - Request body
+   * @param {Object} options - Axios request options
+   * @returns {Promise<Object>} - Axios response
+   */
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'post', url, data });
+  }
+
+  /**
+   * Send a request, retrying rate-limit and transient errors
+   * @param {Object} requestConfig - Axios request config
+   * @returns {Promise<Object>} - Axios response
+   * @throws {GraphApiError} - Once the error is not retryable or the retries are used up
+   */
+  async request(requestConfig) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.http.request(requestConfig);
+      } catch (rawError) {
+        const error = GraphApiClient.classify(rawError);
+        const delayMs = this.retryDelay(error, attempt, requestConfig.method);
+
+        monitoringService.recordMetric('graph_api_error', 1, { category: error.category, code: error.metaCode });
+
+        if (delayMs === null) {
+          throw error;
+        }
+
+        logger.warn('Retrying Graph API request', {
+          method: requestConfig.method,
+          url: requestConfig.url,
+          attempt: attempt + 1,
+          delayMs,
+          category: error.category,
+          code: error.metaCode
+        });
+        monitoringService.recordMetric('graph_api_retry', 1, { category: error.category, attempt: attempt + 1 });
+
+        await GraphApiClient.sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Work out how long to wait before retrying
+   * @param {GraphApiError} error - Classified error
+   * @param {number} attempt - Number of retries already made
+   * @param {string} method - HTTP method of the request
+   * @returns {number|null} - Delay in milliseconds, or null if the request should not be retried
+   */
+  retryDelay(error, attempt, method = 'get') {
+    const { maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs } = this.retry;
+
+    if (!error.retryable || attempt >= maxRetries || !GraphApiClient.canRepeat(error, method)) {
+      return null;
+    }
+
+    // Give up rather than hold a job for longer than Meta asks us to back off
+    if (error.retryAfterMs !== null && error.retryAfterMs > maxRetryAfterMs) {
+      return null;
+    }
+
+    // Exponential backoff with "equal jitter": half the delay is fixed, half is random
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
+
+    return Math.round(Math.max(delay, error.retryAfterMs || 0));
+  }
+
+  /**
+   * Check whether a failed request can be sent again without risking a duplicate
+   * Requests that are not idempotent may already have been carried out, unless they were
+   * throttled or never left this machine.
+   * @param {GraphApiError} error - Classified error
+   * @param {string} method - HTTP method of the request
+   * @returns {boolean} - True if repeating the request is safe
+   */
+  static canRepeat(error, method) {
+    if (IDEMPOTENT_METHODS.has(String(method).toLowerCase())) {
+      return true;
+    }
+
+    return error instanceof GraphRateLimitError || (error.status === null && NOT_SENT_NETWORK_CODES.has(error.metaCode));
+  }
+
+  /**
+   * Turn an axios error into a typed GraphApiError
+   * @param {Error} error - Error thrown by axios
+   * @returns {GraphApiError} - Classified error
+   */
+  static classify(error) {
+    if (error instanceof GraphApiError) {
+      return error;
+    }
+
+    const response = error.response;
+    if (!response) {
+      const metaCode = error.code || null;
+      const category = TRANSIENT_NETWORK_CODES.has(metaCode) ? 'transient' : 'request';
+      return new ERROR_CLASSES[category](`Graph API request failed: ${error.message}`, { category, metaCode, cause: error });
+    }
+
+    const metaError = GraphApiClient.readMetaError(response.data);
+    const metaCode = metaError.code !== undefined ? metaError.code : null;
+    const category = GraphApiClient.categorize(response.status, metaCode);
+    const message = metaError.message
+      ? `Graph API error ${metaCode}: ${metaError.message}${metaError.error_data?.details ? ` (${metaError.error_data.details})` : ''}`
+      : `Graph API request failed with status ${response.status}`;
+
+    return new ERROR_CLASSES[category](message, {
+      category,
+      status: response.status,
+      metaCode,
+      subcode: metaError.error_subcode || null,
+      fbtraceId: metaError.fbtrace_id || null,
+      retryAfterMs: GraphApiClient.parseRetryAfter(response.headers && response.headers['retry-after']),
+      cause: error
+    });
+  }
+
+  /**
+   * Pick the category of an error response
+   * @param {number} status - HTTP status
+   * @param {number} code - Meta error code, or null
+   * @returns {string} - Error category
+   */
+  static categorize(status, code) {
+    if (AUTH_CODES.has(code) || (code >= 200 && code <= 299) || status === 401) {
+      return 'auth';
+    }
+    if (RATE_LIMIT_CODES.has(code) || status === 429) {
+      return 'rate_limit';
+    }
+    if (RECIPIENT_CODES.has(code)) {
+      return 'recipient';
+    }
+    if (TRANSIENT_CODES.has(code) || status >= 500) {
+      return 'transient';
+    }
+
+    return 'request';
+  }
+
+  /**
+   * Read Meta's error object from a response body, which may be JSON, a Buffer or an ArrayBuffer
+   * @param {*} data - Response body
+   * @returns {Object} - Meta error object, empty if there is none
+   */
+  static readMetaError(data) {
+    let body = data;
+
+    if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+      try {
+        body = JSON.parse(Buffer.from(body).toString('utf8'));
+      } catch (error) {
+        return {};
+      }
+    }
+
+    return body && typeof body === 'object' && body.error && typeof body.error === 'object' ? body.error : {};
+  }
+
+  /**
+   * Parse a Retry-After header, given either in seconds or as an HTTP date
+   * @param {string} value - Header value
+   * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+   */
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Wait for a while
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Connections to graph.facebook.com and the media CDN are shared by every client
+GraphApiClient.httpAgent = new http.Agent({ keepAlive: true });
+GraphApiClient.httpsAgent = new https.Agent({ keepAlive: true });
+
+module.exports = {
+  GraphApiClient,
+  GraphApiError,
+  GraphAuthError,
+  GraphRateLimitError,
+  GraphRecipientError,
+  GraphTransientError
+};
@@ -0,0 +1,189 @@
+const axios = require('axios');
+const config = require('../../config');
+const ErrorHandler = require('../../../utils/errorHandler');
+const monitoringService = require('../../../utils/monitoring');
+const TranslationProvider = require('../providers/TranslationProvider');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'libretranslate-translation' },
+  transports: [
+    new transports.File({
+      filename: 'logs/translation.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerTimer('libretranslate_translation_api_call', ['targetLanguage', 'sourceLanguage', 'success']);
+monitoringService.registerTimer('libretranslate_language_detection', ['success']);
+monitoringService.registerMetric('libretranslate_translation_api_success', { type: 'counter', labels: ['targetLanguage', 'sourceLanguage'] });
+
+/**
+ * Translation provider for servers speaking the LibreTranslate HTTP protocol
+ * (LibreTranslate itself, or compatible self-hosted services)
+ */
+class LibreTranslateTranslation extends TranslationProvider {
+  /**
+   * @param {Object} options - Provider options, defaults to config.translation.libreTranslate
+   * @param {string} options.url - Base URL of the server
+   * @param {string} options.apiKey - API key (optional, depends on the server)
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ url, apiKey, timeout } = config.translation.libreTranslate) {
+    super('libretranslate');
+
+    this.apiKey = apiKey;
+    this.client = axios.create({
+      baseURL: url.replace(/\/+$/, ''),
+      timeout,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    logger.info('LibreTranslate client initialized', { url });
+  }
+
+  /**
+   * Translate text to a specific language
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code (e.g. 'en', 'es', 'fr')
+   * @param {string} sourceLanguage - Source language code (optional, auto-detect if not provided)
+   * @returns {Promise<string>} - Translated text
+   */
+  async translateText(text, targetLanguage, sourceLanguage = null) {
+    const timer = monitoringService.startTimer('libretranslate_translation_api_call');
+
+    try {
+      // Validate inputs
+      this.validateInput(text, targetLanguage);
+
+      const payload = {
+        q: text,
+        source: sourceLanguage || 'auto',
+        target: targetLanguage,
+        format: 'text'
+      };
+
+      if (this.apiKey) {
+        payload.api_key = this.apiKey;
+      }
+
+      const response = await this.client.post('/translate', payload);
+      const translation = response.data && response.data.translatedText;
+
+      // Validate the result
+      const validationResult = ErrorHandler.validateResponse(translation, 'string');
+      if (!validationResult.isValid) {
+        logger.error('Validation failed for translation result', {
+          error: validationResult.error,
+          result: response.data
+        });
+
+        throw new Error(`Validation failed: ${validationResult.error}`);
+      }
+
+      logger.info('Text translated successfully', {
+        targetLanguage,
+        sourceText: text.substring(0, 50) + (text.length > 50 ? '...' : ''),
+        translatedText: translation.substring(0, 50) + (translation.length > 50 ? '...' : '')
+      });
+
+      // Record successful API call
+      monitoringService.recordMetric('libretranslate_translation_api_success', 1, {
+        targetLanguage,
+        sourceLanguage
+      });
+      monitoringService.endTimer(timer, {
+        targetLanguage,
+        sourceLanguage,
+        success: true
+      });
+
+      return translation;
+    } catch (error) {
+      // LibreTranslate reports failures as { error: "..." }
+      const serverError = error.response && error.response.data && error.response.data.error;
+
+      logger.error('Error during text translation', {
+        targetLanguage,
+        status: error.response ? error.response.status : undefined,
+        error: serverError || error.message
+      });
+
+      // Record error in monitoring
+      monitoringService.recordError('libretranslate_translation', 'translateText', error.constructor.name);
+      monitoringService.endTimer(timer, {
+        targetLanguage,
+        sourceLanguage,
+        success: false
+      });
+
+      // Use the centralized error handler
+      ErrorHandler.handleError(serverError ? new Error(serverError) : error, {
+        module: 'LibreTranslateTranslation',
+        function: 'translateText',
+        targetLanguage
+      });
+
+      throw ErrorHandler.wrap(error, serverError);
+    }
+  }
+
+  /**
+   * Detect the language of a text
+   * @param {string} text - Text to inspect
+   * @returns {Promise<Object|null>} - { language, confidence }, or null if the server returned no candidates
+   */
+  async detectLanguage(text) {
+    const timer = monitoringService.startTimer('libretranslate_language_detection');
+
+    try {
+      const payload = { q: text };
+      if (this.apiKey) {
+        payload.api_key = this.apiKey;
+      }
+
+      // Candidates come back best first, with confidence as a percentage
+      const response = await this.client.post('/detect', payload);
+      const [best] = Array.isArray(response.data) ? response.data : [];
+      monitoringService.endTimer(timer, { success: true });
+
+      if (!best || !best.language) {
+        return null;
+      }
+
+      return { language: best.language, confidence: (best.confidence || 0) / 100 };
+    } catch (error) {
+      const serverError = error.response && error.response.data && error.response.data.error;
+
+      logger.error('Error detecting text language', {
+        status: error.response ? error.response.status : undefined,
+        error: serverError || error.message
+      });
+
+      monitoringService.recordError('libretranslate_translation', 'detectLanguage', error.constructor.name);
+      monitoringService.endTimer(timer, { success: false });
+
+      ErrorHandler.handleError(serverError ? new Error(serverError) : error, {
+        module: 'LibreTranslateTranslation',
+        function: 'detectLanguage'
+      });
+
+      throw ErrorHandler.wrap(error, serverError);
+    }
+  }
+}
+
+module.exports = LibreTranslateTranslation;
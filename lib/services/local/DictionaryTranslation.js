@@ -0,0 +1,115 @@
+const config = require('../../config');
+const JsonFile = require('../../../utils/jsonFile');
+const monitoringService = require('../../../utils/monitoring');
+const TranslationProvider = require('../providers/TranslationProvider');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'dictionary-translation' },
+  transports: [
+    new transports.File({
+      filename: 'logs/translation.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('dictionary_translation_hit', { type: 'counter', labels: ['targetLanguage'] });
+monitoringService.registerMetric('dictionary_translation_miss', { type: 'counter', labels: ['targetLanguage'] });
+
+/**
+ * Offline translation provider backed by a fixed dictionary
+ *
+ * The dictionary maps target language codes to phrases, matched case-insensitively on the
+ * whole (trimmed) source text, e.g.
+ *   {
+ *     "es": { "good morning": "Buenos días" },
+ *     "fr": { "good morning": "Bonjour" }
+ *   }
+ * Text without an entry is returned tagged with the target language, e.g. "[fr] Good night",
+ * so tests can still tell which language a reply was meant for.
+ */
+class DictionaryTranslation extends TranslationProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} options.dictionary - Dictionary keyed by target language (optional)
+   * @param {string} options.dictionaryPath - JSON file to load the dictionary from (optional)
+   */
+  constructor({ dictionary = null, dictionaryPath = config.translation.dictionaryPath } = {}) {
+    super('dictionary');
+
+    const entries = dictionary || (dictionaryPath ? JsonFile.readSync(dictionaryPath, {}) : {});
+
+    // Normalise phrase keys once so lookups only need to normalise the input
+    this.dictionary = {};
+    Object.entries(entries).forEach(([language, phrases]) => {
+      this.dictionary[language] = {};
+      Object.entries(phrases).forEach(([phrase, translation]) => {
+        this.dictionary[language][DictionaryTranslation.normalize(phrase)] = translation;
+      });
+    });
+
+    logger.info('Dictionary translation provider initialized', {
+      dictionaryPath,
+      languages: Object.keys(this.dictionary)
+    });
+  }
+
+  /**
+   * Normalise text for dictionary lookups
+   * @param {string} text - Text to normalise
+   * @returns {string} - Lowercased text with collapsed whitespace
+   */
+  static normalize(text) {
+    return text.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Translate text to a specific language
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code (e.g. 'en', 'es', 'fr')
+   * @param {string} sourceLanguage - Source language code (unused, phrases are matched as-is)
+   * @returns {Promise<string>} - Translated text
+   */
+  async translateText(text, targetLanguage, sourceLanguage = null) {
+    this.validateInput(text, targetLanguage);
+
+    const phrases = this.dictionary[targetLanguage] || {};
+    const translation = phrases[DictionaryTranslation.normalize(text)];
+
+    if (translation === undefined) {
+      monitoringService.recordMetric('dictionary_translation_miss', 1, { targetLanguage });
+      return `[${targetLanguage}] ${text}`;
+    }
+
+    monitoringService.recordMetric('dictionary_translation_hit', 1, { targetLanguage });
+    return translation;
+  }
+
+  /**
+   * Detect the language of a text by finding it among the dictionary's translations
+   * @param {string} text - Text to inspect
+   * @returns {Promise<Object|null>} - { language, confidence }, or null if no translation matches
+   */
+  async detectLanguage(text) {
+    const normalized = DictionaryTranslation.normalize(text);
+
+    const language = Object.keys(this.dictionary).find(code =>
+      Object.values(this.dictionary[code]).some(translation => DictionaryTranslation.normalize(translation) === normalized)
+    );
+
+    return language ? { language, confidence: 1 } : null;
+  }
+}
+
+module.exports = DictionaryTranslation;
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const JsonFile = require('../../../utils/jsonFile');
+const monitoringService = require('../../../utils/monitoring');
+const SpeechToTextProvider = require('../providers/SpeechToTextProvider');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'fixture-speech-to-text' },
+  transports: [
+    new transports.File({
+      filename: 'logs/speech-to-text.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('fixture_stt_hit', { type: 'counter', labels: ['mimeType'] });
+monitoringService.registerMetric('fixture_stt_miss', { type: 'counter', labels: ['mimeType'] });
+
+/**
+ * Offline speech-to-text provider returning canned transcripts
+ *
+ * Audio is identified by the SHA-256 hash of its bytes. Fixtures map hashes to either a
+ * transcript string or a full transcription result, e.g.
+ *   {
+ *     "9f86d08...": "Hola, ¿cómo estás?",
+ *     "60303ae...": { "text": "Good morning", "language": "en-US", "confidence": 0.9 }
+ *   }
+ * Unknown audio transcribes to an empty text, and its hash is logged so it can be added.
+ */
+class FixtureSpeechToText extends SpeechToTextProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} options.fixtures - Fixtures keyed by audio hash (optional)
+   * @param {string} options.fixturesPath - JSON file to load fixtures from (optional)
+   */
+  constructor({ fixtures = null, fixturesPath = config.speechToText.fixturesPath } = {}) {
+    super('fixture');
+
+    this.fixtures = fixtures || (fixturesPath ? JsonFile.readSync(fixturesPath, {}) : {});
+
+    logger.info('Fixture speech-to-text provider initialized', {
+      fixturesPath,
+      fixtureCount: Object.keys(this.fixtures).length
+    });
+  }
+
+  /**
+   * Hash audio the same way fixtures are keyed
+   * @param {Buffer} audioBuffer - Audio data as a buffer
+   * @returns {string} - Hex SHA-256 digest
+   */
+  static hashAudio(audioBuffer) {
+    return crypto.createHash('sha256').update(audioBuffer).digest('hex');
+  }
+
+  /**
+   * Look up the canned transcript for an audio buffer
+   * @param {Buffer} audioBuffer - Audio data as a buffer
+   * @param {string} audioMimeType - MIME type of the audio
+   * @returns {Promise<Object>} - Object with text, language, confidence and segments
+   */
+  async transcribeAudio(audioBuffer, audioMimeType = 'audio/ogg') {
+    if (!Buffer.isBuffer(audioBuffer)) {
+      throw new Error('Audio data is not a Buffer');
+    }
+
+    const hash = FixtureSpeechToText.hashAudio(audioBuffer);
+    const fixture = this.fixtures[hash];
+
+    if (fixture === undefined) {
+      logger.warn('No fixture found for audio', { hash, audioMimeType, size: audioBuffer.length });
+      monitoringService.recordMetric('fixture_stt_miss', 1, { mimeType: audioMimeType });
+
+      return {
+        text: '',
+        language: config.autoLanguageDetection.primaryLanguage,
+        confidence: 0,
+        segments: []
+      };
+    }
+
+    const result = typeof fixture === 'string' ? { text: fixture } : fixture;
+    const text = result.text || '';
+    const language = result.language || config.autoLanguageDetection.primaryLanguage;
+    const confidence = typeof result.confidence === 'number' ? result.confidence : 1;
+
+    monitoringService.recordMetric('fixture_stt_hit', 1, { mimeType: audioMimeType });
+
+    return {
+      text,
+      language,
+      confidence,
+      segments: result.segments || [{ text, language, confidence, endTime: null }]
+    };
+  }
+}
+
+module.exports = FixtureSpeechToText;
@@ -0,0 +1,87 @@
+const TextToSpeechProvider = require('../providers/TextToSpeechProvider');
+
+const SAMPLE_RATE = 16000;
+const MS_PER_CHARACTER = 60;
+const MAX_DURATION_MS = 5000;
+
+/**
+ * Offline stand-in for a text-to-speech service
+ *
+ * Produces a deterministic sine tone as a 16-bit mono WAV file, whose length follows the
+ * length of the text and whose pitch follows the language. Meant for tests and local runs
+ * where no speech service is available.
+ */
+class ToneTextToSpeech extends TextToSpeechProvider {
+  constructor() {
+    super('tone');
+  }
+
+  /**
+   * Generate a tone standing in for the spoken text
+   * @param {string} text - Text to speak
+   * @param {string} languageCode - Language code of the text (e.g. 'es')
+   * @returns {Promise<Object>} - Object with the WAV buffer, MIME type and file extension
+   */
+  async synthesize(text, languageCode) {
+    this.validateInput(text, languageCode);
+
+    const durationMs = Math.min(text.length * MS_PER_CHARACTER, MAX_DURATION_MS);
+    const frequency = ToneTextToSpeech.frequencyFor(languageCode);
+
+    return {
+      audio: ToneTextToSpeech.createWav(frequency, durationMs),
+      mimeType: 'audio/wav',
+      extension: 'wav'
+    };
+  }
+
+  /**
+   * Pick a tone frequency for a language, so different languages are audibly different
+   * @param {string} languageCode - Language code
+   * @returns {number} - Frequency in Hz between 300 and 900
+   */
+  static frequencyFor(languageCode) {
+    const sum = [...languageCode].reduce((acc, char) => acc + char.charCodeAt(0), 0);
+    return 300 + (sum % 13) * 50;
+  }
+
+  /**
+   * Build a 16-bit mono PCM WAV file containing a sine tone
+   * @param {number} frequency - Tone frequency in Hz
+   * @param {number} durationMs - Tone duration in milliseconds
+   * @returns {Buffer} - WAV file contents
+   */
+  static createWav(frequency, durationMs) {
+    const sampleCount = Math.round(SAMPLE_RATE * durationMs / 1000);
+    const dataSize = sampleCount * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    // RIFF header
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+
+    // fmt chunk: PCM, mono, 16-bit
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+
+    // data chunk
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    for (let i = 0; i < sampleCount; i++) {
+      const sample = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * 0.5;
+      buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+    }
+
+    return buffer;
+  }
+}
+
+module.exports = ToneTextToSpeech;
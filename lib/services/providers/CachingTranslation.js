@@ -0,0 +1,55 @@
+const TranslationProvider = require('./TranslationProvider');
+
+/**
+ * Translation provider that answers repeated translations from a TranslationCache
+ * and otherwise delegates to another provider
+ */
+class CachingTranslation extends TranslationProvider {
+  /**
+   * @param {TranslationProvider} provider - Provider doing the actual translation
+   * @param {TranslationCache} cache - Cache of earlier translations
+   */
+  constructor(provider, cache) {
+    // Keep the wrapped provider's name so its metrics stay the same
+    super(provider.name);
+
+    this.provider = provider;
+    this.cache = cache;
+  }
+
+  /**
+   * Translate text, reusing a cached translation when there is one
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code (e.g. 'en', 'es', 'fr')
+   * @param {string} sourceLanguage - Source language code (optional, auto-detect if not provided)
+   * @returns {Promise<string>} - Translated text
+   */
+  async translateText(text, targetLanguage, sourceLanguage = null) {
+    this.validateInput(text, targetLanguage);
+
+    // Key entries by the provider that actually translates the pair, so switching providers or routes
+    // does not serve another provider's translations
+    const providerName = this.provider.resolveProvider(targetLanguage, sourceLanguage).name;
+
+    const cached = await this.cache.get(providerName, text, targetLanguage, sourceLanguage);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const translation = await this.provider.translateText(text, targetLanguage, sourceLanguage);
+    await this.cache.set(providerName, text, targetLanguage, sourceLanguage, translation);
+
+    return translation;
+  }
+
+  /**
+   * Detect the language of a text with the wrapped provider
+   * @param {string} text - Text to inspect
+   * @returns {Promise<Object|null>} - { language, confidence }, or null if unknown
+   */
+  async detectLanguage(text) {
+    return this.provider.detectLanguage(text);
+  }
+}
+
+module.exports = CachingTranslation;
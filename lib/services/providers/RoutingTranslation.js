@@ -0,0 +1,70 @@
+const TranslationProvider = require('./TranslationProvider');
+
+/**
+ * Translation provider that picks another provider per language pair
+ *
+ * Routes are checked in order and the first match wins; anything unmatched goes to the
+ * default provider. A route's source or target may be '*'. When the source language is
+ * unknown (auto-detect), only routes with a '*' source can match.
+ */
+class RoutingTranslation extends TranslationProvider {
+  /**
+   * @param {TranslationProvider} defaultProvider - Provider for unrouted language pairs
+   * @param {Array<Object>} routes - Routes as { source, target, provider } with provider instances
+   */
+  constructor(defaultProvider, routes = []) {
+    super('routing');
+
+    this.defaultProvider = defaultProvider;
+    this.routes = routes;
+  }
+
+  /**
+   * Reduce a language code or locale to its language part, e.g. 'es-ES' -> 'es'
+   * @param {string} language - Language code or locale
+   * @returns {string|null} - Lowercased language code, or null if not given
+   */
+  static baseLanguage(language) {
+    return language ? language.split('-')[0].toLowerCase() : null;
+  }
+
+  /**
+   * Find the provider responsible for a language pair
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code or locale (optional)
+   * @returns {TranslationProvider} - Provider to use
+   */
+  resolveProvider(targetLanguage, sourceLanguage = null) {
+    const source = RoutingTranslation.baseLanguage(sourceLanguage);
+    const target = RoutingTranslation.baseLanguage(targetLanguage);
+
+    const route = this.routes.find(candidate =>
+      (candidate.source === '*' || candidate.source === source) &&
+      (candidate.target === '*' || candidate.target === target)
+    );
+
+    return route ? route.provider : this.defaultProvider;
+  }
+
+  /**
+   * Translate text with the provider routed for the language pair
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code (e.g. 'en', 'es', 'fr')
+   * @param {string} sourceLanguage - Source language code (optional, auto-detect if not provided)
+   * @returns {Promise<string>} - Translated text
+   */
+  async translateText(text, targetLanguage, sourceLanguage = null) {
+    return this.resolveProvider(targetLanguage, sourceLanguage).translateText(text, targetLanguage, sourceLanguage);
+  }
+
+  /**
+   * Detect the language of a text with the default provider
+   * @param {string} text - Text to inspect
+   * @returns {Promise<Object|null>} - { language, confidence }, or null if unknown
+   */
+  async detectLanguage(text) {
+    return this.defaultProvider.detectLanguage(text);
+  }
+}
+
+module.exports = RoutingTranslation;
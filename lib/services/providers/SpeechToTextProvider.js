@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+// MIME types assumed for audio files, by extension
+const MIME_TYPES_BY_EXTENSION = {
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'audio/mp4',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.amr': 'audio/amr',
+  '.awb': 'audio/amr-wb',
+  '.webm': 'audio/webm',
+  '.flac': 'audio/flac'
+};
+
+/**
+ * Interface for speech-to-text providers
+ *
+ * transcribeAudio() and transcribeAudioFile() resolve to an object of the form:
+ *   {
+ *     text: string,        // Full transcript
+ *     language: string,    // Detected language as a locale, e.g. 'es-ES'
+ *     confidence: number,  // Overall confidence between 0 and 1 (0 when unknown)
+ *     segments: Array<{ text: string, language: string, confidence: number, endTime: number|null }>
+ *   }
+ */
+class SpeechToTextProvider {
+  /**
+   * @param {string} name - Provider name used in logs and metrics
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Transcribe an audio buffer
+   * @param {Buffer} audioBuffer - Audio data as a buffer
+   * @param {string} audioMimeType - MIME type of the audio
+   * @returns {Promise<Object>} - Transcription result, see the class description
+   */
+  async transcribeAudio(audioBuffer, audioMimeType) {
+    throw new Error(`${this.constructor.name} does not implement transcribeAudio()`);
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} audioFilePath - Path to the audio file
+   * @returns {Promise<Object>} - Transcription result, see the class description
+   */
+  async transcribeAudioFile(audioFilePath) {
+    if (!fs.existsSync(audioFilePath)) {
+      throw new Error(`Audio file does not exist: ${audioFilePath}`);
+    }
+
+    const audioBuffer = await fs.promises.readFile(audioFilePath);
+    return this.transcribeAudio(audioBuffer, SpeechToTextProvider.mimeTypeFromPath(audioFilePath));
+  }
+
+  /**
+   * Guess the MIME type of an audio file from its extension
+   * @param {string} audioFilePath - Path to the audio file
+   * @returns {string} - MIME type, 'audio/ogg' when the extension is unknown
+   */
+  static mimeTypeFromPath(audioFilePath) {
+    const ext = path.extname(audioFilePath).toLowerCase();
+    return MIME_TYPES_BY_EXTENSION[ext] || 'audio/ogg';
+  }
+
+  /**
+   * Work out how long to wait for long-running recognition of audio of a given length
+   * Audio within the synchronous limit is recognised in one call and needs no extra time.
+   * @param {number|null} durationSeconds - Audio duration, null if unknown
+   * @returns {number} - Time in milliseconds, 0 when the audio is not long enough or its length is unknown
+   */
+  static recognitionTimeout(durationSeconds) {
+    const { syncLimitSeconds, longRunningTimeoutRatio } = config.speechToText;
+
+    if (typeof durationSeconds !== 'number' || durationSeconds <= syncLimitSeconds) {
+      return 0;
+    }
+
+    return Math.ceil(durationSeconds * longRunningTimeoutRatio * 1000);
+  }
+}
+
+module.exports = SpeechToTextProvider;
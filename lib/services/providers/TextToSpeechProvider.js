@@ -0,0 +1,46 @@
+/**
+ * Interface for text-to-speech providers
+ *
+ * Implementations turn text into an audio file that can be uploaded to WhatsApp.
+ * synthesize() resolves to an object of the form:
+ *   {
+ *     audio: Buffer,      // Encoded audio
+ *     mimeType: string,   // MIME type of the audio, e.g. 'audio/ogg'
+ *     extension: string   // File extension matching the MIME type, e.g. 'ogg'
+ *   }
+ */
+class TextToSpeechProvider {
+  /**
+   * @param {string} name - Provider name used in logs and metrics
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Synthesize speech for a text
+   * @param {string} text - Text to speak
+   * @param {string} languageCode - Language code of the text (e.g. 'es')
+   * @returns {Promise<Object>} - Synthesized audio, see the class description
+   */
+  async synthesize(text, languageCode) {
+    throw new Error(`${this.constructor.name} does not implement synthesize()`);
+  }
+
+  /**
+   * Validate the arguments of synthesize()
+   * @param {string} text - Text to speak
+   * @param {string} languageCode - Language code of the text
+   */
+  validateInput(text, languageCode) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Text to synthesize is required and must be a non-empty string');
+    }
+
+    if (!languageCode || typeof languageCode !== 'string') {
+      throw new Error('Language code is required and must be a string');
+    }
+  }
+}
+
+module.exports = TextToSpeechProvider;
@@ -0,0 +1,194 @@
+const ErrorHandler = require('../../../utils/errorHandler');
+const monitoringService = require('../../../utils/monitoring');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'translation-provider' },
+  transports: [
+    new transports.File({
+      filename: 'logs/translation.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('translation_language_failed', { type: 'counter', labels: ['provider', 'targetLanguage'] });
+
+/**
+ * Interface for translation providers
+ *
+ * Implementations provide translateText(); translating into several languages at once is
+ * shared by all providers through translateTextMultiple().
+ */
+class TranslationProvider {
+  /**
+   * @param {string} name - Provider name used in logs and as metric prefix
+   */
+  constructor(name) {
+    this.name = name;
+    monitoringService.registerTimer(`${name}_translation_multiple`, ['sourceLanguage', 'success', 'targetLanguageCount']);
+  }
+
+  /**
+   * Translate text to a specific language
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code (e.g. 'en', 'es', 'fr')
+   * @param {string} sourceLanguage - Source language code (optional, auto-detect if not provided)
+   * @returns {Promise<string>} - Translated text
+   */
+  async translateText(text, targetLanguage, sourceLanguage = null) {
+    throw new Error(`${this.constructor.name} does not implement translateText()`);
+  }
+
+  /**
+   * Find the provider that translates a language pair
+   * Providers that delegate to others return the one they would use
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code (optional)
+   * @returns {TranslationProvider} - Provider translating the pair, this one by default
+   */
+  resolveProvider(targetLanguage, sourceLanguage = null) {
+    return this;
+  }
+
+  /**
+   * Detect the language of a text
+   * Providers without language detection resolve to null
+   * @param {string} text - Text to inspect
+   * @returns {Promise<Object|null>} - { language, confidence } with confidence from 0 to 1, or null if unknown
+   */
+  async detectLanguage(text) {
+    return null;
+  }
+
+  /**
+   * Validate the arguments of translateText()
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code
+   */
+  validateInput(text, targetLanguage) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Text to translate is required and must be a non-empty string');
+    }
+
+    if (!targetLanguage || typeof targetLanguage !== 'string') {
+      throw new Error('Target language is required and must be a string');
+    }
+  }
+
+  /**
+   * Translate text to multiple languages
+   * A language that fails gets null instead of a translation; only when every language fails
+   * is the first error thrown.
+   * @param {string} text - Text to translate
+   * @param {Array<string>} targetLanguages - Array of target language codes
+   * @param {string} sourceLanguage - Source language code (optional)
+   * @returns {Promise<Object>} - Object with language codes as keys and translations (or null) as values
+   */
+  async translateTextMultiple(text, targetLanguages, sourceLanguage = null) {
+    const timer = monitoringService.startTimer(`${this.name}_translation_multiple`);
+
+    try {
+      // Validate inputs
+      if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        throw new Error('Text to translate is required and must be a non-empty string');
+      }
+
+      if (!Array.isArray(targetLanguages) || targetLanguages.length === 0) {
+        throw new Error('Target languages must be a non-empty array');
+      }
+
+      const translations = {};
+
+      // Create an array of promises for all translation requests
+      const translationPromises = targetLanguages.map(lang =>
+        this.translateText(text, lang, sourceLanguage)
+          .then(translation => ({ lang, translation }))
+          .catch(error => {
+            logger.error(`Failed to translate to ${lang}`, {
+              provider: this.name,
+              error: error.message
+            });
+            monitoringService.recordMetric('translation_language_failed', 1, { provider: this.name, targetLanguage: lang });
+            return { lang, translation: null, error };
+          })
+      );
+
+      // Execute all translation requests in parallel
+      const results = await Promise.all(translationPromises);
+
+      // With no translation at all there is nothing to send, so let the caller say why
+      if (results.every(result => result.error)) {
+        throw results[0].error;
+      }
+
+      // Build the translations object from results
+      results.forEach(result => {
+        translations[result.lang] = result.translation;
+      });
+
+      logger.info('Text translated to multiple languages successfully', {
+        provider: this.name,
+        targetLanguages,
+        sourceText: text.substring(0, 50) + (text.length > 50 ? '...' : '')
+      });
+
+      // Validate the result
+      const validationResult = ErrorHandler.validateResponse(translations, 'object');
+      if (!validationResult.isValid) {
+        logger.error('Validation failed for multiple translation result', {
+          error: validationResult.error,
+          result: translations
+        });
+
+        throw new Error(`Validation failed: ${validationResult.error}`);
+      }
+
+      // Record successful multiple translation
+      monitoringService.endTimer(timer, {
+        targetLanguageCount: targetLanguages.length,
+        sourceLanguage,
+        success: true
+      });
+
+      return translations;
+    } catch (error) {
+      logger.error('Error during multiple text translations', {
+        provider: this.name,
+        targetLanguages,
+        sourceText: typeof text === 'string' ? text.substring(0, 50) + (text.length > 50 ? '...' : '') : text,
+        error: error.message,
+        stack: error.stack
+      });
+
+      // Record error in monitoring
+      monitoringService.recordError(`${this.name}_translation`, 'translateTextMultiple', error.constructor.name);
+      monitoringService.endTimer(timer, {
+        targetLanguageCount: Array.isArray(targetLanguages) ? targetLanguages.length : 0,
+        sourceLanguage,
+        success: false
+      });
+
+      // Use the centralized error handler
+      ErrorHandler.handleError(error, {
+        module: this.constructor.name,
+        function: 'translateTextMultiple',
+        targetLanguages
+      });
+
+      throw ErrorHandler.wrap(error);
+    }
+  }
+}
+
+module.exports = TranslationProvider;
@@ -0,0 +1,102 @@
+const config = require('../../config');
+
+/**
+ * Create the speech-to-text provider selected in the configuration
+ * Implementations are required lazily so unused cloud SDKs are never loaded
+ * @param {string} providerName - Provider name, defaults to config.speechToText.provider
+ * @returns {SpeechToTextProvider} - Provider instance
+ */
+function createSpeechToTextProvider(providerName = config.speechToText.provider) {
+  switch (providerName) {
+    case 'google': {
+      const GoogleSpeechToText = require('../google/SpeechToText');
+      return new GoogleSpeechToText();
+    }
+    case 'fixture': {
+      const FixtureSpeechToText = require('../local/FixtureSpeechToText');
+      return new FixtureSpeechToText();
+    }
+    default:
+      throw new Error(`Unknown speech-to-text provider: ${providerName}`);
+  }
+}
+
+/**
+ * Create the text-to-speech provider selected in the configuration
+ * Implementations are required lazily so unused cloud SDKs are never loaded
+ * @param {string} providerName - Provider name, defaults to config.textToSpeech.provider
+ * @returns {TextToSpeechProvider} - Provider instance
+ */
+function createTextToSpeechProvider(providerName = config.textToSpeech.provider) {
+  switch (providerName) {
+    case 'google': {
+      const GoogleTextToSpeech = require('../google/TextToSpeech');
+      return new GoogleTextToSpeech();
+    }
+    case 'tone': {
+      const ToneTextToSpeech = require('../local/ToneTextToSpeech');
+      return new ToneTextToSpeech();
+    }
+    default:
+      throw new Error(`Unknown text-to-speech provider: ${providerName}`);
+  }
+}
+
+/**
+ * Create a single translation provider by name
+ * @param {string} providerName - 'google', 'libretranslate' or 'dictionary'
+ * @returns {TranslationProvider} - Provider instance
+ */
+function createNamedTranslationProvider(providerName) {
+  switch (providerName) {
+    case 'google': {
+      const GoogleTranslation = require('../google/Translation');
+      return new GoogleTranslation();
+    }
+    case 'libretranslate': {
+      const LibreTranslateTranslation = require('../libretranslate/Translation');
+      return new LibreTranslateTranslation();
+    }
+    case 'dictionary': {
+      const DictionaryTranslation = require('../local/DictionaryTranslation');
+      return new DictionaryTranslation();
+    }
+    default:
+      throw new Error(`Unknown translation provider: ${providerName}`);
+  }
+}
+
+/**
+ * Create the translation provider selected in the configuration
+ * When per-language-pair routes are configured, the result routes each pair to its provider
+ * and everything else to the default one; each provider is only instantiated once
+ * @param {string} providerName - Default provider name, defaults to config.translation.provider
+ * @param {Array<Object>} routes - Routes as { source, target, provider }, defaults to config.translation.routes
+ * @returns {TranslationProvider} - Provider instance
+ */
+function createTranslationProvider(providerName = config.translation.provider, routes = config.translation.routes) {
+  const providers = {
+    [providerName]: createNamedTranslationProvider(providerName)
+  };
+
+  if (!routes || routes.length === 0) {
+    return providers[providerName];
+  }
+
+  const RoutingTranslation = require('./RoutingTranslation');
+  const resolvedRoutes = routes.map(route => {
+    if (!providers[route.provider]) {
+      providers[route.provider] = createNamedTranslationProvider(route.provider);
+    }
+
+    return { ...route, provider: providers[route.provider] };
+  });
+
+  return new RoutingTranslation(providers[providerName], resolvedRoutes);
+}
+
+module.exports = {
+  createSpeechToTextProvider,
+  createTextToSpeechProvider,
+  createTranslationProvider
+};
@@ -0,0 +1,383 @@
+const config = require('../../lib/config');
+const JsonFile = require('../../utils/jsonFile');
+const monitoringService = require('../../utils/monitoring');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'user-preferences' },
+  transports: [
+    new transports.File({
+      filename: 'logs/user-preferences.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('user_preferences_update_count', { type: 'counter', labels: ['fields'] });
+
+// Ways a translation can be delivered to a user
+const OUTPUT_MODES = ['text', 'audio', 'both'];
+
+/**
+ * Keeps user preferences in memory, keyed by WhatsApp ID
+ */
+class MemoryPreferencesStore {
+  constructor() {
+    this.preferences = new Map();
+  }
+
+  /**
+   * Get the stored preferences of a user
+   * @param {string} userId - WhatsApp ID of the user
+   * @returns {Promise<Object|null>} - Stored preferences, or null if the user has none
+   */
+  async get(userId) {
+    const preferences = this.preferences.get(userId);
+    return preferences ? { ...preferences } : null;
+  }
+
+  /**
+   * Replace the stored preferences of a user
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {Object} preferences - Preferences to store
+   * @returns {Promise<void>}
+   */
+  async set(userId, preferences) {
+    this.preferences.set(userId, { ...preferences });
+  }
+
+  /**
+   * Remove the stored preferences of a user
+   * @param {string} userId - WhatsApp ID of the user
+   * @returns {Promise<void>}
+   */
+  async delete(userId) {
+    this.preferences.delete(userId);
+  }
+}
+
+/**
+ * Keeps user preferences in memory and persists them to a JSON file
+ */
+class JsonFilePreferencesStore extends MemoryPreferencesStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file holding the preferences
+   */
+  constructor({ filePath } = {}) {
+    super();
+    this.filePath = filePath || config.userPreferences.filePath;
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Load preferences from the JSON file
+   */
+  load() {
+    try {
+      const data = JsonFile.readSync(this.filePath, { users: {} });
+      for (const [userId, preferences] of Object.entries(data.users || {})) {
+        this.preferences.set(userId, preferences);
+      }
+
+      logger.info('User preferences loaded from file', {
+        filePath: this.filePath,
+        userCount: this.preferences.size
+      });
+    } catch (error) {
+      logger.error('Error loading user preferences from file', {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  async set(userId, preferences) {
+    await super.set(userId, preferences);
+    await this.persist();
+  }
+
+  async delete(userId) {
+    await super.delete(userId);
+    await this.persist();
+  }
+
+  /**
+   * Write all preferences to the JSON file
+   * Writes are chained so they never interleave
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = { users: Object.fromEntries(this.preferences) };
+
+    this.writeChain = this.writeChain.then(async () => {
+      try {
+        await JsonFile.writeAtomic(this.filePath, snapshot);
+      } catch (error) {
+        logger.error('Error persisting user preferences to file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+        monitoringService.recordError('user_preferences', 'persist', error.constructor.name);
+      }
+    });
+
+    return this.writeChain;
+  }
+}
+
+/**
+ * Create the preferences store selected in the configuration
+ * @param {Object} options - Store settings, defaults to config.userPreferences
+ * @returns {MemoryPreferencesStore|JsonFilePreferencesStore} - Preferences store instance
+ */
+function createPreferencesStore(options = config.userPreferences) {
+  switch (options.store) {
+    case 'json':
+      return new JsonFilePreferencesStore(options);
+    case 'memory':
+      return new MemoryPreferencesStore();
+    default:
+      logger.warn('Unknown user preferences store type, falling back to memory', { store: options.store });
+      return new MemoryPreferencesStore();
+  }
+}
+
+/**
+ * Service API for reading and writing per-user preferences
+ */
+class UserPreferencesService {
+  /**
+   * @param {MemoryPreferencesStore} store - Backend holding the preferences
+   */
+  constructor(store = createPreferencesStore()) {
+    this.store = store;
+  }
+
+  /**
+   * Validate a WhatsApp ID used as preferences key
+   * @param {string} userId - WhatsApp ID of the user
+   */
+  validateUserId(userId) {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('User ID is required and must be a string');
+    }
+  }
+
+  /**
+   * Resolve a language name or code to an available language
+   * @param {string} language - Language name (e.g. 'spanish') or code (e.g. 'es')
+   * @returns {Object|null} - Object with name and code, or null if the language is not available
+   */
+  resolveLanguage(language) {
+    if (!language || typeof language !== 'string') {
+      return null;
+    }
+
+    const normalized = language.trim().toLowerCase();
+    for (const [name, code] of Object.entries(config.availableLanguages)) {
+      if (normalized === name || normalized === code) {
+        return { name, code };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get all stored preferences of a user
+   * @param {string} userId - WhatsApp ID of the user
+   * @returns {Promise<Object>} - Stored preferences, empty if the user has none
+   */
+  async getPreferences(userId) {
+    this.validateUserId(userId);
+    return (await this.store.get(userId)) || {};
+  }
+
+  /**
+   * Merge changes into the stored preferences of a user
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {Object} changes - Preference fields to update
+   * @returns {Promise<Object>} - Updated preferences
+   */
+  async updatePreferences(userId, changes) {
+    this.validateUserId(userId);
+
+    if (!changes || typeof changes !== 'object') {
+      throw new Error('Preference changes must be an object');
+    }
+
+    const current = await this.getPreferences(userId);
+    const updated = {
+      ...current,
+      ...changes,
+      updatedAt: new Date().toISOString()
+    };
+    await this.store.set(userId, updated);
+
+    logger.info('User preferences updated', {
+      userId,
+      fields: Object.keys(changes)
+    });
+    monitoringService.recordMetric('user_preferences_update_count', 1, { fields: Object.keys(changes).join(',') });
+
+    return updated;
+  }
+
+  /**
+   * Remove all stored preferences of a user
+   * @param {string} userId - WhatsApp ID of the user
+   * @returns {Promise<void>}
+   */
+  async resetPreferences(userId) {
+    this.validateUserId(userId);
+    await this.store.delete(userId);
+    logger.info('User preferences reset', { userId });
+  }
+
+  /**
+   * Get the languages a user's messages should be translated to
+   * Falls back to the global supported languages when the user has not chosen any
+   * @param {string} userId - WhatsApp ID of the user
+   * @returns {Promise<Object>} - Object with language names as keys and language codes as values
+   */
+  async getTargetLanguages(userId) {
+    const preferences = await this.getPreferences(userId);
+    const codes = Array.isArray(preferences.targetLanguages) ? preferences.targetLanguages : [];
+
+    const targetLanguages = {};
+    for (const code of codes) {
+      const language = this.resolveLanguage(code);
+      if (language) {
+        targetLanguages[language.name] = language.code;
+      }
+    }
+
+    return Object.keys(targetLanguages).length > 0
+      ? targetLanguages
+      : { ...config.supportedLanguages };
+  }
+
+  /**
+   * Replace the target languages of a user
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {Array<string>} languages - Language names or codes
+   * @returns {Promise<Array<string>>} - Stored language codes
+   */
+  async setTargetLanguages(userId, languages) {
+    if (!Array.isArray(languages)) {
+      throw new Error('Target languages must be an array');
+    }
+
+    const codes = [];
+    for (const language of languages) {
+      const resolved = this.resolveLanguage(language);
+      if (!resolved) {
+        throw new Error(`Unsupported language: ${language}`);
+      }
+      if (!codes.includes(resolved.code)) {
+        codes.push(resolved.code);
+      }
+    }
+
+    await this.updatePreferences(userId, { targetLanguages: codes });
+    return codes;
+  }
+
+  /**
+   * Add a target language for a user
+   * A user without their own choice starts from the global supported languages
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {string} language - Language name or code
+   * @returns {Promise<Array<string>>} - Stored language codes
+   */
+  async addTargetLanguage(userId, language) {
+    const current = Object.values(await this.getTargetLanguages(userId));
+    return this.setTargetLanguages(userId, [...current, language]);
+  }
+
+  /**
+   * Remove a target language for a user
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {string} language - Language name or code
+   * @returns {Promise<Array<string>>} - Stored language codes
+   */
+  async removeTargetLanguage(userId, language) {
+    const resolved = this.resolveLanguage(language);
+    if (!resolved) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+
+    const current = Object.values(await this.getTargetLanguages(userId));
+    const remaining = current.filter(code => code !== resolved.code);
+    if (remaining.length === 0) {
+      throw new Error('At least one target language is required');
+    }
+
+    return this.setTargetLanguages(userId, remaining);
+  }
+
+  /**
+   * Get how a user wants to receive translations into a language
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {string} language - Language name or code
+   * @returns {Promise<string>} - 'text', 'audio' or 'both'
+   */
+  async getOutputMode(userId, language) {
+    const preferences = await this.getPreferences(userId);
+    const resolved = this.resolveLanguage(language);
+    const outputModes = preferences.outputModes || {};
+
+    return (resolved && outputModes[resolved.code]) || config.textToSpeech.defaultOutputMode;
+  }
+
+  /**
+   * Set how a user wants to receive translations into a language
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {string} language - Language name or code
+   * @param {string} mode - 'text', 'audio' or 'both'
+   * @returns {Promise<Object>} - All output modes of the user, keyed by language code
+   */
+  async setOutputMode(userId, language, mode) {
+    const resolved = this.resolveLanguage(language);
+    if (!resolved) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+
+    if (!OUTPUT_MODES.includes(mode)) {
+      throw new Error(`Output mode must be one of: ${OUTPUT_MODES.join(', ')}`);
+    }
+
+    const preferences = await this.getPreferences(userId);
+    const outputModes = {
+      ...(preferences.outputModes || {}),
+      [resolved.code]: mode
+    };
+
+    await this.updatePreferences(userId, { outputModes });
+    return outputModes;
+  }
+}
+
+// Shared instance, so every part of the bot reads and writes the same store
+const userPreferencesService = new UserPreferencesService();
+
+module.exports = {
+  OUTPUT_MODES,
+  UserPreferencesService,
+  MemoryPreferencesStore,
+  JsonFilePreferencesStore,
+  createPreferencesStore,
+  userPreferencesService
+};
@@ -1,6 +1,9 @@
-const axios = require('axios');
 const config = require('../../lib/config');
 const ResponseFormatter = require('../../utils/responseFormatter');
+const MessageChunker = require('../../utils/messageChunker');
+const monitoringService = require('../../utils/monitoring');
+const { deliveryTracker: sharedDeliveryTracker } = require('../../utils/deliveryTracker');
+const { GraphApiClient, GraphApiError } = require('./graphApiClient');
 const ErrorHandler = require('../../utils/errorHandler');
 const { createLogger, format, transports } = require('winston');
 
@@ -31,19 +34,42 @@ const logger = createLogger({
   ]
 });
 
+// Metrics recorded by this module
+monitoringService.registerMetric('whatsapp_message_split', { type: 'counter', labels: ['partCount'] });
+
+// Limits of WhatsApp interactive messages
+const INTERACTIVE_LIMITS = {
+  bodyLength: 1024,
+  listButtonLength: 20,
+  listRows: 10,
+  rowTitleLength: 24,
+  rowDescriptionLength: 72,
+  replyButtons: 3,
+  buttonTitleLength: 20,
+  idLength: 200
+};
+
 class WhatsAppService {
-  constructor() {
+  /**
+   * @param {Object} options - Service dependencies
+   * @param {DeliveryTracker} options.deliveryTracker - Tracker of sent messages, defaults to the shared tracker
+   */
+  constructor({ deliveryTracker = sharedDeliveryTracker } = {}) {
+    this.deliveryTracker = deliveryTracker;
     this.token = config.whatsapp.apiToken;
     this.phoneNumberId = config.whatsapp.phoneNumberId;
     this.apiUrl = config.whatsapp.apiUrl;
     
-    // Set up axios instance with default headers
-    this.client = axios.create({
+    // Graph API clients retrying throttled and transient failures over kept-alive connections:
+    // one for the phone number's endpoints, one for media objects and downloads.
+    // Their GraphApiErrors are rethrown as they are, so callers can tell rate limits from unreachable recipients
+    this.client = new GraphApiClient({
       baseURL: `${this.apiUrl}/${this.phoneNumberId}`,
-      headers: {
-        'Authorization': `Bearer ${this.token}`,
-        'Content-Type': 'application/json'
-      }
+      token: this.token
+    });
+    this.mediaClient = new GraphApiClient({
+      baseURL: this.apiUrl,
+      token: this.token
     });
   }
 
@@ -51,9 +77,10 @@ class WhatsAppService {
    * Send a text message to a WhatsApp user
    * @param {string} recipientId - The WhatsApp ID of the recipient
    * @param {string} message - The text message to send
+   * @param {string} replyToMessageId - ID of the message this one replies to, shown quoted above it (optional)
    * @returns {Promise<Object>} - Response from WhatsApp API
    */
-  async sendMessage(recipientId, message) {
+  async sendMessage(recipientId, message, replyToMessageId = null) {
     try {
       // Validate inputs
       if (!recipientId || typeof recipientId !== 'string') {
@@ -64,36 +91,80 @@ class WhatsAppService {
         throw new Error('Message is required and must be a string');
       }
 
-      const response = await this.client.post('/messages', {
+      const response = await this.client.post('/messages', WhatsAppService.withContext({
         messaging_product: 'whatsapp',
         to: recipientId,
         type: 'text',
         text: {
           body: message
         }
-      });
+      }, replyToMessageId));
 
       logger.info('Message sent successfully', {
         recipientId,
+        replyToMessageId,
         messageId: response.data.messages?.[0]?.id || 'unknown'
       });
+      this.trackDelivery(response.data, recipientId, 'text');
 
       return response.data;
     } catch (error) {
       logger.error('Error sending message', {
         recipientId,
-        error: error.response ? error.response.data : error.message
+        error: error.message
       });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'WhatsAppService',
         function: 'sendMessage',
         recipientId
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
+    }
+  }
+
+  /**
+   * Send a text message that may be longer than WhatsApp allows, split into numbered parts
+   * Parts are sent one after another, each only once the previous one was accepted, so they
+   * arrive in order; if a part fails the remaining parts are not sent.
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {string} message - The text message to send
+   * @param {string} replyToMessageId - ID of the message every part replies to (optional)
+   * @returns {Promise<Array<Object>>} - Responses from WhatsApp API, one per part
+   */
+  async sendLongMessage(recipientId, message, replyToMessageId = null) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message is required and must be a string');
     }
+
+    const parts = MessageChunker.split(message);
+    if (parts.length > 1) {
+      logger.info('Splitting long message', {
+        recipientId,
+        length: message.length,
+        partCount: parts.length
+      });
+      monitoringService.recordMetric('whatsapp_message_split', 1, { partCount: parts.length });
+    }
+
+    const responses = [];
+    for (const [index, part] of parts.entries()) {
+      try {
+        responses.push(await this.sendMessage(recipientId, part, replyToMessageId));
+      } catch (error) {
+        logger.error('Error sending message part, remaining parts not sent', {
+          recipientId,
+          part: index + 1,
+          partCount: parts.length,
+          error: error.message
+        });
+        throw error;
+      }
+    }
+
+    return responses;
   }
 
   /**
@@ -101,9 +172,11 @@ class WhatsAppService {
    * @param {string} recipientId - The WhatsApp ID of the recipient
    * @param {Object} translations - Object containing translations in different languages
    * @param {string} originalText - The original transcribed text
-   * @returns {Promise<Object>} - Response from WhatsApp API
+   * @param {string} sourceLanguage - Language code of the original text (optional)
+   * @param {string} replyToMessageId - ID of the message being translated, e.g. the voice note (optional)
+   * @returns {Promise<Array<Object>>} - Responses from WhatsApp API, one per message part
    */
-  async sendTranslatedResponse(recipientId, translations, originalText = null) {
+  async sendTranslatedResponse(recipientId, translations, originalText = null, sourceLanguage = null, replyToMessageId = null) {
     try {
       // Validate inputs
       if (!recipientId || typeof recipientId !== 'string') {
@@ -115,11 +188,12 @@ class WhatsAppService {
       }
 
       // Format the response using the response formatter
-      const messageBody = ResponseFormatter.formatTranslatedResponse(translations, originalText);
+      const messageBody = ResponseFormatter.formatTranslatedResponse(translations, originalText, sourceLanguage);
 
-      const response = await this.sendMessage(recipientId, messageBody);
+      // Long notes with several translations can exceed WhatsApp's message length
+      const responses = await this.sendLongMessage(recipientId, messageBody, replyToMessageId);
 
-      return response;
+      return responses;
     } catch (error) {
       logger.error('Error sending translated response', {
         recipientId,
@@ -127,13 +201,408 @@ class WhatsAppService {
       });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'WhatsAppService',
         function: 'sendTranslatedResponse',
         recipientId
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
+    }
+  }
+
+  /**
+   * Upload a media file to WhatsApp so it can be sent in a message
+   * @param {Buffer} mediaBuffer - Contents of the file
+   * @param {string} mimeType - MIME type of the file (e.g. 'audio/ogg')
+   * @param {string} fileName - File name sent with the upload
+   * @returns {Promise<string>} - ID of the uploaded media
+   */
+  async uploadMedia(mediaBuffer, mimeType, fileName = 'media') {
+    try {
+      // Validate inputs
+      if (!Buffer.isBuffer(mediaBuffer) || mediaBuffer.length === 0) {
+        throw new Error('Media buffer is required and must be a non-empty Buffer');
+      }
+      
+      if (!mimeType || typeof mimeType !== 'string') {
+        throw new Error('MIME type is required and must be a string');
+      }
+
+      const form = new FormData();
+      form.append('messaging_product', 'whatsapp');
+      form.append('type', mimeType);
+      form.append('file', new Blob([mediaBuffer], { type: mimeType }), fileName);
+
+      // The client defaults to JSON, so switch to multipart for the upload
+      const response = await this.client.post('/media', form, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+
+      if (!response.data || !response.data.id) {
+        logger.error('No media ID found in upload response', {
+          responseData: response.data
+        });
+        throw new Error('No media ID found in upload response');
+      }
+
+      logger.info('Media uploaded successfully', {
+        mediaId: response.data.id,
+        mimeType,
+        size: mediaBuffer.length
+      });
+
+      return response.data.id;
+    } catch (error) {
+      logger.error('Error uploading media', {
+        mimeType,
+        error: error.message
+      });
+      
+      // Use the centralized error handler
+      ErrorHandler.handleError(error, {
+        module: 'WhatsAppService',
+        function: 'uploadMedia',
+        mimeType
+      });
+      
+      throw ErrorHandler.wrap(error);
+    }
+  }
+
+  /**
+   * Send an uploaded audio file to a WhatsApp user
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {string} mediaId - ID of the uploaded audio, as returned by uploadMedia
+   * @param {string} replyToMessageId - ID of the message this one replies to (optional)
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async sendAudioMessage(recipientId, mediaId, replyToMessageId = null) {
+    try {
+      // Validate inputs
+      if (!recipientId || typeof recipientId !== 'string') {
+        throw new Error('Recipient ID is required and must be a string');
+      }
+      
+      if (!mediaId || typeof mediaId !== 'string') {
+        throw new Error('Media ID is required and must be a string');
+      }
+
+      const response = await this.client.post('/messages', WhatsAppService.withContext({
+        messaging_product: 'whatsapp',
+        to: recipientId,
+        type: 'audio',
+        audio: {
+          id: mediaId
+        }
+      }, replyToMessageId));
+
+      logger.info('Audio message sent successfully', {
+        recipientId,
+        mediaId,
+        messageId: response.data.messages?.[0]?.id || 'unknown'
+      });
+      this.trackDelivery(response.data, recipientId, 'audio');
+
+      return response.data;
+    } catch (error) {
+      logger.error('Error sending audio message', {
+        recipientId,
+        mediaId,
+        error: error.message
+      });
+      
+      // Use the centralized error handler
+      ErrorHandler.handleError(error, {
+        module: 'WhatsAppService',
+        function: 'sendAudioMessage',
+        recipientId
+      });
+      
+      throw ErrorHandler.wrap(error);
+    }
+  }
+
+  /**
+   * Mark an incoming message as read, which shows the user blue ticks
+   * @param {string} messageId - ID of the incoming message
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async markAsRead(messageId) {
+    try {
+      // Validate inputs
+      if (!messageId || typeof messageId !== 'string') {
+        throw new Error('Message ID is required and must be a string');
+      }
+
+      const response = await this.client.post('/messages', {
+        messaging_product: 'whatsapp',
+        status: 'read',
+        message_id: messageId
+      });
+
+      logger.info('Message marked as read', { messageId });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Error marking message as read', {
+        messageId,
+        error: error.message
+      });
+      
+      // Use the centralized error handler
+      ErrorHandler.handleError(error, {
+        module: 'WhatsAppService',
+        function: 'markAsRead',
+        messageId
+      });
+      
+      throw ErrorHandler.wrap(error);
+    }
+  }
+
+  /**
+   * React to a message with an emoji, replacing any earlier reaction from the bot
+   * @param {string} recipientId - The WhatsApp ID of the user who sent the message
+   * @param {string} messageId - ID of the message to react to
+   * @param {string} emoji - Emoji to react with; an empty string removes the reaction
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async sendReaction(recipientId, messageId, emoji) {
+    try {
+      // Validate inputs
+      if (!recipientId || typeof recipientId !== 'string') {
+        throw new Error('Recipient ID is required and must be a string');
+      }
+      
+      if (!messageId || typeof messageId !== 'string') {
+        throw new Error('Message ID is required and must be a string');
+      }
+      
+      if (typeof emoji !== 'string') {
+        throw new Error('Emoji must be a string');
+      }
+
+      const response = await this.client.post('/messages', {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: recipientId,
+        type: 'reaction',
+        reaction: {
+          message_id: messageId,
+          emoji
+        }
+      });
+
+      logger.info('Reaction sent successfully', {
+        recipientId,
+        messageId,
+        emoji
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Error sending reaction', {
+        recipientId,
+        messageId,
+        error: error.message
+      });
+      
+      // Use the centralized error handler
+      ErrorHandler.handleError(error, {
+        module: 'WhatsAppService',
+        function: 'sendReaction',
+        recipientId
+      });
+      
+      throw ErrorHandler.wrap(error);
+    }
+  }
+
+  /**
+   * Send an interactive message to a WhatsApp user
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {Object} interactive - Interactive object as defined by the WhatsApp Cloud API
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async sendInteractiveMessage(recipientId, interactive) {
+    try {
+      // Validate inputs
+      if (!recipientId || typeof recipientId !== 'string') {
+        throw new Error('Recipient ID is required and must be a string');
+      }
+      
+      if (!interactive || typeof interactive !== 'object' || !interactive.type) {
+        throw new Error('Interactive message is required and must have a type');
+      }
+
+      const response = await this.client.post('/messages', {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: recipientId,
+        type: 'interactive',
+        interactive
+      });
+
+      logger.info('Interactive message sent successfully', {
+        recipientId,
+        interactiveType: interactive.type,
+        messageId: response.data.messages?.[0]?.id || 'unknown'
+      });
+      this.trackDelivery(response.data, recipientId, 'interactive');
+
+      return response.data;
+    } catch (error) {
+      logger.error('Error sending interactive message', {
+        recipientId,
+        error: error.message
+      });
+      
+      // Use the centralized error handler
+      ErrorHandler.handleError(error, {
+        module: 'WhatsAppService',
+        function: 'sendInteractiveMessage',
+        recipientId
+      });
+      
+      throw ErrorHandler.wrap(error);
+    }
+  }
+
+  /**
+   * Send a list message, which opens a menu of up to ten options
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {Object} list - List contents
+   * @param {string} list.body - Message text
+   * @param {string} list.buttonText - Label of the button that opens the list
+   * @param {Array<Object>} list.sections - Sections as { title, rows: [{ id, title, description }] }
+   * @param {string} list.header - Header text (optional)
+   * @param {string} list.footer - Footer text (optional)
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async sendListMessage(recipientId, { body, buttonText, sections, header = null, footer = null }) {
+    if (!buttonText || buttonText.length > INTERACTIVE_LIMITS.listButtonLength) {
+      throw new Error(`List button text is required and must be at most ${INTERACTIVE_LIMITS.listButtonLength} characters`);
+    }
+
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw new Error('List sections must be a non-empty array');
+    }
+
+    const rows = sections.flatMap(section => section.rows || []);
+    if (rows.length === 0 || rows.length > INTERACTIVE_LIMITS.listRows) {
+      throw new Error(`Lists must have between 1 and ${INTERACTIVE_LIMITS.listRows} rows`);
+    }
+
+    rows.forEach(row => {
+      WhatsAppService.validateOptionId(row.id);
+      if (!row.title || row.title.length > INTERACTIVE_LIMITS.rowTitleLength) {
+        throw new Error(`List row titles are required and must be at most ${INTERACTIVE_LIMITS.rowTitleLength} characters`);
+      }
+      if (row.description && row.description.length > INTERACTIVE_LIMITS.rowDescriptionLength) {
+        throw new Error(`List row descriptions must be at most ${INTERACTIVE_LIMITS.rowDescriptionLength} characters`);
+      }
+    });
+
+    return this.sendInteractiveMessage(recipientId, WhatsAppService.buildInteractive('list', body, header, footer, {
+      button: buttonText,
+      sections
+    }));
+  }
+
+  /**
+   * Send a message with up to three reply buttons
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {Object} message - Message contents
+   * @param {string} message.body - Message text
+   * @param {Array<Object>} message.buttons - Buttons as { id, title }
+   * @param {string} message.header - Header text (optional)
+   * @param {string} message.footer - Footer text (optional)
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async sendButtonMessage(recipientId, { body, buttons, header = null, footer = null }) {
+    if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.replyButtons) {
+      throw new Error(`Button messages must have between 1 and ${INTERACTIVE_LIMITS.replyButtons} buttons`);
+    }
+
+    buttons.forEach(button => {
+      WhatsAppService.validateOptionId(button.id);
+      if (!button.title || button.title.length > INTERACTIVE_LIMITS.buttonTitleLength) {
+        throw new Error(`Button titles are required and must be at most ${INTERACTIVE_LIMITS.buttonTitleLength} characters`);
+      }
+    });
+
+    return this.sendInteractiveMessage(recipientId, WhatsAppService.buildInteractive('button', body, header, footer, {
+      buttons: buttons.map(({ id, title }) => ({ type: 'reply', reply: { id, title } }))
+    }));
+  }
+
+  /**
+   * Build the interactive object shared by list and button messages
+   * @param {string} type - Interactive type, 'list' or 'button'
+   * @param {string} body - Message text
+   * @param {string} header - Header text, or null
+   * @param {string} footer - Footer text, or null
+   * @param {Object} action - Type-specific action
+   * @returns {Object} - Interactive object
+   */
+  static buildInteractive(type, body, header, footer, action) {
+    if (!body || typeof body !== 'string' || body.length > INTERACTIVE_LIMITS.bodyLength) {
+      throw new Error(`Interactive message body is required and must be at most ${INTERACTIVE_LIMITS.bodyLength} characters`);
+    }
+
+    const interactive = { type, body: { text: body }, action };
+    if (header) {
+      interactive.header = { type: 'text', text: header };
+    }
+    if (footer) {
+      interactive.footer = { text: footer };
+    }
+
+    return interactive;
+  }
+
+  /**
+   * Start tracking the delivery of a sent message, so webhook statuses can be matched to it
+   * @param {Object} responseData - Response from the messages API
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {string} type - Message type
+   */
+  trackDelivery(responseData, recipientId, type) {
+    const messageId = responseData && responseData.messages?.[0]?.id;
+
+    if (messageId) {
+      this.deliveryTracker.track(messageId, { recipientId, type });
+    }
+  }
+
+  /**
+   * Add reply context to a message payload, so WhatsApp shows it as a reply to an earlier message
+   * @param {Object} payload - Message payload
+   * @param {string} replyToMessageId - ID of the message being replied to, or null
+   * @returns {Object} - The payload, with context when a message ID was given
+   */
+  static withContext(payload, replyToMessageId) {
+    if (!replyToMessageId) {
+      return payload;
+    }
+
+    if (typeof replyToMessageId !== 'string') {
+      throw new Error('Reply-to message ID must be a string');
+    }
+
+    return { ...payload, context: { message_id: replyToMessageId } };
+  }
+
+  /**
+   * Check the ID of a list row or reply button, which comes back in the user's reply
+   * @param {string} id - Option ID
+   */
+  static validateOptionId(id) {
+    if (!id || typeof id !== 'string' || id.length > INTERACTIVE_LIMITS.idLength) {
+      throw new Error(`Option IDs are required and must be at most ${INTERACTIVE_LIMITS.idLength} characters`);
     }
   }
 
@@ -159,23 +628,8 @@ class WhatsAppService {
       
       // For media operations, WhatsApp Business API uses the base API URL directly with the media ID
       // The endpoint format is {base_url}/{media_id} without phone number ID or '/media/' prefix
-      // Create a temporary axios instance with the correct base URL for media operations
-      const mediaClient = axios.create({
-        baseURL: config.whatsapp.apiUrl, // Use the base API URL, not with phone number ID
-        headers: {
-          'Authorization': `Bearer ${this.token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      // Make a direct call to the media endpoint using the media ID
       // Get the media object which contains the URL for downloading the actual file
-      const response = await mediaClient.get(`/${mediaId}`, {
-        headers: {
-          'Authorization': `Bearer ${this.token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.mediaClient.get(`/${mediaId}`);
       
       logger.info('Media metadata retrieved successfully', {
         mediaId,
@@ -207,19 +661,20 @@ class WhatsAppService {
     } catch (error) {
       logger.error('Error retrieving media URL from WhatsApp', {
         mediaId,
-        error: error.response ? error.response.data : error.message,
-        status: error.response ? error.response.status : 'unknown',
-        headers: error.response ? error.response.headers : 'unknown'
+        error: error.message,
+        category: error.category,
+        status: error.status,
+        metaCode: error.metaCode
       });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'WhatsAppService',
         function: 'getMediaUrl',
         mediaId
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
     }
   }
 
@@ -235,11 +690,8 @@ class WhatsAppService {
         throw new Error('Media URL is required and must be a string');
       }
 
-      // We need to make a GET request to the media URL with the access token in the header
-      const response = await axios.get(mediaUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.token}`
-        },
+      // The media URL is absolute, and still needs the access token the client sends
+      const response = await this.mediaClient.get(mediaUrl, {
         responseType: 'arraybuffer' // Important: receive data as buffer
       });
 
@@ -267,13 +719,13 @@ class WhatsAppService {
       });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'WhatsAppService',
         function: 'downloadMedia',
         mediaUrl
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
     }
   }
 }
@@ -0,0 +1,98 @@
+const express = require('express');
+const config = require('../lib/config');
+const ErrorHandler = require('../utils/errorHandler');
+const WebhookSignature = require('../utils/webhookSignature');
+const monitoringService = require('../utils/monitoring');
+const { translationCache: sharedTranslationCache } = require('../utils/translationCache');
+const { deliveryTracker: sharedDeliveryTracker } = require('../utils/deliveryTracker');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'admin-api' },
+  transports: [
+    new transports.File({
+      filename: 'logs/admin.log'
+    })
+  ]
+});
+
+/**
+ * Build middleware that only lets requests with the admin bearer token through
+ * Without a configured token the admin API does not exist, so every request gets a 404
+ * @param {string|null} apiToken - Expected bearer token
+ * @returns {Function} - Express middleware
+ */
+function requireAdminToken(apiToken) {
+  return (req, res, next) => {
+    if (!apiToken) {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    if (!match || !WebhookSignature.safeCompare(match[1].trim(), apiToken)) {
+      logger.warn('Rejected admin request with missing or invalid token', { path: req.path, ip: req.ip });
+      monitoringService.recordError('admin', 'authorization', 'invalid_token');
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Create the admin API router
+ * @param {Object} options - Router dependencies
+ * @param {string|null} options.apiToken - Admin bearer token, defaults to config.admin.apiToken
+ * @param {TranslationCache} options.translationCache - Cache to manage, defaults to the shared cache
+ * @param {DeliveryTracker} options.deliveryTracker - Tracker of sent messages, defaults to the shared tracker
+ * @returns {express.Router} - Router mounted under /admin
+ */
+function createAdminRouter({
+  apiToken = config.admin.apiToken,
+  translationCache = sharedTranslationCache,
+  deliveryTracker = sharedDeliveryTracker
+} = {}) {
+  const router = express.Router();
+
+  router.use('/admin', requireAdminToken(apiToken));
+
+  // Translation cache statistics
+  router.get('/admin/translation-cache', (req, res) => {
+    res.status(200).json({ success: true, cache: translationCache.getStats() });
+  });
+
+  // Drop every cached translation, e.g. after switching translation providers
+  router.post('/admin/translation-cache/flush', ErrorHandler.asyncWrapper(async (req, res) => {
+    const flushed = await translationCache.flush();
+
+    logger.info('Translation cache flushed by admin request', { ...flushed, ip: req.ip });
+    res.status(200).json({ success: true, flushed });
+  }));
+
+  // Delivery lifecycle of a message sent by the bot
+  router.get('/admin/messages/:messageId/delivery', (req, res) => {
+    const delivery = deliveryTracker.get(req.params.messageId);
+
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Message not tracked' });
+    }
+
+    res.status(200).json({ success: true, delivery });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
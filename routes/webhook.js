@@ -2,7 +2,21 @@ const express = require('express');
 const config = require('../lib/config');
 const WhatsAppService = require('../lib/services/whatsapp');
 const VoiceProcessor = require('../utils/voiceProcessor');
+const TranslationProcessor = require('../utils/translationProcessor');
 const ErrorHandler = require('../utils/errorHandler');
+const WebhookSignature = require('../utils/webhookSignature');
+const JobQueue = require('../utils/jobQueue');
+const { JobTimeoutError, QueueFullError } = JobQueue;
+const TranscriptStore = require('../utils/transcriptStore');
+const LanguagePicker = require('../utils/languagePicker');
+const Acknowledger = require('../utils/acknowledger');
+const { createIdempotencyStore } = require('../utils/idempotencyStore');
+const { deliveryTracker } = require('../utils/deliveryTracker');
+const { createChatCommandRouter } = require('../utils/chatCommands');
+const { userPreferencesService } = require('../lib/services/userPreferences');
+const { createTextToSpeechProvider } = require('../lib/services/providers');
+const SpeechToTextProvider = require('../lib/services/providers/SpeechToTextProvider');
+const AudioInspector = require('../utils/audioInspector');
 const monitoringService = require('../utils/monitoring');
 const { createLogger, format, transports } = require('winston');
 
@@ -25,9 +39,45 @@ const logger = createLogger({
   ]
 });
 
+// Metrics recorded by this module
+monitoringService.registerTimer('webhook_request');
+monitoringService.registerTimer('spoken_translation', ['languageCode', 'success']);
+monitoringService.registerTimer('text_message_processing', ['success']);
+monitoringService.registerMetric('webhook_signature_rejected_count', { type: 'counter', labels: ['reason'] });
+monitoringService.registerMetric('webhook_message_outcome_count', { type: 'counter', labels: ['outcome', 'type'] });
+monitoringService.registerMetric('unsupported_message_type_count', { type: 'counter', labels: ['type'] });
+monitoringService.registerMetric('duplicate_message_count', { type: 'counter', labels: ['type'] });
+monitoringService.registerMetric('unrecognised_interactive_reply_count', { type: 'counter', labels: ['type'] });
+monitoringService.registerMetric('error_reply', { type: 'counter', labels: ['kind'] });
+monitoringService.registerMetric('language_picker_offered', { type: 'counter', labels: ['languageCount'] });
+monitoringService.registerMetric('language_picker_expired', { type: 'counter' });
+monitoringService.registerMetric('language_picker_selected', { type: 'counter', labels: ['languageCode'] });
+monitoringService.registerMetric('spoken_translation_count', { type: 'counter', labels: ['languageCode'] });
+
 const router = express.Router();
 const whatsappService = new WhatsAppService();
 const voiceProcessor = new VoiceProcessor();
+const translationProcessor = new TranslationProcessor();
+const commandRouter = createChatCommandRouter();
+const acknowledger = new Acknowledger(whatsappService);
+
+// Voice notes and text translations are processed in the background so the webhook can be acknowledged right away
+const messageJobQueue = new JobQueue({
+  name: 'message_processing',
+  concurrency: config.processing.maxConcurrentJobs,
+  timeout: config.processing.jobTimeout,
+  maxDepth: config.processing.maxQueueDepth
+});
+monitoringService.registerHealthCheck('messageJobQueue', () => messageJobQueue.getStats());
+
+// WhatsApp retries webhook deliveries, so remember which message IDs were already handled
+const idempotencyStore = createIdempotencyStore();
+
+// Recent transcripts, translated again when a user picks another language
+const transcriptStore = new TranscriptStore();
+
+// Created on the first spoken reply, so its SDK is only loaded by deployments that send them
+let textToSpeechService = null;
 
 // Webhook verification endpoint
 router.get('/webhook', ErrorHandler.asyncWrapper(async (req, res) => {
@@ -52,17 +102,15 @@ router.get('/webhook', ErrorHandler.asyncWrapper(async (req, res) => {
 
   // Check if a token and mode is in the query string
   if (mode && token) {
-    // Check the mode and token sent are correct
-    if (mode === 'subscribe' && token === VERIFY_TOKEN) {
+    // Check the mode and token sent are correct, comparing the token in constant time
+    if (mode === 'subscribe' && WebhookSignature.safeCompare(token, VERIFY_TOKEN)) {
       // Respond with 200 OK and challenge token from the request
       logger.info('WEBHOOK_VERIFIED');
       res.status(200).send(challenge);
     } else {
       // Responds with '403 Forbidden' if verify tokens do not match
-      logger.error('Forbidden: Verify tokens do not match', { 
-        receivedToken: token, 
-        expectedToken: VERIFY_TOKEN 
-      });
+      logger.error('Forbidden: Verify tokens do not match', { mode });
+      monitoringService.recordError('webhook', 'verification', 'invalid_verify_token');
       res.status(403).send('Forbidden: Invalid verification token');
     }
   } else {
@@ -78,89 +126,202 @@ router.post('/webhook', ErrorHandler.asyncWrapper(async (req, res) => {
   const startTime = Date.now();
   
   // Record the API request
-  monitoringService.startTimer('webhook_request');
+  const timer = monitoringService.startTimer('webhook_request');
+  
+  // Verify the payload was signed by Meta with our app secret before doing anything with it
+  const signatureResult = WebhookSignature.verifySignature(
+    req.rawBody,
+    req.get('X-Hub-Signature-256'),
+    config.whatsapp.appSecret
+  );
+  if (!signatureResult.isValid) {
+    logger.error('Rejected webhook request with invalid signature', {
+      reason: signatureResult.reason,
+      ip: req.ip
+    });
+    // Record the rejection
+    monitoringService.recordError('webhook', 'signature', signatureResult.reason);
+    monitoringService.recordMetric('webhook_signature_rejected_count', 1, { reason: signatureResult.reason });
+    monitoringService.recordApiResponseTime('/webhook', Date.now() - startTime, 401);
+    monitoringService.endTimer(timer);
+    return res.status(401).send('Invalid signature');
+  }
   
   // Basic validation of webhook payload structure
   if (!body || typeof body !== 'object') {
     logger.error('Invalid webhook payload: body is not an object');
     // Record the error
     monitoringService.recordError('webhook', 'validation', 'invalid_payload');
+    monitoringService.recordApiResponseTime('/webhook', Date.now() - startTime, 400);
+    monitoringService.endTimer(timer);
     return res.status(400).send('Invalid payload');
   }
   
-  // Check if this is an entry in the body
-  if (body.object) {
-    if (
-      body.entry && 
-      Array.isArray(body.entry) && 
-      body.entry.length > 0 &&
-      body.entry[0].changes &&
-      Array.isArray(body.entry[0].changes) &&
-      body.entry[0].changes.length > 0 &&
-      body.entry[0].changes[0] &&
-      body.entry[0].changes[0].value &&
-      body.entry[0].changes[0].value.messages &&
-      Array.isArray(body.entry[0].changes[0].value.messages) &&
-      body.entry[0].changes[0].value.messages.length > 0
-    ) {
-      // Get the webhook event
-      const webhookEvent = body.entry[0].changes[0].value;
-      const message = webhookEvent.messages[0];
-      
-      // Validate message structure
-      if (!message || typeof message !== 'object' || !message.from || !message.type) {
-        logger.error('Invalid message structure in webhook payload', { message });
-        // Record the error
-        monitoringService.recordError('webhook', 'validation', 'invalid_message_structure');
-        return res.status(400).send('Invalid message structure');
-      }
-      
-      // Sanitize input values
-      const sanitizedFrom = String(message.from).trim();
-      const sanitizedType = String(message.type).trim();
-      
-      // Validate allowed message types
-      if (!['text', 'audio', 'image', 'video', 'document', 'location'].includes(sanitizedType)) {
-        logger.warn('Unsupported message type received', { type: sanitizedType });
-        // Record the unsupported message type
-        monitoringService.recordMetric('unsupported_message_type_count', 1, { type: sanitizedType });
-        return res.status(200).send('Message type not supported');
+  // Meta batches several entries, changes and messages into one delivery, so walk all of them
+  const webhookMessages = body.object ? extractWebhookMessages(body) : [];
+  const webhookStatuses = body.object ? extractWebhookStatuses(body) : [];
+  
+  // Return a 200 status to acknowledge the event straight away, otherwise Meta times out and redelivers
+  res.sendStatus(200);
+  
+  // Record the response time
+  const responseTime = Date.now() - startTime;
+  monitoringService.recordApiResponseTime('/webhook', responseTime, 200);
+  monitoringService.endTimer(timer);
+  
+  if (webhookMessages.length > 0) {
+    logger.info('Received webhook delivery', {
+      entryCount: body.entry.length,
+      messageCount: webhookMessages.length
+    });
+  }
+  
+  // Delivery statuses of the bot's own messages
+  for (const statusEvent of webhookStatuses) {
+    processStatusUpdate(statusEvent);
+  }
+  
+  // Process each message separately so one bad message doesn't fail the others
+  for (const { message, webhookEvent } of webhookMessages) {
+    await processWebhookMessage(message, webhookEvent);
+  }
+}));
+
+/**
+ * Collect the value of every change of every entry in a webhook payload
+ * @param {Object} body - Webhook payload
+ * @returns {Array<Object>} - Change values in delivery order
+ */
+function extractChangeValues(body) {
+  const values = [];
+  
+  if (!Array.isArray(body.entry)) {
+    return values;
+  }
+  
+  for (const entry of body.entry) {
+    if (!entry || !Array.isArray(entry.changes)) {
+      continue;
+    }
+    
+    for (const change of entry.changes) {
+      if (change && change.value && typeof change.value === 'object') {
+        values.push(change.value);
       }
-      
-      logger.info('Received message from WhatsApp', {
-        from: sanitizedFrom,
-        type: sanitizedType,
-        timestamp: message.timestamp
-      });
-      
-      // Process the message
-      await handleWhatsAppMessage(message, webhookEvent);
-      
-      // Record the response time
-      const responseTime = Date.now() - startTime;
-      monitoringService.recordApiResponseTime('/webhook', responseTime, 200);
-      monitoringService.endTimer('webhook_request');
-      
-      // Return a 200 status to acknowledge the event
-      res.sendStatus(200);
-    } else {
-      // If webhookEvent is not a message, return a 200 status
-      const responseTime = Date.now() - startTime;
-      monitoringService.recordApiResponseTime('/webhook', responseTime, 200);
-      monitoringService.endTimer('webhook_request');
-      res.sendStatus(200);
     }
-  } else {
-    // If body.object is not present, return a 200 status
-    const responseTime = Date.now() - startTime;
-    monitoringService.recordApiResponseTime('/webhook', responseTime, 200);
-    monitoringService.endTimer('webhook_request');
-    res.sendStatus(200);
   }
-}));
+  
+  return values;
+}
+
+/**
+ * Collect every message from every change of every entry in a webhook payload
+ * @param {Object} body - Webhook payload
+ * @returns {Array<Object>} - List of { message, webhookEvent } pairs in delivery order
+ */
+function extractWebhookMessages(body) {
+  return extractChangeValues(body)
+    .filter(webhookEvent => Array.isArray(webhookEvent.messages))
+    .flatMap(webhookEvent => webhookEvent.messages.map(message => ({ message, webhookEvent })));
+}
+
+/**
+ * Collect every message status from every change of every entry in a webhook payload
+ * @param {Object} body - Webhook payload
+ * @returns {Array<Object>} - Status objects in delivery order
+ */
+function extractWebhookStatuses(body) {
+  return extractChangeValues(body)
+    .filter(webhookEvent => Array.isArray(webhookEvent.statuses))
+    .flatMap(webhookEvent => webhookEvent.statuses);
+}
+
+/**
+ * Match a sent/delivered/read/failed status against the messages the bot sent
+ * Errors are contained here so that the rest of the delivery still gets processed
+ * @param {Object} statusEvent - WhatsApp status object
+ */
+function processStatusUpdate(statusEvent) {
+  try {
+    const record = deliveryTracker.recordStatus(statusEvent);
+    
+    logger.info('Received message status', {
+      messageId: statusEvent.id,
+      status: statusEvent.status,
+      tracked: record !== null
+    });
+  } catch (error) {
+    logger.error('Failed to process message status', {
+      status: statusEvent,
+      error: error.message
+    });
+    monitoringService.recordError('webhook', 'processStatusUpdate', error.constructor.name);
+  }
+}
+
+/**
+ * Validate and handle a single message from a webhook payload, recording its outcome
+ * Errors are contained here so that the remaining messages in the delivery still get processed
+ * @param {Object} message - WhatsApp message object
+ * @param {Object} webhookEvent - The change value the message belongs to
+ * @returns {Promise<string>} - Outcome of the message: processed, invalid, unsupported or failed
+ */
+async function processWebhookMessage(message, webhookEvent) {
+  let outcome;
+  let messageType = 'unknown';
+  
+  try {
+    // Validate message structure
+    if (!message || typeof message !== 'object' || !message.from || !message.type) {
+      logger.error('Invalid message structure in webhook payload', { message });
+      // Record the error
+      monitoringService.recordError('webhook', 'validation', 'invalid_message_structure');
+      outcome = 'invalid';
+      return outcome;
+    }
+    
+    // Sanitize input values
+    const sanitizedFrom = String(message.from).trim();
+    messageType = String(message.type).trim();
+    
+    // Validate allowed message types
+    if (!['text', 'audio', 'interactive', 'image', 'video', 'document', 'location'].includes(messageType)) {
+      logger.warn('Unsupported message type received', { type: messageType });
+      // Record the unsupported message type
+      monitoringService.recordMetric('unsupported_message_type_count', 1, { type: messageType });
+      outcome = 'unsupported';
+      return outcome;
+    }
+    
+    logger.info('Received message from WhatsApp', {
+      from: sanitizedFrom,
+      type: messageType,
+      messageId: message.id,
+      timestamp: message.timestamp
+    });
+    
+    // Process the message
+    await handleWhatsAppMessage(message, webhookEvent);
+    outcome = 'processed';
+    return outcome;
+  } catch (error) {
+    logger.error('Failed to process message from webhook payload', {
+      messageId: message?.id,
+      type: messageType,
+      error: error.message
+    });
+    monitoringService.recordError('webhook', 'processWebhookMessage', error.constructor.name);
+    outcome = 'failed';
+    return outcome;
+  } finally {
+    monitoringService.recordMetric('webhook_message_outcome_count', 1, { outcome, type: messageType });
+  }
+}
 
 // Function to handle incoming WhatsApp messages
 async function handleWhatsAppMessage(message, webhookEvent) {
+  let claimedMessageId = null;
+  
   try {
     logger.info('Processing message', {
       from: message.from,
@@ -177,6 +338,23 @@ async function handleWhatsAppMessage(message, webhookEvent) {
       throw new Error(`Invalid recipient ID: ${recipientId}`);
     }
     
+    // Skip messages we have already handled or are handling so retries don't run the pipeline twice
+    // The ID is released again if processing fails, so Meta's redelivery gets another go
+    if (message.id) {
+      const isNewMessage = await idempotencyStore.markIfNew(String(message.id));
+      if (isNewMessage) {
+        claimedMessageId = String(message.id);
+      } else {
+        logger.info('Skipping duplicate message', {
+          from: recipientId,
+          messageId: message.id,
+          type: messageType
+        });
+        monitoringService.recordMetric('duplicate_message_count', 1, { type: messageType });
+        return;
+      }
+    }
+    
     // Check if the message is a voice note
     if (messageType === 'audio') {
       logger.info('Processing voice note received from WhatsApp', {
@@ -219,8 +397,24 @@ async function handleWhatsAppMessage(message, webhookEvent) {
         throw new Error('Invalid media ID format');
       }
       
-      // Process the voice note
-      await processVoiceNote(recipientId, sanitizedMediaId, sanitizedMimeType);
+      // Queue the voice note for background processing; failures are reported to the user by processVoiceNote
+      // Replies quote the voice note, so several notes sent at once can be told apart
+      const voiceMessageId = message.id ? String(message.id) : null;
+      messageJobQueue.enqueue(
+        (signal, job) => processVoiceNote(recipientId, sanitizedMediaId, sanitizedMimeType, voiceMessageId, signal, job),
+        { recipientId, mediaId: sanitizedMediaId, messageId: message.id }
+      ).catch(async error => {
+        logger.error('Voice note job failed', {
+          recipientId,
+          mediaId: sanitizedMediaId,
+          error: error.message
+        });
+        
+        await releaseMessageId(claimedMessageId);
+        if (await reportQueueRejection(recipientId, error, voiceMessageId)) {
+          await acknowledger.failed(recipientId, voiceMessageId);
+        }
+      });
       
     } else if (messageType === 'text') {
       logger.info('Received text message from WhatsApp', {
@@ -237,9 +431,61 @@ async function handleWhatsAppMessage(message, webhookEvent) {
         return;
       }
       
-      // For text messages, we could implement translation functionality
-      // For now, just acknowledge receipt
-      await whatsappService.sendMessage(recipientId, "Thanks for your message! For voice translations, please send a voice note.");
+      if (textBody.length === 0) {
+        logger.warn('Received empty text message', { from: recipientId, messageId: message.id });
+        return;
+      }
+      
+      // Slash commands control the bot instead of being translated
+      if (commandRouter.isCommand(textBody)) {
+        const reply = await commandRouter.dispatch(textBody, { userId: recipientId });
+        await whatsappService.sendMessage(recipientId, reply);
+        return;
+      }
+      
+      // Queue the text for translation; failures are reported to the user by processTextMessage
+      const textMessageId = message.id ? String(message.id) : null;
+      messageJobQueue.enqueue(
+        signal => processTextMessage(recipientId, textBody, textMessageId, signal),
+        { recipientId, messageId: message.id }
+      ).catch(async error => {
+        logger.error('Text translation job failed', {
+          recipientId,
+          error: error.message
+        });
+        
+        await releaseMessageId(claimedMessageId);
+        await reportQueueRejection(recipientId, error, textMessageId);
+      });
+    } else if (messageType === 'interactive') {
+      // Replies to list and button messages; only the language picker sends those
+      const reply = message.interactive?.list_reply || message.interactive?.button_reply;
+      const selection = reply ? LanguagePicker.parseOptionId(String(reply.id)) : null;
+      
+      if (!selection) {
+        logger.warn('Received unrecognised interactive reply', {
+          from: recipientId,
+          interactiveType: message.interactive?.type,
+          replyId: reply?.id
+        });
+        monitoringService.recordMetric('unrecognised_interactive_reply_count', 1, { type: message.interactive?.type });
+        return;
+      }
+      
+      // Queue the translation; failures are reported to the user by processLanguageSelection
+      messageJobQueue.enqueue(
+        signal => processLanguageSelection(recipientId, selection.transcriptId, selection.languageCode, signal),
+        { recipientId, messageId: message.id }
+      ).catch(async error => {
+        logger.error('Language selection job failed', {
+          recipientId,
+          languageCode: selection.languageCode,
+          error: error.message
+        });
+        
+        await releaseMessageId(claimedMessageId);
+        await reportQueueRejection(recipientId, error);
+      });
     } else {
       logger.info('Received unsupported message type', {
         from: recipientId,
@@ -258,13 +504,45 @@ async function handleWhatsAppMessage(message, webhookEvent) {
       messageType: message?.type
     });
     
+    await releaseMessageId(claimedMessageId);
+    
     // Rethrow the error so it can be caught by the global error handler
     throw error;
   }
 }
 
-// Function to process a voice note
-async function processVoiceNote(recipientId, mediaId, mimeType = 'audio/ogg') {
+// Function to forget the ID of a message that could not be processed, so a redelivery is processed again
+// Only completed messages stay deduplicated; a failure to release is only logged
+async function releaseMessageId(messageId) {
+  if (!messageId) {
+    return;
+  }
+  
+  try {
+    await idempotencyStore.release(messageId);
+  } catch (error) {
+    logger.error('Error releasing message ID', {
+      messageId,
+      error: error.message
+    });
+    monitoringService.recordError('webhook', 'releaseMessageId', error.constructor.name);
+  }
+}
+
+// Function to report a job the queue gave up on, because it timed out or could not be queued
+// Other failures are reported by the job itself; returns whether a reply was sent
+async function reportQueueRejection(recipientId, error, replyToMessageId = null) {
+  if (!(error instanceof JobTimeoutError) && !(error instanceof QueueFullError)) {
+    return false;
+  }
+  
+  await sendErrorReply(recipientId, error, "Sorry, there was an error processing your message. Please try again.", replyToMessageId);
+  return true;
+}
+
+// Function to process a voice note, replying to the note's message ID when known
+// Stops between steps once the job queue aborts the signal, and extends the job's timeout for long notes
+async function processVoiceNote(recipientId, mediaId, mimeType = 'audio/ogg', messageId = null, signal = null, job = null) {
   try {
     logger.info('Starting voice note processing workflow', {
       recipientId,
@@ -272,24 +550,34 @@ async function processVoiceNote(recipientId, mediaId, mimeType = 'audio/ogg') {
       mimeType
     });
     
-    // Send a quick acknowledgment to the user
-    await whatsappService.sendMessage(recipientId, "Received your voice note! Processing and translating now...");
+    // Let the user know the note arrived, with a message or a reaction depending on WHATSAPP_ACK_MODE
+    await acknowledger.received(recipientId, messageId);
     
     logger.info('Fetching media URL from WhatsApp', { mediaId });
     // Get the media URL from WhatsApp
     const mediaUrl = await whatsappService.getMediaUrl(mediaId);
+    signal?.throwIfAborted();
     
     logger.info('Downloading media file from WhatsApp', { mediaUrl });
     // Download the media file
     const audioBuffer = await whatsappService.downloadMedia(mediaUrl);
+    signal?.throwIfAborted();
     logger.info('Media file downloaded successfully', {
       size: audioBuffer ? audioBuffer.length : 'undefined',
       type: audioBuffer ? typeof audioBuffer : 'undefined'
     });
     
+    // Long voice notes go through long-running recognition, so give the job time for it
+    const audioInfo = AudioInspector.inspect(audioBuffer);
+    const recognitionTimeout = SpeechToTextProvider.recognitionTimeout(audioInfo ? audioInfo.durationSeconds : null);
+    if (job && recognitionTimeout > 0) {
+      job.extendTimeout(config.processing.jobTimeout + recognitionTimeout);
+    }
+    
     logger.info('Processing voice note with VoiceProcessor', { mimeType });
     // Process the voice note (transcribe and translate)
-    const result = await voiceProcessor.processVoiceNote(audioBuffer, mimeType);
+    const result = await voiceProcessor.processVoiceNote(audioBuffer, mimeType, { userId: recipientId });
+    signal?.throwIfAborted();
     logger.info('Voice processing completed successfully', {
       originalTextLength: result.originalText ? result.originalText.length : 0,
       translationCount: result.translations ? Object.keys(result.translations).length : 0
@@ -297,7 +585,20 @@ async function processVoiceNote(recipientId, mediaId, mimeType = 'audio/ogg') {
     
     logger.info('Sending translated response back to user');
     // Send the translated response back to the user
-    await whatsappService.sendTranslatedResponse(recipientId, result.translations, result.originalText);
+    await sendTranslationReplies(recipientId, result, messageId);
+    
+    // Offer the remaining languages; the translations were delivered, so a failure here is only logged
+    try {
+      await offerLanguagePicker(recipientId, result);
+    } catch (error) {
+      logger.error('Error offering language picker', {
+        recipientId,
+        error: error.message
+      });
+      monitoringService.recordError('webhook', 'offerLanguagePicker', error.constructor.name);
+    }
+    
+    await acknowledger.succeeded(recipientId, messageId);
     
     logger.info('Voice note processing completed successfully', {
       recipientId,
@@ -312,18 +613,239 @@ async function processVoiceNote(recipientId, mediaId, mimeType = 'audio/ogg') {
       stack: error.stack
     });
     
+    // The user was told when the job timed out
+    if (signal?.aborted) {
+      throw error;
+    }
+    
     // Send an error message to the user
+    await acknowledger.failed(recipientId, messageId);
+    await sendErrorReply(recipientId, error, "Sorry, there was an error processing your voice note. Please try again.", messageId);
+    
+    // Rethrow the error so it can be caught by the global error handler
+    throw error;
+  }
+}
+
+// Function to tell a user their request failed, with the message for the kind of error when it has one
+// Sending is best effort, since the error itself is already being handled
+async function sendErrorReply(recipientId, error, fallbackMessage, replyToMessageId = null) {
+  const appError = ErrorHandler.wrap(error);
+  monitoringService.recordMetric('error_reply', 1, { kind: appError.metricTag });
+  
+  try {
+    await whatsappService.sendMessage(recipientId, appError.userMessage || fallbackMessage, replyToMessageId);
+  } catch (sendError) {
+    logger.error('Error sending error message to user', {
+      recipientId,
+      error: sendError.message,
+      stack: sendError.stack
+    });
+  }
+}
+
+// Function to deliver translations as text and/or voice notes, following each user's output preferences
+// Every reply quotes replyToMessageId when given
+async function sendTranslationReplies(recipientId, result, replyToMessageId = null) {
+  const textTranslations = {};
+  const spokenTranslations = [];
+  
+  for (const [langName, translation] of Object.entries(result.translations)) {
+    // Failed languages are listed as unavailable in the text reply, whatever the output mode
+    if (translation === null) {
+      textTranslations[langName] = null;
+      continue;
+    }
+    
+    let outputMode = 'text';
     try {
-      await whatsappService.sendMessage(recipientId, "Sorry, there was an error processing your voice note. Please try again.");
-    } catch (sendError) {
-      logger.error('Error sending error message to user', {
+      outputMode = await userPreferencesService.getOutputMode(recipientId, langName);
+    } catch (error) {
+      logger.error('Error reading output mode, sending text', {
         recipientId,
-        error: sendError.message,
-        stack: sendError.stack
+        language: langName,
+        error: error.message
       });
     }
     
-    // Rethrow the error so it can be caught by the global error handler
+    // Without a text-to-speech provider every translation is sent as text
+    if (config.textToSpeech.provider === 'none') {
+      outputMode = 'text';
+    }
+    
+    if (outputMode === 'text' || outputMode === 'both') {
+      textTranslations[langName] = translation;
+    }
+    if (outputMode === 'audio' || outputMode === 'both') {
+      spokenTranslations.push({ langName, translation });
+    }
+  }
+  
+  // With nothing left to translate into, still confirm what was understood
+  const nothingTranslated = Object.keys(result.translations).length === 0;
+  if (Object.keys(textTranslations).length > 0 || nothingTranslated) {
+    await whatsappService.sendTranslatedResponse(recipientId, textTranslations, result.originalText, result.sourceLanguage, replyToMessageId);
+  }
+  
+  // Send each spoken translation separately, so one failed synthesis doesn't lose the others
+  for (const { langName, translation } of spokenTranslations) {
+    try {
+      await sendSpokenTranslation(recipientId, langName, translation, replyToMessageId);
+    } catch (error) {
+      logger.error('Error sending spoken translation, falling back to text', {
+        recipientId,
+        language: langName,
+        error: error.message
+      });
+      monitoringService.recordError('webhook', 'sendSpokenTranslation', error.constructor.name);
+      
+      if (!textTranslations[langName]) {
+        await whatsappService.sendTranslatedResponse(recipientId, { [langName]: translation }, null, null, replyToMessageId);
+      }
+    }
+  }
+}
+
+// Function to offer a "Translate to…" picker with the languages the user did not get yet
+async function offerLanguagePicker(recipientId, result) {
+  if (!config.languagePicker.enabled) {
+    return;
+  }
+  
+  const languages = Object.fromEntries(
+    Object.entries(config.availableLanguages).filter(([langName, code]) =>
+      !result.translations[langName] && code !== result.sourceLanguage
+    )
+  );
+  
+  if (Object.keys(languages).length === 0) {
+    return;
+  }
+  
+  const transcriptId = await transcriptStore.save(recipientId, result.originalText, result.sourceLanguage);
+  await LanguagePicker.send(whatsappService, recipientId, transcriptId, languages);
+  
+  monitoringService.recordMetric('language_picker_offered', 1, { languageCount: Object.keys(languages).length });
+}
+
+// Function to translate a stored transcript into the language picked by the user
+async function processLanguageSelection(recipientId, transcriptId, languageCode, signal = null) {
+  const langName = Object.keys(config.availableLanguages).find(name => config.availableLanguages[name] === languageCode);
+  if (!langName) {
+    logger.warn('Language picked that is not available', { recipientId, languageCode });
+    return;
+  }
+  
+  try {
+    const transcript = await transcriptStore.get(transcriptId, recipientId);
+    if (!transcript) {
+      logger.info('Picked transcript is no longer available', { recipientId, transcriptId });
+      monitoringService.recordMetric('language_picker_expired', 1);
+      await whatsappService.sendMessage(recipientId, "That voice note is no longer available to translate. Please send it again.");
+      return;
+    }
+    
+    logger.info('Translating transcript into picked language', { recipientId, transcriptId, languageCode });
+    const translations = await translationProcessor.translateToTargetLanguages(
+      transcript.text,
+      transcript.sourceLanguage,
+      { [langName]: languageCode }
+    );
+    signal?.throwIfAborted();
+    
+    // Deliver like any other translation, so the user's output mode for the language applies
+    await sendTranslationReplies(recipientId, { translations, sourceLanguage: transcript.sourceLanguage });
+    monitoringService.recordMetric('language_picker_selected', 1, { languageCode });
+  } catch (error) {
+    logger.error('Error translating transcript into picked language', {
+      recipientId,
+      languageCode,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    if (signal?.aborted) {
+      throw error;
+    }
+    
+    await sendErrorReply(recipientId, error, "Sorry, there was an error translating your voice note. Please try again.");
+    
+    // Rethrow the error so the job queue records the failure
+    throw error;
+  }
+}
+
+// Function to synthesize a translation and send it as a voice note
+async function sendSpokenTranslation(recipientId, langName, translation, replyToMessageId = null) {
+  const languageCode = config.availableLanguages[langName] || langName;
+  
+  if (!textToSpeechService) {
+    textToSpeechService = createTextToSpeechProvider();
+  }
+  
+  logger.info('Synthesizing spoken translation', {
+    recipientId,
+    language: langName,
+    provider: textToSpeechService.name
+  });
+  
+  const timer = monitoringService.startTimer('spoken_translation');
+  try {
+    const speech = await textToSpeechService.synthesize(translation, languageCode);
+    const mediaId = await whatsappService.uploadMedia(speech.audio, speech.mimeType, `translation_${languageCode}.${speech.extension}`);
+    await whatsappService.sendAudioMessage(recipientId, mediaId, replyToMessageId);
+    monitoringService.endTimer(timer, { languageCode, success: true });
+  } catch (error) {
+    monitoringService.endTimer(timer, { languageCode, success: false });
+    throw error;
+  }
+  
+  monitoringService.recordMetric('spoken_translation_count', 1, { languageCode });
+}
+
+// Function to translate a text message
+async function processTextMessage(recipientId, textBody, messageId = null, signal = null) {
+  try {
+    logger.info('Starting text message translation workflow', {
+      recipientId,
+      textLength: textBody.length
+    });
+    
+    // Translate the text, letting the translation service detect the source language
+    const timer = monitoringService.startTimer('text_message_processing');
+    let result;
+    try {
+      result = await translationProcessor.processTranslation(textBody, null, { userId: recipientId });
+      monitoringService.endTimer(timer, { success: true });
+    } catch (error) {
+      monitoringService.endTimer(timer, { success: false });
+      throw error;
+    }
+    signal?.throwIfAborted();
+    logger.info('Text translation completed successfully', {
+      originalTextLength: result.originalText.length,
+      translationCount: Object.keys(result.translations).length
+    });
+    
+    // Send the translations back in the same format as voice notes
+    await sendTranslationReplies(recipientId, result, messageId);
+    
+    logger.info('Text message processing completed successfully', { recipientId });
+  } catch (error) {
+    logger.error('Error in text message translation workflow', {
+      recipientId,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    if (signal?.aborted) {
+      throw error;
+    }
+    
+    // Send an error message to the user
+    await sendErrorReply(recipientId, error, "Sorry, there was an error translating your message. Please try again.", messageId);
+    
+    // Rethrow the error so the job queue records the failure
     throw error;
   }
 }
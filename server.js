@@ -14,6 +14,7 @@ const { createLogger, format, transports } = require('winston');
 const rateLimit = require('express-rate-limit');
 const config = require('./lib/config');
 const webhookRoutes = require('./routes/webhook');
+const { createAdminRouter } = require('./routes/admin');
 const ErrorHandler = require('./utils/errorHandler');
 const monitoringService = require('./utils/monitoring');
 
@@ -62,7 +63,12 @@ const limiter = rateLimit({
 });
 
 app.use(limiter);
-app.use(express.json());
+// Keep the raw body so the webhook signature can be verified against the exact bytes Meta signed
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Basic route
@@ -79,8 +85,20 @@ app.get('/health', (req, res) => {
   res.status(200).json(healthStatus);
 });
 
-// Metrics endpoint
+// Metrics endpoint: Prometheus text format for clients preferring text/plain (or ?format=prometheus),
+// JSON summaries otherwise
 app.get('/metrics', (req, res) => {
+  // Prometheus asks for "text/plain;version=0.0.4", which only matches an offer with the same version
+  const format = req.query.format ||
+    (req.accepts(['application/json', 'text/plain; version=0.0.4']) === 'application/json' ? 'json' : 'prometheus');
+
+  if (format === 'prometheus') {
+    res.status(200)
+      .set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+      .send(monitoringService.getPrometheusMetrics());
+    return;
+  }
+
   const metrics = monitoringService.getAllMetrics();
   res.status(200).json({
     metrics,
@@ -91,6 +109,9 @@ app.get('/metrics', (req, res) => {
 // Webhook routes
 app.use(webhookRoutes);
 
+// Admin routes, only usable when ADMIN_API_TOKEN is set
+app.use(createAdminRouter());
+
 // Error handling middleware - this should be after all routes
 app.use(ErrorHandler.middleware());
 
@@ -0,0 +1,98 @@
+const Acknowledger = require('../utils/acknowledger');
+const WhatsAppService = require('../lib/services/whatsapp');
+
+/**
+ * WhatsApp service stand-in recording every call
+ */
+function fakeWhatsAppService() {
+  return {
+    sendMessage: jest.fn().mockResolvedValue({}),
+    markAsRead: jest.fn().mockResolvedValue({}),
+    sendReaction: jest.fn().mockResolvedValue({})
+  };
+}
+
+describe('Acknowledger', () => {
+  test('should send a processing message in text mode', async () => {
+    const whatsappService = fakeWhatsAppService();
+    const acknowledger = new Acknowledger(whatsappService, 'text');
+
+    await acknowledger.received('15551234567', 'wamid.voice');
+    await acknowledger.succeeded('15551234567', 'wamid.voice');
+
+    expect(whatsappService.sendMessage).toHaveBeenCalledWith('15551234567', expect.stringContaining('Processing'), 'wamid.voice');
+    expect(whatsappService.markAsRead).not.toHaveBeenCalled();
+    expect(whatsappService.sendReaction).not.toHaveBeenCalled();
+  });
+
+  test('should mark the note as read and react in reaction mode', async () => {
+    const whatsappService = fakeWhatsAppService();
+    const acknowledger = new Acknowledger(whatsappService, 'reaction');
+
+    await acknowledger.received('15551234567', 'wamid.voice');
+    await acknowledger.succeeded('15551234567', 'wamid.voice');
+    await acknowledger.failed('15551234567', 'wamid.other');
+
+    expect(whatsappService.markAsRead).toHaveBeenCalledWith('wamid.voice');
+    expect(whatsappService.sendReaction.mock.calls).toEqual([
+      ['15551234567', 'wamid.voice', '⏳'],
+      ['15551234567', 'wamid.voice', '✅'],
+      ['15551234567', 'wamid.other', '❌']
+    ]);
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to text without a message ID', async () => {
+    const whatsappService = fakeWhatsAppService();
+    const acknowledger = new Acknowledger(whatsappService, 'reaction');
+
+    await acknowledger.received('15551234567');
+    expect(whatsappService.sendMessage).toHaveBeenCalled();
+    expect(whatsappService.sendReaction).not.toHaveBeenCalled();
+  });
+
+  test('should not throw when an acknowledgement fails', async () => {
+    const whatsappService = fakeWhatsAppService();
+    whatsappService.sendReaction.mockRejectedValue(new Error('Graph API error'));
+    const acknowledger = new Acknowledger(whatsappService, 'reaction');
+
+    await expect(acknowledger.received('15551234567', 'wamid.voice')).resolves.toBeUndefined();
+    await expect(acknowledger.failed('15551234567', 'wamid.voice')).resolves.toBeUndefined();
+  });
+
+  test('should use text mode for unknown modes', () => {
+    expect(new Acknowledger(fakeWhatsAppService(), 'carrier-pigeon').mode).toBe('text');
+  });
+});
+
+describe('WhatsAppService read receipts and reactions', () => {
+  let service;
+  let post;
+
+  beforeEach(() => {
+    service = new WhatsAppService();
+    post = jest.spyOn(service.client, 'post').mockResolvedValue({ data: { success: true } });
+  });
+
+  test('should mark messages as read', async () => {
+    await service.markAsRead('wamid.voice');
+
+    expect(post).toHaveBeenCalledWith('/messages', {
+      messaging_product: 'whatsapp',
+      status: 'read',
+      message_id: 'wamid.voice'
+    });
+  });
+
+  test('should send reactions', async () => {
+    await service.sendReaction('15551234567', 'wamid.voice', '✅');
+
+    expect(post).toHaveBeenCalledWith('/messages', {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: '15551234567',
+      type: 'reaction',
+      reaction: { message_id: 'wamid.voice', emoji: '✅' }
+    });
+  });
+});
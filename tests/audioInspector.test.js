@@ -0,0 +1,276 @@
+const AudioInspector = require('../utils/audioInspector');
+const ToneTextToSpeech = require('../lib/services/local/ToneTextToSpeech');
+const GoogleSpeechToText = require('../lib/services/google/SpeechToText');
+const config = require('../lib/config');
+const monitoringService = require('../utils/monitoring');
+
+/**
+ * Build a single Ogg page around a payload
+ */
+function oggPage(granulePosition, payload) {
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'ascii');
+  header.writeBigInt64LE(BigInt(granulePosition), 6);
+  header.writeUInt8(1, 26);
+  return Buffer.concat([header, Buffer.from([payload.length]), payload]);
+}
+
+/**
+ * Build a minimal Ogg/Opus stream of the given length
+ */
+function oggOpus(seconds, { preSkip = 312, inputRate = 16000, channels = 1 } = {}) {
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0, 'ascii');
+  opusHead.writeUInt8(1, 8);
+  opusHead.writeUInt8(channels, 9);
+  opusHead.writeUInt16LE(preSkip, 10);
+  opusHead.writeUInt32LE(inputRate, 12);
+
+  return Buffer.concat([
+    oggPage(0, opusHead),
+    oggPage(48000, Buffer.alloc(40)),
+    oggPage(preSkip + seconds * 48000, Buffer.alloc(40))
+  ]);
+}
+
+/**
+ * Build an MP4 box
+ */
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build a minimal M4A file with one audio track
+ */
+function m4a(format, { seconds, sampleRate, channels }) {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(seconds * 1000, 16);
+
+  const entry = Buffer.alloc(36);
+  entry.writeUInt32BE(36, 0);
+  entry.write(format, 4, 'latin1');
+  entry.writeUInt16BE(channels, 24);
+  entry.writeUInt16BE(16, 26);
+  entry.writeUInt32BE(sampleRate * 65536, 32);
+
+  const stsdHeader = Buffer.alloc(8);
+  stsdHeader.writeUInt32BE(1, 4);
+
+  return Buffer.concat([
+    box('ftyp', Buffer.from('M4A \0\0\0\0isom')),
+    box('mdat', Buffer.alloc(64)),
+    box('moov',
+      box('mvhd', mvhd),
+      box('trak', box('mdia', box('minf', box('stbl', box('stsd', stsdHeader, entry))))))
+  ]);
+}
+
+describe('AudioInspector', () => {
+  test('should read Ogg/Opus details and duration', () => {
+    const info = AudioInspector.inspect(oggOpus(90, { inputRate: 48000, channels: 2 }));
+
+    expect(info).toMatchObject({ container: 'ogg', codec: 'opus', sampleRate: 48000, channels: 2, mimeType: 'audio/ogg' });
+    expect(info.durationSeconds).toBeCloseTo(90);
+  });
+
+  test('should read WAV details and duration', () => {
+    const info = AudioInspector.inspect(ToneTextToSpeech.createWav(440, 1500));
+
+    expect(info).toMatchObject({ container: 'wav', codec: 'pcm', sampleRate: 16000, channels: 1, bitsPerSample: 16 });
+    expect(info.durationSeconds).toBeCloseTo(1.5, 2);
+  });
+
+  test('should read constant bitrate MP3 behind an ID3 tag', () => {
+    const id3 = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 10, ...Buffer.alloc(10)]);
+    // MPEG-1 Layer III, 128 kbit/s, 44.1 kHz, joint stereo
+    const frame = Buffer.alloc(16000);
+    frame.set([0xFF, 0xFB, 0x90, 0x64]);
+
+    const info = AudioInspector.inspect(Buffer.concat([id3, frame]));
+
+    expect(info).toMatchObject({ container: 'mp3', codec: 'mp3', sampleRate: 44100, channels: 2, extension: 'mp3' });
+    expect(info.durationSeconds).toBeCloseTo(1, 2);
+  });
+
+  test('should read the MP3 frame count from a Xing header', () => {
+    // MPEG-2 Layer III, 64 kbit/s, 16 kHz, mono
+    const frame = Buffer.alloc(400);
+    frame.set([0xFF, 0xF3, 0x88, 0xC4]);
+    frame.write('Xing', 4 + 9, 'latin1');
+    frame.writeUInt32BE(1, 4 + 9 + 4);
+    frame.writeUInt32BE(1000, 4 + 9 + 8);
+
+    const info = AudioInspector.inspect(frame);
+
+    expect(info).toMatchObject({ codec: 'mp3', sampleRate: 16000, channels: 1 });
+    expect(info.durationSeconds).toBeCloseTo(36);
+  });
+
+  test('should identify AAC in MP4 even when it would be declared as audio/mp4', () => {
+    const info = AudioInspector.inspect(m4a('mp4a', { seconds: 200, sampleRate: 44100, channels: 2 }));
+
+    expect(info).toMatchObject({ container: 'mp4', codec: 'aac', sampleRate: 44100, channels: 2, durationSeconds: 200, extension: 'm4a' });
+  });
+
+  test('should identify ADTS AAC, AMR, FLAC and WebM', () => {
+    expect(AudioInspector.inspect(Buffer.from([0xFF, 0xF1, 0x50, 0x80, 0, 0, 0])))
+      .toMatchObject({ container: 'adts', codec: 'aac', sampleRate: 44100, channels: 2 });
+
+    const amr = Buffer.concat([Buffer.from('#!AMR\n', 'latin1'), Buffer.alloc(50 * 13, 0x04)]);
+    expect(AudioInspector.inspect(amr)).toMatchObject({ codec: 'amr', sampleRate: 8000, durationSeconds: 1 });
+
+    const flac = Buffer.alloc(42);
+    flac.write('fLaC', 0, 'latin1');
+    flac.writeUInt32BE(34, 4);
+    // 16 kHz, mono, 16 bits per sample, 32000 samples
+    flac.set([0x03, 0xE8, 0x00, 0xF0], 18);
+    flac.writeUInt32BE(32000, 22);
+    expect(AudioInspector.inspect(flac)).toMatchObject({ codec: 'flac', sampleRate: 16000, channels: 1, bitsPerSample: 16, durationSeconds: 2 });
+
+    expect(AudioInspector.inspect(Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x9F])))
+      .toMatchObject({ container: 'webm', codec: 'opus', extension: 'webm' });
+  });
+
+  test('should return null for audio it does not recognise', () => {
+    expect(AudioInspector.inspect(Buffer.from('ID3 something'))).toBeNull();
+    expect(AudioInspector.inspect(Buffer.from('plain text'))).toBeNull();
+    expect(AudioInspector.inspect(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('GoogleSpeechToText.recognitionSettings', () => {
+  test('should use the Opus input rate', () => {
+    const info = AudioInspector.inspect(oggOpus(5, { inputRate: 48000 }));
+    expect(GoogleSpeechToText.recognitionSettings(info, 'audio/ogg')).toEqual({ encoding: 'OGG_OPUS', sampleRate: 48000, channels: 1 });
+  });
+
+  test('should use the MP3 header instead of the declared type', () => {
+    const frame = Buffer.alloc(4000);
+    frame.set([0xFF, 0xF3, 0x88, 0xC4]);
+    const info = AudioInspector.inspect(frame);
+
+    expect(GoogleSpeechToText.recognitionSettings(info, 'audio/mp4')).toEqual({ encoding: 'MP3', sampleRate: 16000, channels: 1 });
+  });
+
+  test('should export the declared MIME type with the detected format', () => {
+    GoogleSpeechToText.recognitionSettings(AudioInspector.inspect(oggOpus(10)), 'audio/mpeg');
+
+    expect(monitoringService.getPrometheusMetrics())
+      .toContain('audio_format_detected_total{codec="opus",container="ogg",declaredMimeType="audio/mpeg"} 1');
+  });
+
+  test('should reject AAC rather than label it as MP3', () => {
+    const info = AudioInspector.inspect(m4a('mp4a', { seconds: 10, sampleRate: 44100, channels: 1 }));
+    expect(() => GoogleSpeechToText.recognitionSettings(info, 'audio/mp4')).toThrow('Unsupported audio format: aac');
+  });
+});
+
+describe('GoogleSpeechToText recognition mode', () => {
+  const response = {
+    results: [{ alternatives: [{ transcript: 'Hola', confidence: 0.9 }], languageCode: 'es-es' }]
+  };
+
+  function createProvider(client) {
+    const provider = new GoogleSpeechToText();
+    provider.client = client;
+    return provider;
+  }
+
+  test('should use synchronous recognition for short audio', async () => {
+    const client = {
+      recognize: jest.fn().mockResolvedValue([response]),
+      longRunningRecognize: jest.fn()
+    };
+
+    const result = await createProvider(client).transcribeAudio(oggOpus(20), 'audio/ogg');
+
+    expect(result.text).toBe('Hola');
+    expect(client.recognize).toHaveBeenCalledTimes(1);
+    expect(client.longRunningRecognize).not.toHaveBeenCalled();
+  });
+
+  test('should use long-running recognition for audio over the limit', async () => {
+    const client = {
+      recognize: jest.fn(),
+      longRunningRecognize: jest.fn().mockResolvedValue([{ promise: () => Promise.resolve([response]) }])
+    };
+
+    const result = await createProvider(client).transcribeAudio(oggOpus(240), 'audio/ogg');
+
+    expect(result).toMatchObject({ text: 'Hola', language: 'es-es' });
+    expect(client.recognize).not.toHaveBeenCalled();
+    expect(client.longRunningRecognize).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry as long-running when the duration is unknown and the audio is too long', async () => {
+    const client = {
+      recognize: jest.fn().mockRejectedValue(new Error('3 INVALID_ARGUMENT: Sync input too long. For audio longer than 1 min use LongRunningRecognize with a uri parameter.')),
+      longRunningRecognize: jest.fn().mockResolvedValue([{ promise: () => Promise.resolve([response]) }])
+    };
+
+    const result = await createProvider(client).transcribeAudio(Buffer.from('ID3 audio'), 'audio/mpeg');
+
+    expect(result.text).toBe('Hola');
+    expect(client.longRunningRecognize).toHaveBeenCalledTimes(1);
+  });
+
+  describe('with limits lowered for the test', () => {
+    const speechToTextConfig = { ...config.speechToText };
+
+    afterEach(() => {
+      Object.assign(config.speechToText, speechToTextConfig);
+    });
+
+    test('should give up on long-running recognition after a time based on the audio length', async () => {
+      config.speechToText.longRunningTimeoutRatio = 0.0001;
+      const operation = { promise: () => new Promise(() => {}), removeAllListeners: jest.fn() };
+      const client = {
+        recognize: jest.fn(),
+        longRunningRecognize: jest.fn().mockResolvedValue([operation])
+      };
+
+      const error = await createProvider(client).transcribeAudio(oggOpus(240), 'audio/ogg').catch(caught => caught);
+
+      expect(error).toMatchObject({ code: 'JOB_TIMEOUT', message: 'Long-running recognition did not finish within 24ms' });
+      expect(operation.removeAllListeners).toHaveBeenCalled();
+    });
+
+    test('should send audio over the inline limit through Cloud Storage and delete it afterwards', async () => {
+      Object.assign(config.speechToText, { inlineLimitBytes: 100, gcsBucket: 'voice-notes' });
+      const file = { bucket: { name: 'voice-notes' }, save: jest.fn().mockResolvedValue(), delete: jest.fn().mockResolvedValue() };
+      const bucket = jest.fn().mockReturnValue({ file: name => Object.assign(file, { name }) });
+      const client = {
+        recognize: jest.fn().mockResolvedValue([response]),
+        longRunningRecognize: jest.fn()
+      };
+      const provider = createProvider(client);
+      provider.storage = { bucket };
+      const audio = oggOpus(20);
+
+      const result = await provider.transcribeAudio(audio, 'audio/ogg');
+
+      expect(result.text).toBe('Hola');
+      expect(bucket).toHaveBeenCalledWith('voice-notes');
+      expect(file.save).toHaveBeenCalledWith(audio, { contentType: 'audio/ogg', resumable: false });
+      const [request] = client.recognize.mock.calls[0];
+      expect(request.audio).toEqual({ uri: `gs://voice-notes/${file.name}` });
+      expect(file.name).toMatch(/^speech-to-text\/.+\.ogg$/);
+      expect(file.delete).toHaveBeenCalledWith({ ignoreNotFound: true });
+    });
+
+    test('should reject audio over the inline limit when no bucket is configured', async () => {
+      Object.assign(config.speechToText, { inlineLimitBytes: 100, gcsBucket: null });
+      const client = { recognize: jest.fn(), longRunningRecognize: jest.fn() };
+
+      await expect(createProvider(client).transcribeAudio(oggOpus(20), 'audio/ogg'))
+        .rejects.toMatchObject({ code: 'AUDIO_TOO_LARGE' });
+      expect(client.recognize).not.toHaveBeenCalled();
+    });
+  });
+});
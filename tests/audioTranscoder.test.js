@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AudioTranscoder = require('../utils/audioTranscoder');
+const MediaHandler = require('../utils/mediaHandler');
+const { ProviderUnavailableError, UnsupportedFormatError } = require('../utils/errorHandler');
+
+/**
+ * Write an executable shell script standing in for the ffmpeg binary
+ */
+function writeScript(dir, name, body) {
+  const scriptPath = path.join(dir, name);
+  fs.writeFileSync(scriptPath, `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+  return scriptPath;
+}
+
+describe('AudioTranscoder', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcoder-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function createTranscoder(options = {}) {
+    return new AudioTranscoder({
+      mode: 'auto',
+      ffmpegPath: 'ffmpeg',
+      format: 'flac',
+      sampleRate: 16000,
+      timeout: 5000,
+      ...options
+    });
+  }
+
+  test('should only transcode formats that are not taken as-is in auto mode', () => {
+    const transcoder = createTranscoder();
+
+    expect(transcoder.shouldTranscode({ container: 'ogg', codec: 'opus' })).toBe(false);
+    expect(transcoder.shouldTranscode({ container: 'wav', codec: 'pcm', bitsPerSample: 16 })).toBe(false);
+    expect(transcoder.shouldTranscode({ container: 'wav', codec: 'pcm', bitsPerSample: 24 })).toBe(true);
+    expect(transcoder.shouldTranscode({ container: 'mp4', codec: 'aac' })).toBe(true);
+    expect(transcoder.shouldTranscode({ container: 'amr', codec: 'amr' })).toBe(true);
+    expect(transcoder.shouldTranscode({ container: 'webm', codec: 'opus' })).toBe(true);
+    expect(transcoder.shouldTranscode(null)).toBe(true);
+  });
+
+  test('should follow the always and off modes', () => {
+    expect(createTranscoder({ mode: 'always' }).shouldTranscode({ container: 'ogg', codec: 'opus' })).toBe(true);
+    expect(createTranscoder({ mode: 'off' }).shouldTranscode({ container: 'mp4', codec: 'aac' })).toBe(false);
+  });
+
+  test('should reject invalid settings', () => {
+    expect(() => createTranscoder({ mode: 'sometimes' })).toThrow('transcoding mode must be one of');
+    expect(() => createTranscoder({ format: 'mp3' })).toThrow('transcoding format must be one of');
+  });
+
+  test('should run ffmpeg with mono output at the configured rate', async () => {
+    const argsFile = path.join(tempDir, 'args.txt');
+    const ffmpegPath = writeScript(tempDir, 'ffmpeg', `echo "$@" > "${argsFile}"\nfor last; do :; done\ncp "$5" "$last"`);
+    const inputPath = path.join(tempDir, 'in.m4a');
+    const outputPath = path.join(tempDir, 'out.wav');
+    fs.writeFileSync(inputPath, 'audio');
+
+    const result = await createTranscoder({ ffmpegPath, format: 'linear16', sampleRate: 8000 }).transcode(inputPath, outputPath);
+
+    expect(result).toBe(outputPath);
+    expect(fs.readFileSync(outputPath, 'utf8')).toBe('audio');
+    expect(fs.readFileSync(argsFile, 'utf8')).toContain(`-i ${inputPath} -vn -ac 1 -ar 8000 -c:a pcm_s16le ${outputPath}`);
+  });
+
+  test('should report a missing ffmpeg binary clearly', async () => {
+    const transcoder = createTranscoder({ ffmpegPath: path.join(tempDir, 'missing-ffmpeg') });
+
+    const error = await transcoder.transcode('in.m4a', 'out.flac').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ProviderUnavailableError);
+    expect(error).toMatchObject({
+      reason: 'FFMPEG_NOT_FOUND',
+      message: expect.stringContaining('ffmpeg not found'),
+      cause: expect.objectContaining({ code: 'ENOENT' })
+    });
+  });
+
+  test('should include the ffmpeg error output when it fails', async () => {
+    const ffmpegPath = writeScript(tempDir, 'ffmpeg', 'echo "in.m4a: Invalid data found when processing input" >&2\nexit 1');
+
+    const error = await createTranscoder({ ffmpegPath }).transcode('in.m4a', 'out.flac').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(UnsupportedFormatError);
+    expect(error).toMatchObject({
+      reason: 'TRANSCODE_FAILED',
+      message: 'ffmpeg failed to transcode audio: in.m4a: Invalid data found when processing input'
+    });
+  });
+
+  test('should stop ffmpeg when it takes too long', async () => {
+    const ffmpegPath = writeScript(tempDir, 'ffmpeg', 'exec sleep 5');
+
+    await expect(createTranscoder({ ffmpegPath, timeout: 200 }).transcode('in.m4a', 'out.flac')).rejects.toMatchObject({
+      code: 'JOB_TIMEOUT',
+      reason: 'TRANSCODE_TIMEOUT'
+    });
+  });
+
+  test('should hand transcoded audio to speech recognition from MediaHandler', async () => {
+    const ffmpegPath = writeScript(tempDir, 'ffmpeg', 'for last; do :; done\ncp "$5" "$last"');
+    const mediaHandler = new MediaHandler(createTranscoder({ ffmpegPath }));
+    const amr = Buffer.concat([Buffer.from('#!AMR\n', 'latin1'), Buffer.alloc(13, 0x04)]);
+
+    const processedPath = await mediaHandler.processAudioBuffer(amr, 'audio/amr');
+
+    try {
+      expect(processedPath).toMatch(/\.normalized\.flac$/);
+      expect(fs.readFileSync(processedPath)).toEqual(amr);
+      expect(fs.existsSync(processedPath.replace('.normalized.flac', '.amr'))).toBe(false);
+    } finally {
+      await mediaHandler.cleanupTempFile(processedPath);
+    }
+  });
+});
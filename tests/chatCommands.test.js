@@ -0,0 +1,137 @@
+const CommandRouter = require('../utils/commandRouter');
+const { CommandError } = CommandRouter;
+const { createChatCommandRouter } = require('../utils/chatCommands');
+const { UserPreferencesService, MemoryPreferencesStore } = require('../lib/services/userPreferences');
+const config = require('../lib/config');
+
+describe('CommandRouter', () => {
+  test('should recognise and parse commands', () => {
+    const router = new CommandRouter();
+
+    expect(router.isCommand('/lang add spanish')).toBe(true);
+    expect(router.isCommand('hello there')).toBe(false);
+    expect(router.isCommand('/')).toBe(false);
+    expect(router.parse('  /Lang   add  spanish ')).toEqual({ name: 'lang', args: ['add', 'spanish'] });
+  });
+
+  test('should dispatch to the registered handler with its context', async () => {
+    const router = new CommandRouter();
+    const handler = jest.fn(async (args, context) => `${args.join(',')}:${context.userId}`);
+    router.register('echo', { description: 'Echo arguments', handler });
+
+    await expect(router.dispatch('/echo a b', { userId: 'u1' })).resolves.toBe('a,b:u1');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should answer unknown commands with the help listing', async () => {
+    const router = new CommandRouter();
+    router.register('echo', { description: 'Echo arguments', handler: async () => '' });
+
+    const reply = await router.dispatch('/nope');
+    expect(reply).toContain('Unknown command: /nope');
+    expect(reply).toContain('/echo - Echo arguments');
+  });
+
+  test('should turn handler errors into a usage reply without internal details', async () => {
+    const router = new CommandRouter();
+    router.register('fail', {
+      description: 'Always fails',
+      usage: '/fail <thing>',
+      handler: async () => { throw new Error('ENOENT: no such file data/user-preferences.json'); }
+    });
+
+    const reply = await router.dispatch('/fail');
+    expect(reply).not.toContain('ENOENT');
+    expect(reply).toContain("Sorry, that didn't work.");
+    expect(reply).toContain('Usage: /fail <thing>');
+  });
+
+  test('should show the message of command errors', async () => {
+    const router = new CommandRouter();
+    router.register('pick', {
+      description: 'Needs a thing',
+      handler: async () => { throw new CommandError('Please pick a thing'); }
+    });
+
+    expect(await router.dispatch('/pick')).toContain('Please pick a thing');
+  });
+
+  test('should reject invalid registrations', () => {
+    const router = new CommandRouter();
+    expect(() => router.register('Bad Name', { handler: async () => '' })).toThrow();
+    expect(() => router.register('ok', { handler: null })).toThrow();
+  });
+});
+
+describe('Chat commands', () => {
+  let userPreferences;
+  let router;
+
+  beforeEach(() => {
+    userPreferences = new UserPreferencesService(new MemoryPreferencesStore());
+    router = createChatCommandRouter({ userPreferences });
+  });
+
+  test('/help should list every built-in command', async () => {
+    const reply = await router.dispatch('/help', { userId: 'u1' });
+    ['/help', '/languages', '/lang add|remove <language>', '/output <language> text|audio|both', '/settings'].forEach(usage => {
+      expect(reply).toContain(usage);
+    });
+  });
+
+  test('/lang add should add a language to the user preferences', async () => {
+    const reply = await router.dispatch('/lang add french', { userId: 'u1' });
+
+    expect(reply).toContain('Added French');
+    expect(await userPreferences.getTargetLanguages('u1')).toHaveProperty('french', 'fr');
+  });
+
+  test('/lang remove should remove a language from the user preferences', async () => {
+    await userPreferences.setTargetLanguages('u1', ['fr', 'es']);
+    const reply = await router.dispatch('/lang remove es', { userId: 'u1' });
+
+    expect(reply).toContain('Removed Spanish');
+    expect(await userPreferences.getTargetLanguages('u1')).toEqual({ french: 'fr' });
+  });
+
+  test('/lang remove should explain that the last language cannot be removed', async () => {
+    await userPreferences.setTargetLanguages('u1', ['fr']);
+    const reply = await router.dispatch('/lang remove french', { userId: 'u1' });
+
+    expect(reply).toContain('French is your only language. Add another before removing it.');
+    expect(reply).not.toContain("Sorry, that didn't work.");
+    expect(await userPreferences.getTargetLanguages('u1')).toEqual({ french: 'fr' });
+  });
+
+  test('/lang should explain unknown languages', async () => {
+    const reply = await router.dispatch('/lang add klingon', { userId: 'u1' });
+    expect(reply).toContain('klingon is not an available language');
+  });
+
+  test('/output should set how a language is delivered', async () => {
+    const reply = await router.dispatch('/output spanish both', { userId: 'u1' });
+
+    expect(reply).toContain('Spanish translations will be sent as text and as a voice note');
+    expect(await userPreferences.getOutputMode('u1', 'es')).toBe('both');
+    expect(await router.dispatch('/output spanish loud', { userId: 'u1' })).toContain('Usage: /output');
+  });
+
+  test('/output should only offer text when spoken replies are off', async () => {
+    const provider = config.textToSpeech.provider;
+    config.textToSpeech.provider = 'none';
+
+    try {
+      expect(await router.dispatch('/output spanish audio', { userId: 'u1' })).toContain('Voice replies are not available');
+      expect(await router.dispatch('/output spanish text', { userId: 'u1' })).toContain('Spanish translations will be sent as text');
+    } finally {
+      config.textToSpeech.provider = provider;
+    }
+  });
+
+  test('/languages and /settings should show the current languages', async () => {
+    await userPreferences.setTargetLanguages('u1', ['ur']);
+
+    expect(await router.dispatch('/languages', { userId: 'u1' })).toContain('*Your languages:* Urdu (ur)');
+    expect(await router.dispatch('/settings', { userId: 'u1' })).toContain('Urdu (ur)');
+  });
+});
@@ -0,0 +1,100 @@
+const { CircuitBreaker, CircuitOpenError, getCircuitBreaker } = require('../utils/circuitBreaker');
+const GoogleTranslation = require('../lib/services/google/Translation');
+const monitoringService = require('../utils/monitoring');
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  const outage = () => Promise.reject(Object.assign(new Error('14 UNAVAILABLE: Connection reset'), { code: 14 }));
+
+  beforeEach(() => {
+    breaker = new CircuitBreaker('test_service', { failureThreshold: 2, resetTimeoutMs: 1000, description: 'the test service' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should open after consecutive failures and reject calls without making them', async () => {
+    await expect(breaker.execute(outage)).rejects.toThrow('UNAVAILABLE');
+    await expect(breaker.execute(outage)).rejects.toThrow('UNAVAILABLE');
+
+    const call = jest.fn();
+    const error = await breaker.execute(call).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.userMessage).toBe('Sorry, the test service is temporarily unavailable. Please try again in a few minutes.');
+    expect(call).not.toHaveBeenCalled();
+    expect(breaker.getState()).toMatchObject({ state: 'open', failures: 2, rejectedCalls: 1 });
+  });
+
+  test('should reset the failure count after a success', async () => {
+    await expect(breaker.execute(outage)).rejects.toThrow();
+    await breaker.execute(() => Promise.resolve('ok'));
+    await expect(breaker.execute(outage)).rejects.toThrow();
+
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 1 });
+  });
+
+  test('should not count invalid requests against the service', async () => {
+    const invalid = () => Promise.reject(Object.assign(new Error('3 INVALID_ARGUMENT: Bad encoding'), { code: 3 }));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(breaker.execute(invalid)).rejects.toThrow('INVALID_ARGUMENT');
+    }
+
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  test('should let one probe through when half-open and close on success', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await expect(breaker.execute(outage)).rejects.toThrow();
+    await expect(breaker.execute(outage)).rejects.toThrow();
+
+    Date.now.mockReturnValue(now + 1000);
+    let finishProbe;
+    const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+
+    expect(breaker.getState().state).toBe('half_open');
+    await expect(breaker.execute(() => Promise.resolve('other'))).rejects.toBeInstanceOf(CircuitOpenError);
+
+    finishProbe('ok');
+    await expect(probe).resolves.toBe('ok');
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0, openedAt: null });
+  });
+
+  test('should open again when the probe fails', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await expect(breaker.execute(outage)).rejects.toThrow();
+    await expect(breaker.execute(outage)).rejects.toThrow();
+
+    Date.now.mockReturnValue(now + 1500);
+    await expect(breaker.execute(outage)).rejects.toThrow('UNAVAILABLE');
+
+    expect(breaker.getState()).toMatchObject({ state: 'open', retryInMs: 1000 });
+  });
+});
+
+describe('Service circuit breakers', () => {
+  test('should share one breaker per service and report it in the health status', () => {
+    const breaker = getCircuitBreaker('google_translation');
+
+    expect(new GoogleTranslation().breaker).toBe(breaker);
+    expect(monitoringService.getHealthStatus().components.circuitBreakers.google_translation)
+      .toMatchObject({ state: breaker.state, failureThreshold: breaker.failureThreshold });
+  });
+
+  test('should fail translations straight away while Google Translation is down', async () => {
+    const provider = new GoogleTranslation();
+    provider.breaker = new CircuitBreaker('google_translation_test', { failureThreshold: 1, resetTimeoutMs: 60000, description: 'translation' });
+    provider.translate = { translate: jest.fn().mockRejectedValue(Object.assign(new Error('Backend Error'), { code: 503 })) };
+
+    await expect(provider.translateText('Hola', 'en')).rejects.toThrow('Backend Error');
+    const error = await provider.translateTextMultiple('Hola', ['en', 'fr']).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.userMessage).toContain('translation is temporarily unavailable');
+    expect(provider.translate.translate).toHaveBeenCalledTimes(1);
+  });
+});
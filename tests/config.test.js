@@ -16,6 +16,7 @@ describe('Config', () => {
     expect(config.whatsapp).toHaveProperty('apiToken');
     expect(config.whatsapp).toHaveProperty('phoneNumberId');
     expect(config.whatsapp).toHaveProperty('verifyToken');
+    expect(config.whatsapp).toHaveProperty('appSecret');
     expect(config.whatsapp).toHaveProperty('apiVersion');
     expect(config.whatsapp).toHaveProperty('apiUrl');
   });
@@ -32,6 +33,7 @@ describe('Config', () => {
     expect(config.audio).toHaveProperty('maxFileSize');
     expect(Array.isArray(config.audio.supportedFormats)).toBe(true);
     expect(typeof config.audio.maxFileSize).toBe('number');
+    expect(['auto', 'always', 'off']).toContain(config.audio.transcoding.mode);
   });
 
   test('should have rate limiting configuration', () => {
@@ -39,4 +41,47 @@ describe('Config', () => {
     expect(config.rateLimit).toHaveProperty('maxRequests');
     expect(config.rateLimit).toHaveProperty('message');
   });
-});
\ No newline at end of file
+
+  test('should have translation provider configuration', () => {
+    expect(config.translation).toHaveProperty('provider');
+    expect(config.translation).toHaveProperty('libreTranslate');
+    expect(Array.isArray(config.translation.routes)).toBe(true);
+  });
+
+  test('should leave the language picker off unless enabled', () => {
+    expect(process.env.LANGUAGE_PICKER_ENABLED).toBeUndefined();
+    expect(config.languagePicker.enabled).toBe(false);
+  });
+
+  test('should leave voice activity detection off unless enabled', () => {
+    expect(process.env.VAD_ENABLED).toBeUndefined();
+    expect(config.audio.vad.enabled).toBe(false);
+  });
+
+  test('should turn spoken replies off when the other providers are offline', () => {
+    const env = { ...process.env };
+    Object.assign(process.env, { STT_PROVIDER: 'fixture', TRANSLATION_PROVIDER: 'dictionary' });
+    delete process.env.TTS_PROVIDER;
+    delete process.env.TRANSLATION_PROVIDER_ROUTES;
+    delete process.env.GOOGLE_CLOUD_PROJECT_ID;
+    delete process.env.GOOGLE_APPLICATION_CREDENTIALS;
+
+    try {
+      // Loading the configuration without Google credentials would exit if a Google provider was selected
+      jest.isolateModules(() => {
+        expect(require('../lib/config').textToSpeech.provider).toBe('none');
+      });
+
+      Object.assign(process.env, {
+        TRANSLATION_PROVIDER_ROUTES: '*>ur=google',
+        GOOGLE_CLOUD_PROJECT_ID: 'project',
+        GOOGLE_APPLICATION_CREDENTIALS: '/tmp/credentials.json'
+      });
+      jest.isolateModules(() => {
+        expect(require('../lib/config').textToSpeech.provider).toBe('google');
+      });
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,123 @@
+const axios = require('axios');
+const express = require('express');
+const { DeliveryTracker } = require('../utils/deliveryTracker');
+const WhatsAppService = require('../lib/services/whatsapp');
+const monitoringService = require('../utils/monitoring');
+const { createAdminRouter } = require('../routes/admin');
+
+describe('DeliveryTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new DeliveryTracker({ ttlMs: 60000, maxEntries: 10 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should follow a message through its statuses, even out of order', () => {
+    tracker.track('wamid.1', { recipientId: '15551234567', type: 'text' });
+
+    tracker.recordStatus({ id: 'wamid.1', status: 'sent', timestamp: '1700000000', recipient_id: '15551234567' });
+    tracker.recordStatus({ id: 'wamid.1', status: 'read', timestamp: '1700000010', recipient_id: '15551234567' });
+    const record = tracker.recordStatus({ id: 'wamid.1', status: 'delivered', timestamp: '1700000005', recipient_id: '15551234567' });
+
+    expect(record).toMatchObject({ messageId: 'wamid.1', recipientId: '15551234567', type: 'text', status: 'read', error: null });
+    expect(record.statuses.map(entry => entry.status)).toEqual(['sent', 'read', 'delivered']);
+    expect(record.statuses[0].timestamp).toBe('2023-11-14T22:13:20.000Z');
+    expect(tracker.getStats()).toEqual({ trackedMessages: 1, byStatus: { read: 1 } });
+  });
+
+  test('should record the error of failed deliveries in monitoring', () => {
+    const recordMetric = jest.spyOn(monitoringService, 'recordMetric');
+    tracker.track('wamid.2', { recipientId: '15551234567', type: 'text' });
+
+    tracker.recordStatus({
+      id: 'wamid.2',
+      status: 'failed',
+      timestamp: '1700000000',
+      errors: [{
+        code: 131047,
+        title: 'Re-engagement message',
+        error_data: { details: 'More than 24 hours have passed since the recipient last replied' }
+      }]
+    });
+
+    expect(tracker.get('wamid.2')).toMatchObject({
+      status: 'failed',
+      error: {
+        code: 131047,
+        title: 'Re-engagement message',
+        details: 'More than 24 hours have passed since the recipient last replied'
+      }
+    });
+    expect(recordMetric).toHaveBeenCalledWith('whatsapp_delivery_failed', 1, { errorCode: 131047 });
+  });
+
+  test('should report statuses of untracked messages without storing them', () => {
+    expect(tracker.recordStatus({ id: 'wamid.unknown', status: 'delivered' })).toBeNull();
+    expect(tracker.get('wamid.unknown')).toBeNull();
+    expect(() => tracker.recordStatus({ status: 'delivered' })).toThrow('id and a status');
+  });
+
+  test('should forget messages after the TTL', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    tracker.track('wamid.3', { recipientId: '15551234567', type: 'audio' });
+
+    Date.now.mockReturnValue(now + 60001);
+    expect(tracker.get('wamid.3')).toBeNull();
+    expect(tracker.getStats().trackedMessages).toBe(0);
+  });
+});
+
+describe('WhatsAppService delivery tracking', () => {
+  test('should track the IDs of sent messages', async () => {
+    const tracker = new DeliveryTracker({ ttlMs: 60000, maxEntries: 10 });
+    const service = new WhatsAppService({ deliveryTracker: tracker });
+    jest.spyOn(service.client, 'post').mockResolvedValue({ data: { messages: [{ id: 'wamid.sent' }] } });
+
+    await service.sendMessage('15551234567', 'Hello');
+
+    expect(tracker.get('wamid.sent')).toMatchObject({ recipientId: '15551234567', type: 'text', status: 'accepted' });
+  });
+});
+
+describe('Admin delivery API', () => {
+  let server;
+  let baseUrl;
+  const tracker = new DeliveryTracker({ ttlMs: 60000, maxEntries: 10 });
+
+  beforeAll(done => {
+    const app = express();
+    app.use(createAdminRouter({ apiToken: 'admin-secret', deliveryTracker: tracker }));
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const get = url => axios.get(`${baseUrl}${url}`, {
+    headers: { Authorization: 'Bearer admin-secret' },
+    validateStatus: () => true
+  });
+
+  test('should return the delivery record of a message', async () => {
+    tracker.track('wamid.admin', { recipientId: '15551234567', type: 'text' });
+    tracker.recordStatus({ id: 'wamid.admin', status: 'delivered', timestamp: '1700000000' });
+
+    const response = await get('/admin/messages/wamid.admin/delivery');
+
+    expect(response.status).toBe(200);
+    expect(response.data.delivery).toMatchObject({ messageId: 'wamid.admin', status: 'delivered' });
+  });
+
+  test('should return 404 for untracked messages', async () => {
+    expect((await get('/admin/messages/wamid.missing/delivery')).status).toBe(404);
+  });
+});
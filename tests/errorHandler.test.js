@@ -0,0 +1,113 @@
+const ErrorHandler = require('../utils/errorHandler');
+const {
+  AppError,
+  AudioTooLargeError,
+  NoSpeechDetectedError,
+  ProviderUnavailableError,
+  RateLimitedError
+} = ErrorHandler;
+const GoogleTranslation = require('../lib/services/google/Translation');
+const GoogleSpeechToText = require('../lib/services/google/SpeechToText');
+const TranslationProcessor = require('../utils/translationProcessor');
+const { GraphApiClient } = require('../lib/services/graphApiClient');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+
+describe('AppError', () => {
+  test('should give each kind a code, user message and metric tag', () => {
+    const cause = new Error('buffer over limit');
+    const error = new AudioTooLargeError('Audio file too large: 20000000 bytes', { cause });
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({
+      name: 'AudioTooLargeError',
+      code: 'AUDIO_TOO_LARGE',
+      metricTag: 'audio_too_large',
+      cause
+    });
+    expect(error.userMessage).toContain('too large');
+    expect(new NoSpeechDetectedError('silent').userMessage).toContain("couldn't hear anyone speaking");
+  });
+
+  test('should let a message for the user replace the kind\'s', () => {
+    const error = new ProviderUnavailableError('down', { userMessage: 'Translation is down.' });
+
+    expect(error.userMessage).toBe('Translation is down.');
+    expect(error.metricTag).toBe('provider_unavailable');
+  });
+});
+
+describe('ErrorHandler.wrap', () => {
+  test('should return AppErrors as they are', () => {
+    const error = new RateLimitedError('quota');
+
+    expect(ErrorHandler.wrap(error)).toBe(error);
+  });
+
+  test('should classify gRPC, HTTP and network failures', () => {
+    const exhausted = ErrorHandler.wrap(Object.assign(new Error('8 RESOURCE_EXHAUSTED: Quota exceeded'), { code: 8 }));
+    const unavailable = ErrorHandler.wrap(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }));
+    const unreachable = ErrorHandler.wrap(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    expect(exhausted).toBeInstanceOf(RateLimitedError);
+    expect(unavailable).toBeInstanceOf(ProviderUnavailableError);
+    expect(unavailable.status).toBe(503);
+    expect(unreachable).toBeInstanceOf(ProviderUnavailableError);
+  });
+
+  test('should keep other errors as the cause of an internal error', () => {
+    const cause = new Error('Something odd');
+    const error = ErrorHandler.wrap(cause);
+
+    expect(error).toMatchObject({ code: 'INTERNAL_ERROR', metricTag: 'internal_error', userMessage: null, cause });
+    expect(error.message).toBe('Something odd');
+    expect(ErrorHandler.wrap(cause, 'Server said no').message).toBe('Server said no');
+  });
+});
+
+describe('Error kinds through the services', () => {
+  function googleTranslation(translate) {
+    const provider = new GoogleTranslation();
+    provider.breaker = new CircuitBreaker('google_translation_kinds', { failureThreshold: 100, resetTimeoutMs: 60000 });
+    provider.translate = { translate };
+    return provider;
+  }
+
+  test('should keep the kind and cause of Google Translation failures', async () => {
+    const quotaError = Object.assign(new Error('8 RESOURCE_EXHAUSTED: Quota exceeded'), { code: 8 });
+    const provider = googleTranslation(jest.fn().mockRejectedValue(quotaError));
+
+    const error = await provider.translateText('Hola', 'en').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(RateLimitedError);
+    expect(error.cause).toBe(quotaError);
+  });
+
+  test('should carry the kind up through the translation pipeline', async () => {
+    const processor = new TranslationProcessor();
+    processor.translationService = googleTranslation(
+      jest.fn().mockRejectedValue(Object.assign(new Error('Backend Error'), { code: 503 }))
+    );
+
+    const error = await processor.processTranslation('Hola', 'es').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ProviderUnavailableError);
+    expect(error.status).toBe(503);
+  });
+
+  test('should report unsupported audio as such', () => {
+    const info = { container: 'mp4', codec: 'aac', mimeType: 'audio/mp4', sampleRate: 44100, channels: 2 };
+
+    expect(() => GoogleSpeechToText.recognitionSettings(info, 'audio/mp4')).toThrow(
+      expect.objectContaining({ code: 'UNSUPPORTED_FORMAT', metricTag: 'unsupported_format' })
+    );
+  });
+
+  test('should map WhatsApp rate limits to the rate-limited kind', () => {
+    const error = GraphApiClient.classify(Object.assign(new Error('Request failed with status code 429'), {
+      response: { status: 429, headers: {}, data: { error: { message: 'Rate limit hit', code: 130429 } } }
+    }));
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({ code: 'RATE_LIMITED', metaCode: 130429, metricTag: 'rate_limited' });
+  });
+});
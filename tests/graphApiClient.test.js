@@ -0,0 +1,165 @@
+const http = require('http');
+const {
+  GraphApiClient,
+  GraphAuthError,
+  GraphRateLimitError,
+  GraphRecipientError,
+  GraphTransientError
+} = require('../lib/services/graphApiClient');
+const WhatsAppService = require('../lib/services/whatsapp');
+
+const RETRY = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5, maxRetryAfterMs: 1000 };
+
+describe('GraphApiClient', () => {
+  let server;
+  let baseURL;
+  let responses;
+  let requests;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+      const { status, body, headers = {} } = responses.shift() || { status: 200, body: { ok: true } };
+
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseURL = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    responses = [];
+    requests = [];
+  });
+
+  const metaError = (code, message) => ({ error: { message, type: 'OAuthException', code, fbtrace_id: 'trace123' } });
+
+  test('should retry transient errors until the request succeeds', async () => {
+    responses.push({ status: 500, body: metaError(2, 'Service temporarily unavailable') });
+    responses.push({ status: 200, body: { id: 'media123', url: 'https://media.example/1' } });
+
+    const client = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+    const response = await client.get('/media123');
+
+    expect(response.data).toEqual({ id: 'media123', url: 'https://media.example/1' });
+    expect(requests).toHaveLength(2);
+    expect(requests[0].authorization).toBe('Bearer token');
+  });
+
+  test('should not repeat a POST that may have been carried out', async () => {
+    responses.push({ status: 500, body: metaError(2, 'Service temporarily unavailable') });
+
+    const client = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+    const error = await client.post('/messages', { text: 'hi' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(GraphTransientError);
+    expect(requests).toHaveLength(1);
+
+    const reset = GraphApiClient.classify(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+    const timeout = GraphApiClient.classify(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }));
+    expect(client.retryDelay(reset, 0, 'post')).toBeNull();
+    expect(client.retryDelay(timeout, 0, 'post')).toBeNull();
+    expect(client.retryDelay(reset, 0, 'get')).not.toBeNull();
+  });
+
+  test('should repeat a POST that never reached the server', async () => {
+    const refused = GraphApiClient.classify(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    const dnsFailure = GraphApiClient.classify(Object.assign(new Error('getaddrinfo EAI_AGAIN'), { code: 'EAI_AGAIN' }));
+    const client = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+
+    expect(client.retryDelay(refused, 0, 'post')).not.toBeNull();
+    expect(client.retryDelay(dnsFailure, 0, 'post')).not.toBeNull();
+  });
+
+  test('should honour Retry-After on throttling errors', async () => {
+    responses.push({ status: 429, body: metaError(130429, 'Rate limit hit'), headers: { 'Retry-After': '0.05' } });
+    responses.push({ status: 200, body: { ok: true } });
+
+    const client = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+    const startedAt = Date.now();
+    await client.get('/media');
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(45);
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should give up after the configured retries', async () => {
+    for (let i = 0; i < 3; i++) {
+      responses.push({ status: 400, body: metaError(131056, 'Pair rate limit hit') });
+    }
+
+    const client = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+    const error = await client.post('/messages', {}).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(GraphRateLimitError);
+    expect(error).toMatchObject({ category: 'rate_limit', code: 'RATE_LIMITED', metaCode: 131056, status: 400, fbtraceId: 'trace123' });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('should not retry authentication or recipient errors', async () => {
+    responses.push({ status: 401, body: metaError(190, 'Error validating access token') });
+    responses.push({
+      status: 400,
+      body: { error: { message: 'Re-engagement message', code: 131047, error_data: { details: '24 hour window closed' } } }
+    });
+
+    const client = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+
+    await expect(client.get('/me')).rejects.toBeInstanceOf(GraphAuthError);
+    const error = await client.post('/messages', {}).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(GraphRecipientError);
+    expect(error.message).toBe('Graph API error 131047: Re-engagement message (24 hour window closed)');
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should classify network failures as transient', () => {
+    const error = GraphApiClient.classify(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    expect(error).toBeInstanceOf(GraphTransientError);
+    expect(error.retryable).toBe(true);
+  });
+
+  test('should parse Retry-After in seconds and as a date', () => {
+    expect(GraphApiClient.parseRetryAfter('2')).toBe(2000);
+    expect(GraphApiClient.parseRetryAfter(new Date(Date.now() + 5000).toUTCString())).toBeGreaterThan(3000);
+    expect(GraphApiClient.parseRetryAfter(undefined)).toBeNull();
+  });
+
+  test('should not wait out a Retry-After longer than allowed', () => {
+    const client = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+    const error = new GraphRateLimitError('Rate limit hit', { category: 'rate_limit', retryAfterMs: 5000 });
+
+    expect(client.retryDelay(error, 0)).toBeNull();
+  });
+
+  test('should share keep-alive agents between clients', () => {
+    const first = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+    const second = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+
+    expect(first.http.defaults.httpsAgent).toBe(second.http.defaults.httpsAgent);
+    expect(first.http.defaults.httpsAgent.keepAlive).toBe(true);
+  });
+
+  test('should fetch and download media through the media client', async () => {
+    const service = new WhatsAppService();
+    service.mediaClient = new GraphApiClient({ baseURL, token: 'token', retry: RETRY });
+    responses.push({ status: 503, body: {} });
+    responses.push({ status: 200, body: { url: `${baseURL}/download/media123` } });
+    responses.push({ status: 200, body: { audio: true } });
+
+    const mediaUrl = await service.getMediaUrl('media123');
+    const media = await service.downloadMedia(mediaUrl);
+
+    expect(requests.map(request => request.url)).toEqual(['/media123', '/media123', '/download/media123']);
+    expect(requests[2].authorization).toBe('Bearer token');
+    expect(Buffer.isBuffer(media)).toBe(true);
+  });
+});
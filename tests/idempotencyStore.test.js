@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  createIdempotencyStore
+} = require('../utils/idempotencyStore');
+
+describe('MemoryIdempotencyStore', () => {
+  test('should report a key as new only the first time', async () => {
+    const store = new MemoryIdempotencyStore({ ttlMs: 60000 });
+
+    expect(await store.markIfNew('wamid.1')).toBe(true);
+    expect(await store.markIfNew('wamid.1')).toBe(false);
+    expect(await store.markIfNew('wamid.2')).toBe(true);
+    expect(store.size).toBe(2);
+  });
+
+  test('should forget keys after the TTL', async () => {
+    const store = new MemoryIdempotencyStore({ ttlMs: 10 });
+    await store.markIfNew('wamid.1');
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(await store.has('wamid.1')).toBe(false);
+    expect(await store.markIfNew('wamid.1')).toBe(true);
+  });
+
+  test('should report a released key as new again', async () => {
+    const store = new MemoryIdempotencyStore({ ttlMs: 60000 });
+    await store.markIfNew('wamid.1');
+
+    expect(await store.release('wamid.1')).toBe(true);
+    expect(await store.release('wamid.1')).toBe(false);
+    expect(await store.markIfNew('wamid.1')).toBe(true);
+  });
+
+  test('should reject an invalid key', async () => {
+    const store = new MemoryIdempotencyStore({ ttlMs: 60000 });
+    await expect(store.markIfNew(undefined)).rejects.toThrow();
+  });
+});
+
+describe('FileIdempotencyStore', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should remember keys across instances', async () => {
+    const filePath = path.join(tempDir, 'processed.json');
+
+    const firstStore = new FileIdempotencyStore({ ttlMs: 60000, filePath });
+    expect(await firstStore.markIfNew('wamid.1')).toBe(true);
+
+    const secondStore = new FileIdempotencyStore({ ttlMs: 60000, filePath });
+    expect(await secondStore.markIfNew('wamid.1')).toBe(false);
+  });
+
+  test('should persist released keys', async () => {
+    const filePath = path.join(tempDir, 'processed.json');
+
+    const firstStore = new FileIdempotencyStore({ ttlMs: 60000, filePath });
+    await firstStore.markIfNew('wamid.1');
+    await firstStore.release('wamid.1');
+
+    const secondStore = new FileIdempotencyStore({ ttlMs: 60000, filePath });
+    expect(await secondStore.markIfNew('wamid.1')).toBe(true);
+  });
+
+  test('should start empty when the file is corrupt', async () => {
+    const filePath = path.join(tempDir, 'processed.json');
+    fs.writeFileSync(filePath, 'not json');
+
+    const store = new FileIdempotencyStore({ ttlMs: 60000, filePath });
+    expect(store.size).toBe(0);
+    expect(await store.markIfNew('wamid.1')).toBe(true);
+  });
+});
+
+describe('createIdempotencyStore', () => {
+  test('should create the configured store type', () => {
+    expect(createIdempotencyStore({ store: 'memory', ttlMs: 1000 })).toBeInstanceOf(MemoryIdempotencyStore);
+    expect(createIdempotencyStore({ store: 'file', ttlMs: 1000, filePath: path.join(os.tmpdir(), 'unused.json') }))
+      .toBeInstanceOf(FileIdempotencyStore);
+  });
+});
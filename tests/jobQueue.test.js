@@ -0,0 +1,138 @@
+const JobQueue = require('../utils/jobQueue');
+const { JobTimeoutError, QueueFullError } = JobQueue;
+const monitoringService = require('../utils/monitoring');
+
+describe('JobQueue', () => {
+  beforeEach(() => {
+    monitoringService.metrics.clear();
+    monitoringService.timers.clear();
+  });
+
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should resolve with the result of the job', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 1 });
+    await expect(queue.enqueue(async () => 42)).resolves.toBe(42);
+    expect(queue.getStats().completed).toBe(1);
+  });
+
+  test('should not run more jobs than the concurrency limit', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 2 });
+    let active = 0;
+    let maxActive = 0;
+
+    const job = async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(10);
+      active--;
+    };
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => queue.enqueue(job)));
+
+    expect(maxActive).toBe(2);
+    expect(queue.getStats().completed).toBe(5);
+  });
+
+  test('should start jobs in the order they were enqueued', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 1 });
+    const order = [];
+
+    await Promise.all(['a', 'b', 'c'].map(id => queue.enqueue(async () => {
+      await delay(1);
+      order.push(id);
+    })));
+
+    expect(order).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should reject jobs that exceed the timeout but keep their slot until they stop', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 1, timeout: 20 });
+    let slowJobDone = false;
+    let nextJobStartedEarly = null;
+
+    const slowJob = queue.enqueue(async () => {
+      await delay(100);
+      slowJobDone = true;
+    });
+    const nextJob = queue.enqueue(async () => {
+      nextJobStartedEarly = !slowJobDone;
+      return 'done';
+    });
+
+    await expect(slowJob).rejects.toBeInstanceOf(JobTimeoutError);
+    expect(queue.getStats()).toMatchObject({ running: 1, depth: 1, timedOut: 1 });
+
+    await expect(nextJob).resolves.toBe('done');
+    expect(nextJobStartedEarly).toBe(false);
+  });
+
+  test('should abort the signal of jobs that time out', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 1, timeout: 20 });
+    let abortReason = null;
+
+    const job = queue.enqueue(signal => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        abortReason = signal.reason;
+        reject(signal.reason);
+      });
+    }));
+
+    const error = await job.catch(caught => caught);
+
+    expect(error).toMatchObject({ code: 'JOB_TIMEOUT', metricTag: 'job_timeout' });
+    expect(abortReason).toBe(error);
+    await expect(queue.enqueue(async () => 'next')).resolves.toBe('next');
+    expect(queue.getStats().failed).toBe(0);
+  });
+
+  test('should let jobs extend their own timeout', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 1, timeout: 20 });
+
+    const extended = queue.enqueue(async (signal, job) => {
+      job.extendTimeout(200);
+      await delay(60);
+      return signal.aborted;
+    });
+    await expect(extended).resolves.toBe(false);
+
+    const shortened = queue.enqueue(async (signal, job) => {
+      job.extendTimeout(5);
+      await delay(60);
+    });
+    await expect(shortened).rejects.toThrow('Job timed out after 20ms');
+  });
+
+  test('should turn jobs away when the backlog is full', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 1, maxDepth: 1 });
+
+    const running = queue.enqueue(() => delay(20));
+    const waiting = queue.enqueue(async () => 'waited');
+
+    await expect(queue.enqueue(async () => 'extra')).rejects.toBeInstanceOf(QueueFullError);
+    await running;
+    await expect(waiting).resolves.toBe('waited');
+    expect(queue.getStats()).toMatchObject({ enqueued: 2, rejected: 1 });
+  });
+
+  test('should isolate failing jobs', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 1 });
+
+    await expect(queue.enqueue(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(queue.enqueue(async () => 'ok')).resolves.toBe('ok');
+    expect(queue.getStats().failed).toBe(1);
+  });
+
+  test('should record wait time, run time and depth metrics', async () => {
+    const queue = new JobQueue({ name: 'test', concurrency: 1 });
+    await queue.enqueue(async () => null);
+
+    expect(monitoringService.getMetricSummary('job_queue_wait_time_ms')).not.toBeNull();
+    expect(monitoringService.getMetricSummary('job_queue_run_time_ms')).not.toBeNull();
+    expect(monitoringService.getMetricSummary('job_queue_depth')).not.toBeNull();
+  });
+
+  test('should reject an invalid concurrency setting', () => {
+    expect(() => new JobQueue({ concurrency: 0 })).toThrow();
+  });
+});
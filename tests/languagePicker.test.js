@@ -0,0 +1,132 @@
+const TranscriptStore = require('../utils/transcriptStore');
+const LanguagePicker = require('../utils/languagePicker');
+const WhatsAppService = require('../lib/services/whatsapp');
+
+describe('TranscriptStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return transcripts only to the user they belong to', async () => {
+    const store = new TranscriptStore({ transcriptTtlMs: 60000, maxTranscripts: 10 });
+    const id = await store.save('15551234567', 'Buenos días', 'es');
+
+    expect(id).toMatch(/^[0-9a-f]{16}$/);
+    expect(await store.get(id, '15551234567')).toEqual({ text: 'Buenos días', sourceLanguage: 'es' });
+    expect(await store.get(id, '15557654321')).toBeNull();
+    expect(await store.get('0000', '15551234567')).toBeNull();
+  });
+
+  test('should forget transcripts after the TTL', async () => {
+    const store = new TranscriptStore({ transcriptTtlMs: 60000, maxTranscripts: 10 });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const id = await store.save('15551234567', 'Hello');
+
+    Date.now.mockReturnValue(now + 60001);
+    expect(await store.get(id, '15551234567')).toBeNull();
+
+    await store.save('15551234567', 'Hello again');
+    expect(store.size).toBe(1);
+  });
+
+  test('should drop the oldest transcripts beyond the limit', async () => {
+    const store = new TranscriptStore({ transcriptTtlMs: 60000, maxTranscripts: 2 });
+    const first = await store.save('15551234567', 'One');
+    await store.save('15551234567', 'Two');
+    await store.save('15551234567', 'Three');
+
+    expect(store.size).toBe(2);
+    expect(await store.get(first, '15551234567')).toBeNull();
+  });
+});
+
+describe('LanguagePicker', () => {
+  test('should encode the transcript and language in option IDs', () => {
+    const options = LanguagePicker.options('abc123', { french: 'fr', german: 'de' });
+
+    expect(options).toEqual([
+      { id: 'translate:abc123:fr', title: 'French' },
+      { id: 'translate:abc123:de', title: 'German' }
+    ]);
+    expect(LanguagePicker.parseOptionId(options[0].id)).toEqual({ transcriptId: 'abc123', languageCode: 'fr' });
+    expect(LanguagePicker.parseOptionId('something_else')).toBeNull();
+  });
+
+  test('should use reply buttons for up to three languages and a list otherwise', async () => {
+    const whatsappService = {
+      sendButtonMessage: jest.fn().mockResolvedValue({}),
+      sendListMessage: jest.fn().mockResolvedValue({})
+    };
+
+    await LanguagePicker.send(whatsappService, '15551234567', 'abc123', { french: 'fr', german: 'de' });
+    expect(whatsappService.sendButtonMessage).toHaveBeenCalledWith('15551234567', expect.objectContaining({
+      buttons: expect.arrayContaining([{ id: 'translate:abc123:fr', title: 'French' }])
+    }));
+
+    await LanguagePicker.send(whatsappService, '15551234567', 'abc123', { french: 'fr', german: 'de', urdu: 'ur', russian: 'ru' });
+    const list = whatsappService.sendListMessage.mock.calls[0][1];
+    expect(list.buttonText).toBe('Translate to…');
+    expect(list.sections[0].rows).toHaveLength(4);
+  });
+});
+
+describe('WhatsAppService interactive messages', () => {
+  let service;
+  let post;
+
+  beforeEach(() => {
+    service = new WhatsAppService();
+    post = jest.spyOn(service.client, 'post').mockResolvedValue({ data: { messages: [{ id: 'wamid.1' }] } });
+  });
+
+  test('should send list messages', async () => {
+    await service.sendListMessage('15551234567', {
+      body: 'Pick one',
+      buttonText: 'Translate to…',
+      sections: [{ title: 'Languages', rows: [{ id: 'translate:abc:fr', title: 'French' }] }]
+    });
+
+    expect(post).toHaveBeenCalledWith('/messages', {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: '15551234567',
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: { text: 'Pick one' },
+        action: {
+          button: 'Translate to…',
+          sections: [{ title: 'Languages', rows: [{ id: 'translate:abc:fr', title: 'French' }] }]
+        }
+      }
+    });
+  });
+
+  test('should send reply button messages', async () => {
+    await service.sendButtonMessage('15551234567', {
+      body: 'Pick one',
+      footer: 'Expires in a day',
+      buttons: [{ id: 'translate:abc:fr', title: 'French' }]
+    });
+
+    expect(post.mock.calls[0][1].interactive).toEqual({
+      type: 'button',
+      body: { text: 'Pick one' },
+      footer: { text: 'Expires in a day' },
+      action: { buttons: [{ type: 'reply', reply: { id: 'translate:abc:fr', title: 'French' } }] }
+    });
+  });
+
+  test('should reject messages over the WhatsApp limits', async () => {
+    const buttons = ['a', 'b', 'c', 'd'].map(id => ({ id, title: id }));
+    await expect(service.sendButtonMessage('15551234567', { body: 'Pick one', buttons })).rejects.toThrow('between 1 and 3 buttons');
+
+    await expect(service.sendListMessage('15551234567', {
+      body: 'Pick one',
+      buttonText: 'Translate to…',
+      sections: [{ title: 'Languages', rows: [{ id: 'x', title: 'A title that is far too long for a row' }] }]
+    })).rejects.toThrow('at most 24 characters');
+    expect(post).not.toHaveBeenCalled();
+  });
+});
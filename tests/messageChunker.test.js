@@ -0,0 +1,104 @@
+const MessageChunker = require('../utils/messageChunker');
+const WhatsAppService = require('../lib/services/whatsapp');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+/**
+ * Strip the "(1/3)" label from a part
+ */
+function body(part) {
+  return part.replace(/^\(\d+\/\d+\)\n/, '');
+}
+
+describe('MessageChunker', () => {
+  test('should leave short messages alone', () => {
+    expect(MessageChunker.split('Hello', 100)).toEqual(['Hello']);
+  });
+
+  test('should split between language sections and number the parts', () => {
+    const message = ResponseFormatter.formatTranslatedResponse({
+      english: 'Good morning. '.repeat(5).trim(),
+      spanish: 'Buenos días. '.repeat(5).trim()
+    }, 'Bonjour. '.repeat(5).trim());
+
+    const parts = MessageChunker.split(message, 120);
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part, index) => {
+      expect(part.length).toBeLessThanOrEqual(120);
+      expect(part.startsWith(`(${index + 1}/${parts.length})\n`)).toBe(true);
+    });
+    expect(parts.some(part => body(part).startsWith('*English:*'))).toBe(true);
+    expect(parts.map(body).join('\n\n')).toBe(message);
+  });
+
+  test('should split long sections between sentences', () => {
+    const sentences = Array.from({ length: 20 }, (_, i) => `Sentence number ${i + 1} is here.`);
+    const parts = MessageChunker.split(sentences.join(' '), 100);
+
+    parts.forEach(part => {
+      expect(part.length).toBeLessThanOrEqual(100);
+      expect(body(part)).toMatch(/^Sentence number \d+ is here\./);
+      expect(body(part)).toMatch(/is here\.$/);
+    });
+    expect(parts.map(body).join(' ')).toBe(sentences.join(' '));
+  });
+
+  test('should split between words when there are no sentence breaks', () => {
+    const words = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+    const parts = MessageChunker.split(words, 80);
+
+    parts.forEach(part => expect(part.length).toBeLessThanOrEqual(80));
+    expect(parts.map(body).join(' ')).toBe(words);
+  });
+
+  test('should close and reopen formatting spans cut in half', () => {
+    const message = `*${Array.from({ length: 30 }, (_, i) => `bold${i}`).join(' ')}*`;
+    const parts = MessageChunker.split(message, 80);
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => {
+      expect(body(part)).toMatch(/^\*bold\d+.*\*$/s);
+      expect(MessageChunker.openMarkers(body(part))).toEqual([]);
+    });
+  });
+
+  test('should ignore markers inside words', () => {
+    expect(MessageChunker.openMarkers('snake_case and 5 * 3')).toEqual([]);
+    expect(MessageChunker.openMarkers('*Original:* text _unfinished')).toEqual(['_']);
+  });
+});
+
+describe('WhatsAppService.sendLongMessage', () => {
+  test('should send parts one at a time in order', async () => {
+    const service = new WhatsAppService();
+    const sent = [];
+    let inFlight = 0;
+
+    jest.spyOn(service, 'sendMessage').mockImplementation(async (recipientId, part) => {
+      inFlight++;
+      expect(inFlight).toBe(1);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      sent.push(part);
+      inFlight--;
+      return { messages: [{ id: `wamid.${sent.length}` }] };
+    });
+
+    const message = 'Hello there. '.repeat(800).trim();
+    const responses = await service.sendLongMessage('15551234567', message);
+
+    expect(sent.length).toBeGreaterThan(1);
+    expect(responses).toHaveLength(sent.length);
+    sent.forEach((part, index) => expect(part.startsWith(`(${index + 1}/${sent.length})`)).toBe(true));
+  });
+
+  test('should stop at the first failed part', async () => {
+    const service = new WhatsAppService();
+    const sendMessage = jest.spyOn(service, 'sendMessage')
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Graph API error'));
+
+    await expect(service.sendLongMessage('15551234567', 'Hello there. '.repeat(1000).trim()))
+      .rejects.toThrow('Graph API error');
+    expect(sendMessage).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,184 @@
+const axios = require('axios');
+const MetricsRegistry = require('../utils/metricsRegistry');
+const monitoringService = require('../utils/monitoring');
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry({ maxSeriesPerMetric: 3 });
+  });
+
+  test('should expose counters and gauges per label set', () => {
+    registry.register('whatsapp_message_status', { type: 'counter', labels: ['status'] });
+    registry.register('memory_rss_bytes', { type: 'gauge' });
+    registry.increment('whatsapp_message_status', 1, { status: 'sent' });
+    registry.increment('whatsapp_message_status', 2, { status: 'sent' });
+    registry.increment('whatsapp_message_status', 1, { status: 'read' });
+    registry.set('memory_rss_bytes', 1024);
+    registry.set('memory_rss_bytes', 2048);
+
+    expect(registry.expose()).toBe([
+      '# TYPE whatsapp_message_status_total counter',
+      'whatsapp_message_status_total{status="sent"} 3',
+      'whatsapp_message_status_total{status="read"} 1',
+      '# TYPE memory_rss_bytes gauge',
+      'memory_rss_bytes 2048',
+      ''
+    ].join('\n'));
+  });
+
+  test('should count histogram observations in cumulative buckets', () => {
+    registry.register('google_stt_api_call_duration_ms', { type: 'histogram', labels: ['success'] });
+    registry.observe('google_stt_api_call_duration_ms', 40, { success: true });
+    registry.observe('google_stt_api_call_duration_ms', 700, { success: true });
+    registry.observe('google_stt_api_call_duration_ms', 120000, { success: true });
+
+    const lines = registry.expose().split('\n');
+
+    expect(lines[0]).toBe('# TYPE google_stt_api_call_duration_ms histogram');
+    expect(lines).toContain('google_stt_api_call_duration_ms_bucket{success="true",le="25"} 0');
+    expect(lines).toContain('google_stt_api_call_duration_ms_bucket{success="true",le="50"} 1');
+    expect(lines).toContain('google_stt_api_call_duration_ms_bucket{success="true",le="1000"} 2');
+    expect(lines).toContain('google_stt_api_call_duration_ms_bucket{success="true",le="60000"} 2');
+    expect(lines).toContain('google_stt_api_call_duration_ms_bucket{success="true",le="+Inf"} 3');
+    expect(lines).toContain('google_stt_api_call_duration_ms_sum{success="true"} 120740');
+    expect(lines).toContain('google_stt_api_call_duration_ms_count{success="true"} 3');
+  });
+
+  test('should use buckets matching the unit in the name', () => {
+    expect(MetricsRegistry.bucketsFor('vad_speech_ratio')).toContain(0.5);
+    expect(MetricsRegistry.bucketsFor('vad_trimmed_seconds')).toContain(2.5);
+    expect(MetricsRegistry.bucketsFor('job_queue_wait_time_ms')).toContain(250);
+  });
+
+  test('should escape label values and sanitize names', () => {
+    registry.register('google-translation.calls', { type: 'counter', labels: ['source text', 'missing'] });
+    registry.increment('google-translation.calls', 1, { 'source text': 'say "hi"\\n', missing: undefined });
+
+    expect(registry.expose()).toContain('google_translation_calls_total{source_text="say \\"hi\\"\\\\n"} 1');
+  });
+
+  test('should drop label sets beyond the limit and ignore type conflicts', () => {
+    registry.register('chat_command_count', { type: 'counter', labels: ['command'] });
+    for (let i = 0; i < 5; i++) {
+      registry.increment('chat_command_count', 1, { command: `command${i}` });
+    }
+    registry.set('chat_command_count', 10);
+
+    expect(registry.expose().match(/^chat_command_count_total/gm)).toHaveLength(3);
+  });
+
+  test('should record values as the declared type', () => {
+    registry.register('job_queue_depth', { type: 'gauge', labels: ['queue'] });
+    registry.register('vad_speech_ratio', { type: 'histogram' });
+
+    expect(registry.record('job_queue_depth', 4, { queue: 'messages' })).toBe(true);
+    expect(registry.record('job_queue_depth', 2, { queue: 'messages' })).toBe(true);
+    expect(registry.record('vad_speech_ratio', 0.3)).toBe(true);
+
+    const exposed = registry.expose();
+    expect(exposed).toContain('job_queue_depth{queue="messages"} 2');
+    expect(exposed).toContain('# TYPE vad_speech_ratio histogram');
+  });
+
+  test('should only export the declared labels', () => {
+    registry.register('transcribe_audio_file_duration_ms', { type: 'histogram', labels: ['success'] });
+    for (let i = 0; i < 5; i++) {
+      registry.record('transcribe_audio_file_duration_ms', 100, { filePath: `/tmp/${i}.ogg`, success: true });
+    }
+
+    const exposed = registry.expose();
+    expect(exposed).toContain('transcribe_audio_file_duration_ms_count{success="true"} 5');
+    expect(exposed).not.toContain('filePath');
+  });
+
+  test('should skip metrics that were not registered', () => {
+    expect(registry.record('unregistered_event', 1)).toBe(false);
+    expect(registry.expose()).toBe('');
+  });
+
+  test('should refuse to register a metric again with another type or labels', () => {
+    registry.register('translation_cache_hit', { type: 'counter', labels: ['tier'] });
+
+    expect(() => registry.register('translation_cache_hit', { type: 'counter', labels: ['tier'] })).not.toThrow();
+    expect(() => registry.register('translation_cache_hit', { type: 'gauge', labels: ['tier'] })).toThrow('already registered');
+    expect(() => registry.register('translation_cache_hit', { type: 'counter' })).toThrow('already registered');
+    expect(() => registry.register('translation_cache_size', { type: 'summary' })).toThrow('must be one of');
+  });
+});
+
+describe('MonitoringService Prometheus metrics', () => {
+  beforeAll(() => {
+    monitoringService.registerMetric('prometheus_test_event', { type: 'counter', labels: ['kind'] });
+  });
+
+  test('should export the metrics modules register', () => {
+    const exposed = monitoringService.getPrometheusMetrics();
+
+    expect(exposed).toContain('# TYPE api_response_time_ms histogram');
+    expect(exposed).toContain('# TYPE cpu_usage_percent gauge');
+    expect(exposed).toContain('# TYPE error_count_total counter');
+  });
+
+  test('should keep unregistered metrics out of the Prometheus format only', () => {
+    monitoringService.recordMetric('prometheus_unregistered_event', 1);
+
+    expect(monitoringService.getMetricSummary('prometheus_unregistered_event').count).toBe(1);
+    expect(monitoringService.getPrometheusMetrics()).not.toContain('prometheus_unregistered_event');
+  });
+
+  test('should keep counts past the sample history limit', () => {
+    for (let i = 0; i < 1005; i++) {
+      monitoringService.recordMetric('prometheus_test_event', 1, { kind: 'test' });
+    }
+
+    expect(monitoringService.getMetricSummary('prometheus_test_event').count).toBe(1000);
+    expect(monitoringService.getPrometheusMetrics()).toContain('prometheus_test_event_total{kind="test"} 1005');
+  });
+});
+
+describe('GET /metrics', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    const app = require('../server');
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    monitoringService.registerMetric('metrics_route_test', { type: 'counter' });
+    monitoringService.recordMetric('metrics_route_test', 1);
+  });
+
+  test('should serve JSON summaries by default', async () => {
+    const response = await axios.get(`${baseUrl}/metrics`);
+
+    expect(response.headers['content-type']).toMatch(/application\/json/);
+    expect(response.data.metrics).toEqual(expect.arrayContaining([expect.objectContaining({ name: 'metrics_route_test' })]));
+  });
+
+  test('should serve the Prometheus text format to scrapers', async () => {
+    const response = await axios.get(`${baseUrl}/metrics`, {
+      headers: { Accept: 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5,*/*;q=0.1' }
+    });
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.data).toContain('# TYPE metrics_route_test_total counter');
+    expect((await axios.get(`${baseUrl}/metrics`, { headers: { Accept: 'text/plain' } })).data).toContain('metrics_route_test_total');
+  });
+
+  test('should let the format be picked with a query parameter', async () => {
+    const response = await axios.get(`${baseUrl}/metrics?format=prometheus`);
+
+    expect(response.data).toMatch(/^metrics_route_test_total \d+$/m);
+  });
+});
@@ -27,6 +27,27 @@ describe('MonitoringService', () => {
     expect(summary).not.toBeNull();
   });
 
+  test('should time concurrent runs of an operation separately', async () => {
+    monitoringService.registerTimer('concurrent_timer', ['run']);
+    const slow = monitoringService.startTimer('concurrent_timer');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const fast = monitoringService.startTimer('concurrent_timer');
+
+    const fastDuration = monitoringService.endTimer(fast, { run: 'fast' });
+    const slowDuration = monitoringService.endTimer(slow, { run: 'slow' });
+
+    expect(slowDuration).toBeGreaterThanOrEqual(25);
+    expect(fastDuration).toBeLessThan(slowDuration);
+    expect(monitoringService.getMetricSummary('concurrent_timer_duration_ms').count).toBe(2);
+    expect(monitoringService.getPrometheusMetrics()).toContain('concurrent_timer_duration_ms_count{run="slow"} 1');
+  });
+
+  test('should ignore timers that were never started', () => {
+    expect(monitoringService.endTimer('never_started')).toBe(0);
+    expect(monitoringService.endTimer({ operationId: 'never_started' })).toBe(0);
+    expect(monitoringService.getMetricSummary('never_started_duration_ms')).toBeNull();
+  });
+
   test('should return health status', () => {
     const healthStatus = monitoringService.getHealthStatus();
     
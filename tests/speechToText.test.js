@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SpeechToTextProvider = require('../lib/services/providers/SpeechToTextProvider');
+const FixtureSpeechToText = require('../lib/services/local/FixtureSpeechToText');
+const { createSpeechToTextProvider } = require('../lib/services/providers');
+
+describe('FixtureSpeechToText', () => {
+  const knownAudio = Buffer.from('known voice note');
+  const detailedAudio = Buffer.from('detailed voice note');
+
+  const provider = new FixtureSpeechToText({
+    fixtures: {
+      [FixtureSpeechToText.hashAudio(knownAudio)]: 'Hola, ¿cómo estás?',
+      [FixtureSpeechToText.hashAudio(detailedAudio)]: { text: 'Bonjour', language: 'fr-FR', confidence: 0.8 }
+    }
+  });
+
+  test('should return the canned transcript for known audio', async () => {
+    const result = await provider.transcribeAudio(knownAudio, 'audio/ogg');
+
+    expect(result.text).toBe('Hola, ¿cómo estás?');
+    expect(result.confidence).toBe(1);
+    expect(result.segments).toHaveLength(1);
+  });
+
+  test('should return the full fixture result when given', async () => {
+    const result = await provider.transcribeAudio(detailedAudio, 'audio/ogg');
+
+    expect(result).toMatchObject({ text: 'Bonjour', language: 'fr-FR', confidence: 0.8 });
+  });
+
+  test('should return an empty transcript for unknown audio', async () => {
+    const result = await provider.transcribeAudio(Buffer.from('something else'), 'audio/ogg');
+
+    expect(result.text).toBe('');
+    expect(result.confidence).toBe(0);
+    expect(result.segments).toEqual([]);
+  });
+
+  test('should transcribe files through the provider interface', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-'));
+    const filePath = path.join(tempDir, 'note.ogg');
+    fs.writeFileSync(filePath, knownAudio);
+
+    try {
+      const result = await provider.transcribeAudioFile(filePath);
+      expect(result.text).toBe('Hola, ¿cómo estás?');
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should load fixtures from a JSON file', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-'));
+    const fixturesPath = path.join(tempDir, 'fixtures.json');
+    fs.writeFileSync(fixturesPath, JSON.stringify({ [FixtureSpeechToText.hashAudio(knownAudio)]: 'from file' }));
+
+    try {
+      const fileProvider = new FixtureSpeechToText({ fixturesPath });
+      expect((await fileProvider.transcribeAudio(knownAudio)).text).toBe('from file');
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('SpeechToTextProvider', () => {
+  test('should guess MIME types from file extensions', () => {
+    expect(SpeechToTextProvider.mimeTypeFromPath('/tmp/a.wav')).toBe('audio/wav');
+    expect(SpeechToTextProvider.mimeTypeFromPath('/tmp/a.mp3')).toBe('audio/mpeg');
+    expect(SpeechToTextProvider.mimeTypeFromPath('/tmp/a.unknown')).toBe('audio/ogg');
+  });
+
+  test('should allow time for long-running recognition in proportion to the audio length', () => {
+    expect(SpeechToTextProvider.recognitionTimeout(20)).toBe(0);
+    expect(SpeechToTextProvider.recognitionTimeout(null)).toBe(0);
+    expect(SpeechToTextProvider.recognitionTimeout(600)).toBe(600000);
+  });
+
+  test('should create the configured provider', () => {
+    expect(createSpeechToTextProvider('fixture')).toBeInstanceOf(FixtureSpeechToText);
+    expect(() => createSpeechToTextProvider('nope')).toThrow('Unknown speech-to-text provider');
+  });
+});
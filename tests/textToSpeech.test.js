@@ -0,0 +1,41 @@
+const TextToSpeechProvider = require('../lib/services/providers/TextToSpeechProvider');
+const ToneTextToSpeech = require('../lib/services/local/ToneTextToSpeech');
+const { createTextToSpeechProvider } = require('../lib/services/providers');
+
+describe('ToneTextToSpeech', () => {
+  const provider = new ToneTextToSpeech();
+
+  test('should produce a valid mono 16-bit WAV file', async () => {
+    const speech = await provider.synthesize('Hola, ¿cómo estás?', 'es');
+
+    expect(speech.mimeType).toBe('audio/wav');
+    expect(speech.extension).toBe('wav');
+    expect(speech.audio.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(speech.audio.toString('ascii', 8, 12)).toBe('WAVE');
+    expect(speech.audio.readUInt16LE(22)).toBe(1); // channels
+    expect(speech.audio.readUInt16LE(34)).toBe(16); // bits per sample
+    expect(speech.audio.readUInt32LE(40)).toBe(speech.audio.length - 44);
+  });
+
+  test('should be deterministic for the same input', async () => {
+    const first = await provider.synthesize('Hello', 'en');
+    const second = await provider.synthesize('Hello', 'en');
+    expect(first.audio.equals(second.audio)).toBe(true);
+  });
+
+  test('should reject empty text', async () => {
+    await expect(provider.synthesize('  ', 'en')).rejects.toThrow();
+  });
+});
+
+describe('createTextToSpeechProvider', () => {
+  test('should create the tone provider', () => {
+    const provider = createTextToSpeechProvider('tone');
+    expect(provider).toBeInstanceOf(TextToSpeechProvider);
+    expect(provider.name).toBe('tone');
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createTextToSpeechProvider('nope')).toThrow('Unknown text-to-speech provider');
+  });
+});
@@ -0,0 +1,229 @@
+const http = require('http');
+const DictionaryTranslation = require('../lib/services/local/DictionaryTranslation');
+const LibreTranslateTranslation = require('../lib/services/libretranslate/Translation');
+const RoutingTranslation = require('../lib/services/providers/RoutingTranslation');
+const { createTranslationProvider } = require('../lib/services/providers');
+const TranslationProcessor = require('../utils/translationProcessor');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+describe('DictionaryTranslation', () => {
+  const provider = new DictionaryTranslation({
+    dictionary: {
+      es: { 'Good morning': 'Buenos días' },
+      fr: { 'good morning': 'Bonjour' }
+    }
+  });
+
+  test('should translate known phrases regardless of case and spacing', async () => {
+    expect(await provider.translateText('good   MORNING ', 'es')).toBe('Buenos días');
+  });
+
+  test('should tag unknown phrases with the target language', async () => {
+    expect(await provider.translateText('Good night', 'fr')).toBe('[fr] Good night');
+  });
+
+  test('should translate to multiple languages through the shared interface', async () => {
+    const translations = await provider.translateTextMultiple('Good morning', ['es', 'fr']);
+    expect(translations).toEqual({ es: 'Buenos días', fr: 'Bonjour' });
+  });
+
+  test('should reject empty text', async () => {
+    await expect(provider.translateText('  ', 'es')).rejects.toThrow('non-empty string');
+  });
+
+  test('should detect the language of known translations', async () => {
+    expect(await provider.detectLanguage('buenos  días')).toEqual({ language: 'es', confidence: 1 });
+    expect(await provider.detectLanguage('Good night')).toBeNull();
+  });
+});
+
+describe('TranslationProvider.translateTextMultiple', () => {
+  test('should flag failed languages without exposing the provider error', async () => {
+    const provider = new DictionaryTranslation({ dictionary: { es: { hello: 'hola' } } });
+    jest.spyOn(provider, 'translateText').mockImplementation(async (text, lang) => {
+      if (lang === 'fr') {
+        throw new Error('socket hang up at 10.0.0.12:443');
+      }
+      return 'hola';
+    });
+
+    const translations = await provider.translateTextMultiple('hello', ['es', 'fr']);
+    const message = ResponseFormatter.formatTranslatedResponse({ spanish: translations.es, french: translations.fr });
+
+    expect(translations).toEqual({ es: 'hola', fr: null });
+    expect(message).toContain('*French:* _Not available right now');
+    expect(message).not.toContain('socket hang up');
+  });
+
+  test('should throw when every language failed', async () => {
+    const provider = new DictionaryTranslation();
+    jest.spyOn(provider, 'translateText').mockRejectedValue(new Error('Invalid API key'));
+
+    await expect(provider.translateTextMultiple('hello', ['es', 'fr'])).rejects.toThrow('Invalid API key');
+  });
+});
+
+describe('RoutingTranslation', () => {
+  const defaultProvider = new DictionaryTranslation({ dictionary: { es: { hello: 'hola (default)' } } });
+  const routedProvider = new DictionaryTranslation({ dictionary: { es: { hello: 'hola (routed)' } } });
+
+  const provider = new RoutingTranslation(defaultProvider, [
+    { source: 'en', target: 'es', provider: routedProvider }
+  ]);
+
+  test('should use the routed provider for a matching language pair', async () => {
+    expect(await provider.translateText('hello', 'es', 'en-US')).toBe('hola (routed)');
+  });
+
+  test('should fall back to the default provider otherwise', async () => {
+    expect(await provider.translateText('hello', 'es')).toBe('hola (default)');
+    expect(await provider.translateText('hello', 'es', 'fr')).toBe('hola (default)');
+  });
+
+  test('should be created by the factory when routes are configured', () => {
+    const created = createTranslationProvider('dictionary', [
+      { source: '*', target: 'es', provider: 'libretranslate' }
+    ]);
+
+    expect(created).toBeInstanceOf(RoutingTranslation);
+    expect(created.resolveProvider('es')).toBeInstanceOf(LibreTranslateTranslation);
+    expect(created.resolveProvider('fr')).toBeInstanceOf(DictionaryTranslation);
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createTranslationProvider('babelfish', [])).toThrow('Unknown translation provider');
+  });
+});
+
+describe('LibreTranslateTranslation', () => {
+  let server;
+  let requests;
+  let url;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        requests.push({ path: req.url, payload });
+
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/detect') {
+          res.end(JSON.stringify([{ language: 'es', confidence: 90 }, { language: 'pt', confidence: 40 }]));
+          return;
+        }
+        if (payload.target === 'xx') {
+          res.statusCode = 400;
+          res.end(JSON.stringify({ error: 'xx is not supported' }));
+          return;
+        }
+        res.end(JSON.stringify({ translatedText: `${payload.target}:${payload.q}` }));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  test('should post LibreTranslate requests', async () => {
+    const provider = new LibreTranslateTranslation({ url, apiKey: 'secret', timeout: 5000 });
+
+    expect(await provider.translateText('Hello', 'es')).toBe('es:Hello');
+    expect(requests).toEqual([{
+      path: '/translate',
+      payload: { q: 'Hello', source: 'auto', target: 'es', format: 'text', api_key: 'secret' }
+    }]);
+  });
+
+  test('should pass the source language and omit a missing API key', async () => {
+    const provider = new LibreTranslateTranslation({ url, apiKey: null, timeout: 5000 });
+
+    await provider.translateText('Hola', 'en', 'es');
+    expect(requests[0].payload).toEqual({ q: 'Hola', source: 'es', target: 'en', format: 'text' });
+  });
+
+  test('should surface the server error message', async () => {
+    const provider = new LibreTranslateTranslation({ url, apiKey: null, timeout: 5000 });
+
+    await expect(provider.translateText('Hello', 'xx')).rejects.toThrow('xx is not supported');
+  });
+
+  test('should detect languages with confidence scaled to 0-1', async () => {
+    const provider = new LibreTranslateTranslation({ url, apiKey: null, timeout: 5000 });
+
+    expect(await provider.detectLanguage('Hola')).toEqual({ language: 'es', confidence: 0.9 });
+    expect(requests[0]).toEqual({ path: '/detect', payload: { q: 'Hola' } });
+  });
+});
+
+describe('TranslationProcessor source language', () => {
+  const targetLanguages = { english: 'en', spanish: 'es' };
+  let processor;
+
+  beforeEach(() => {
+    processor = new TranslationProcessor();
+    processor.translationService = new DictionaryTranslation({
+      dictionary: {
+        en: { 'buenos días': 'Good morning' },
+        es: { 'good morning': 'Buenos días' }
+      }
+    });
+    jest.spyOn(processor, 'resolveTargetLanguages').mockResolvedValue(targetLanguages);
+  });
+
+  test('should not translate into the language reported by speech-to-text', async () => {
+    const result = await processor.processTranslation('Buenos días', 'es-ES', { sourceConfidence: 0.9 });
+
+    expect(result.sourceLanguage).toBe('es');
+    expect(result.translations).toEqual({ english: 'Good morning' });
+  });
+
+  test('should detect the language from the text when speech-to-text is unsure', async () => {
+    const result = await processor.processTranslation('Buenos días', 'en-US', { sourceConfidence: 0.2 });
+
+    expect(result.sourceLanguage).toBe('es');
+    expect(Object.keys(result.translations)).toEqual(['english']);
+  });
+
+  test('should leave out the language and skip no target when detection is unsure', async () => {
+    jest.spyOn(processor.translationService, 'detectLanguage').mockResolvedValue({ language: 'es', confidence: 0.3 });
+
+    const result = await processor.processTranslation('Buenos días', 'es-ES', { sourceConfidence: 0.2 });
+
+    expect(result.sourceLanguage).toBeNull();
+    expect(Object.keys(result.translations).sort()).toEqual(['english', 'spanish']);
+    expect(ResponseFormatter.formatTranslatedResponse(result.translations, result.originalText, result.sourceLanguage))
+      .toContain('*Original:* Buenos días');
+  });
+
+  test('should translate into every language when the source is unknown', async () => {
+    const result = await processor.processTranslation('Guten Morgen');
+
+    expect(result.sourceLanguage).toBeNull();
+    expect(result.translations).toEqual({ english: '[en] Guten Morgen', spanish: '[es] Guten Morgen' });
+  });
+
+  test('should return no translations when the only target is the source language', async () => {
+    processor.resolveTargetLanguages.mockResolvedValue({ spanish: 'es' });
+
+    const result = await processor.processTranslation('Buenos días', 'es-ES');
+    expect(result.translations).toEqual({});
+  });
+
+  test('should label the original with its language', () => {
+    const message = ResponseFormatter.formatTranslatedResponse({ english: 'Good morning' }, 'Buenos días', 'es');
+
+    expect(message).toContain('*Original (Spanish):* Buenos días');
+    expect(message).not.toContain('*Spanish:*');
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const { TranslationCache } = require('../utils/translationCache');
+const CachingTranslation = require('../lib/services/providers/CachingTranslation');
+const RoutingTranslation = require('../lib/services/providers/RoutingTranslation');
+const DictionaryTranslation = require('../lib/services/local/DictionaryTranslation');
+const { createAdminRouter } = require('../routes/admin');
+
+describe('TranslationCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new TranslationCache({ maxEntries: 2, ttlMs: 60000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should share entries between texts differing only in whitespace', async () => {
+    await cache.set('dictionary', 'thank  you ', 'es', null, 'gracias');
+
+    expect(await cache.get('dictionary', 'thank you', 'es')).toBe('gracias');
+    expect(await cache.get('dictionary', 'thank you', 'fr')).toBeNull();
+    expect(await cache.get('dictionary', 'thank you', 'es', 'en')).toBeNull();
+  });
+
+  test('should keep translations of different providers apart', async () => {
+    await cache.set('dictionary', 'thank you', 'es', null, 'gracias');
+
+    expect(await cache.get('google', 'thank you', 'es')).toBeNull();
+    expect(await cache.get('dictionary', 'thank you', 'es')).toBe('gracias');
+  });
+
+  test('should evict the least recently used entry', async () => {
+    await cache.set('dictionary', 'one', 'es', null, 'uno');
+    await cache.set('dictionary', 'two', 'es', null, 'dos');
+    await cache.get('dictionary', 'one', 'es');
+    await cache.set('dictionary', 'three', 'es', null, 'tres');
+
+    expect(await cache.get('dictionary', 'two', 'es')).toBeNull();
+    expect(await cache.get('dictionary', 'one', 'es')).toBe('uno');
+    expect(cache.getStats()).toMatchObject({ memoryEntries: 2, evictions: 1 });
+  });
+
+  test('should expire entries after the TTL', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await cache.set('dictionary', 'hello', 'es', null, 'hola');
+
+    Date.now.mockReturnValue(now + 60001);
+    expect(await cache.get('dictionary', 'hello', 'es')).toBeNull();
+  });
+
+  test('should count hits and misses', async () => {
+    await cache.set('dictionary', 'hello', 'es', null, 'hola');
+    await cache.get('dictionary', 'hello', 'es');
+    await cache.get('dictionary', 'goodbye', 'es');
+
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  describe('file tier', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should keep translations across restarts and promote them to memory', async () => {
+      const filePath = path.join(tempDir, 'translation-cache.json');
+
+      const first = new TranslationCache({ maxEntries: 1, ttlMs: 60000, filePath, maxFileEntries: 10 });
+      await first.set('dictionary', 'hello', 'es', null, 'hola');
+      await first.set('dictionary', 'goodbye', 'es', null, 'adiós');
+      await first.persist();
+
+      const second = new TranslationCache({ maxEntries: 1, ttlMs: 60000, filePath, maxFileEntries: 10 });
+      expect(second.getStats()).toMatchObject({ memoryEntries: 0, fileEntries: 2 });
+      expect(await second.get('dictionary', 'hello', 'es')).toBe('hola');
+      expect(second.getStats().memoryEntries).toBe(1);
+    });
+
+    test('should empty both tiers on flush', async () => {
+      const filePath = path.join(tempDir, 'translation-cache.json');
+
+      const first = new TranslationCache({ maxEntries: 5, ttlMs: 60000, filePath });
+      await first.set('dictionary', 'hello', 'es', null, 'hola');
+      expect(await first.flush()).toEqual({ memoryEntries: 1, fileEntries: 1 });
+
+      const second = new TranslationCache({ maxEntries: 5, ttlMs: 60000, filePath });
+      expect(await second.get('dictionary', 'hello', 'es')).toBeNull();
+    });
+  });
+});
+
+describe('CachingTranslation', () => {
+  test('should only call the wrapped provider on a cache miss', async () => {
+    const provider = new DictionaryTranslation({ dictionary: { es: { hello: 'hola' } } });
+    const translate = jest.spyOn(provider, 'translateText');
+    const cachingProvider = new CachingTranslation(provider, new TranslationCache({ maxEntries: 10, ttlMs: 60000 }));
+
+    expect(await cachingProvider.translateTextMultiple('hello', ['es'])).toEqual({ es: 'hola' });
+    expect(await cachingProvider.translateText('hello', 'es')).toBe('hola');
+    expect(translate).toHaveBeenCalledTimes(1);
+    expect(cachingProvider.name).toBe('dictionary');
+  });
+
+  test('should not reuse translations after a language pair is routed to another provider', async () => {
+    const cache = new TranslationCache({ maxEntries: 10, ttlMs: 60000 });
+    const dictionary = new DictionaryTranslation({ dictionary: { es: { hello: 'hola' } } });
+    const otherProvider = new DictionaryTranslation({ dictionary: { es: { hello: '¡hola!' } } });
+    otherProvider.name = 'other';
+
+    expect(await new CachingTranslation(dictionary, cache).translateText('hello', 'es')).toBe('hola');
+
+    const routed = new RoutingTranslation(dictionary, [{ source: '*', target: 'es', provider: otherProvider }]);
+    expect(await new CachingTranslation(routed, cache).translateText('hello', 'es')).toBe('¡hola!');
+  });
+});
+
+describe('Admin translation cache API', () => {
+  let server;
+  let baseUrl;
+  let cache;
+
+  beforeAll(done => {
+    cache = new TranslationCache({ maxEntries: 10, ttlMs: 60000 });
+    const app = express();
+    app.use(createAdminRouter({ apiToken: 'admin-secret', translationCache: cache }));
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const post = (url, headers = {}) => axios.post(`${baseUrl}${url}`, null, { headers, validateStatus: () => true });
+
+  test('should reject requests without the admin token', async () => {
+    expect((await post('/admin/translation-cache/flush')).status).toBe(401);
+    expect((await post('/admin/translation-cache/flush', { Authorization: 'Bearer wrong' })).status).toBe(401);
+  });
+
+  test('should flush the cache with the admin token', async () => {
+    await cache.set('dictionary', 'hello', 'es', null, 'hola');
+
+    const response = await post('/admin/translation-cache/flush', { Authorization: 'Bearer admin-secret' });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual({ success: true, flushed: { memoryEntries: 1, fileEntries: 0 } });
+    expect(await cache.get('dictionary', 'hello', 'es')).toBeNull();
+  });
+
+  test('should not exist without a configured token', async () => {
+    const app = express();
+    app.use(createAdminRouter({ apiToken: null, translationCache: cache }));
+    const disabledServer = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => disabledServer.once('listening', resolve));
+
+    try {
+      const response = await axios.post(
+        `http://127.0.0.1:${disabledServer.address().port}/admin/translation-cache/flush`,
+        null,
+        { headers: { Authorization: 'Bearer anything' }, validateStatus: () => true }
+      );
+      expect(response.status).toBe(404);
+    } finally {
+      await new Promise(resolve => disabledServer.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../lib/config');
+const {
+  UserPreferencesService,
+  MemoryPreferencesStore,
+  JsonFilePreferencesStore
+} = require('../lib/services/userPreferences');
+
+describe('UserPreferencesService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new UserPreferencesService(new MemoryPreferencesStore());
+  });
+
+  test('should fall back to the configured languages for new users', async () => {
+    const languages = await service.getTargetLanguages('15550001111');
+    expect(languages).toEqual(config.supportedLanguages);
+  });
+
+  test('should store target languages given by name or code', async () => {
+    const codes = await service.setTargetLanguages('15550001111', ['French', 'es', 'fr']);
+    expect(codes).toEqual(['fr', 'es']);
+
+    const languages = await service.getTargetLanguages('15550001111');
+    expect(languages).toEqual({ french: 'fr', spanish: 'es' });
+  });
+
+  test('should reject unsupported languages', async () => {
+    await expect(service.setTargetLanguages('15550001111', ['klingon'])).rejects.toThrow('Unsupported language');
+  });
+
+  test('should add a language on top of the configured defaults', async () => {
+    const codes = await service.addTargetLanguage('15550001111', 'german');
+    expect(codes).toEqual([...Object.values(config.supportedLanguages), 'de']);
+  });
+
+  test('should remove a language but keep at least one', async () => {
+    await service.setTargetLanguages('15550001111', ['fr', 'es']);
+
+    expect(await service.removeTargetLanguage('15550001111', 'french')).toEqual(['es']);
+    await expect(service.removeTargetLanguage('15550001111', 'es')).rejects.toThrow('At least one target language');
+  });
+
+  test('should merge preference updates', async () => {
+    await service.setTargetLanguages('15550001111', ['fr']);
+    const preferences = await service.updatePreferences('15550001111', { someFeature: true });
+
+    expect(preferences.targetLanguages).toEqual(['fr']);
+    expect(preferences.someFeature).toBe(true);
+    expect(preferences).toHaveProperty('updatedAt');
+  });
+
+  test('should reset preferences', async () => {
+    await service.setTargetLanguages('15550001111', ['fr']);
+    await service.resetPreferences('15550001111');
+
+    expect(await service.getPreferences('15550001111')).toEqual({});
+  });
+
+  test('should store output modes per language', async () => {
+    expect(await service.getOutputMode('15550001111', 'es')).toBe(config.textToSpeech.defaultOutputMode);
+
+    await service.setOutputMode('15550001111', 'spanish', 'audio');
+    expect(await service.getOutputMode('15550001111', 'es')).toBe('audio');
+    await expect(service.setOutputMode('15550001111', 'es', 'video')).rejects.toThrow('Output mode must be one of');
+  });
+
+  test('should require a user ID', async () => {
+    await expect(service.getPreferences(undefined)).rejects.toThrow('User ID is required');
+  });
+});
+
+describe('JsonFilePreferencesStore', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preferences-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should persist preferences across instances', async () => {
+    const filePath = path.join(tempDir, 'user-preferences.json');
+
+    const firstService = new UserPreferencesService(new JsonFilePreferencesStore({ filePath }));
+    await firstService.setTargetLanguages('15550001111', ['ur', 'en']);
+
+    const secondService = new UserPreferencesService(new JsonFilePreferencesStore({ filePath }));
+    expect(await secondService.getTargetLanguages('15550001111')).toEqual({ urdu: 'ur', english: 'en' });
+  });
+});
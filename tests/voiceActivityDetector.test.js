@@ -0,0 +1,112 @@
+const VoiceActivityDetector = require('../utils/voiceActivityDetector');
+const VoiceProcessor = require('../utils/voiceProcessor');
+const config = require('../lib/config');
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * Build mono 16-bit PCM: quiet noise with a loud tone between the given times
+ */
+function pcmWithSpeech(durationSeconds, speechFrom = null, speechTo = null) {
+  const sampleCount = durationSeconds * SAMPLE_RATE;
+  const pcm = Buffer.alloc(sampleCount * 2);
+  let seed = 1;
+
+  for (let i = 0; i < sampleCount; i++) {
+    // Deterministic background noise around -60 dBFS
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    let sample = ((seed / 2147483648) - 0.5) * 0.002;
+
+    const time = i / SAMPLE_RATE;
+    if (speechFrom !== null && time >= speechFrom && time < speechTo) {
+      sample += Math.sin(2 * Math.PI * 220 * time) * 0.3;
+    }
+    pcm.writeInt16LE(Math.round(sample * 32767), i * 2);
+  }
+
+  return pcm;
+}
+
+describe('VoiceActivityDetector', () => {
+  const detector = new VoiceActivityDetector({
+    frameMs: 30,
+    thresholdDb: -45,
+    noiseMarginDb: 10,
+    hangoverMs: 150,
+    minSpeechRatio: 0.1,
+    paddingMs: 250
+  });
+
+  test('should flag silent audio', () => {
+    const analysis = detector.analyze(pcmWithSpeech(3), SAMPLE_RATE);
+
+    expect(analysis.speechRatio).toBe(0);
+    expect(analysis.isMostlySilent).toBe(true);
+    expect(analysis.speechStartSeconds).toBeNull();
+  });
+
+  test('should measure the share and position of speech', () => {
+    const analysis = detector.analyze(pcmWithSpeech(10, 2, 6), SAMPLE_RATE);
+
+    expect(analysis.durationSeconds).toBe(10);
+    expect(analysis.speechRatio).toBeGreaterThan(0.38);
+    expect(analysis.speechRatio).toBeLessThan(0.45);
+    expect(analysis.speechStartSeconds).toBeCloseTo(2, 1);
+    expect(analysis.speechEndSeconds).toBeCloseTo(6, 1);
+    expect(analysis.isMostlySilent).toBe(false);
+  });
+
+  test('should treat a short blip in a long note as mostly silent', () => {
+    const analysis = detector.analyze(pcmWithSpeech(20, 5, 5.5), SAMPLE_RATE);
+    expect(analysis.isMostlySilent).toBe(true);
+  });
+
+  test('should trim silence around speech, keeping padding', () => {
+    const pcm = pcmWithSpeech(10, 2, 6);
+    const trimmed = detector.trim(pcm, SAMPLE_RATE, detector.analyze(pcm, SAMPLE_RATE));
+
+    expect(trimmed.length / 2 / SAMPLE_RATE).toBeCloseTo(4.5, 1);
+  });
+
+  test('should read back PCM written as WAV', () => {
+    const pcm = pcmWithSpeech(1, 0, 1);
+    expect(VoiceActivityDetector.readWavPcm(VoiceActivityDetector.toWav(pcm, SAMPLE_RATE))).toEqual({ pcm, sampleRate: SAMPLE_RATE });
+    expect(VoiceActivityDetector.readWavPcm(Buffer.from('not a wav file'))).toBeNull();
+  });
+});
+
+describe('VoiceProcessor voice activity detection', () => {
+  const enabled = config.audio.vad.enabled;
+
+  beforeEach(() => {
+    config.audio.vad.enabled = true;
+  });
+
+  afterEach(() => {
+    config.audio.vad.enabled = enabled;
+  });
+
+  test('should reject silent voice notes without calling speech recognition', async () => {
+    const voiceProcessor = new VoiceProcessor();
+    const transcribe = jest.spyOn(voiceProcessor.sttService, 'transcribeAudioFile');
+
+    const silentNote = VoiceActivityDetector.toWav(pcmWithSpeech(3), SAMPLE_RATE);
+
+    await expect(voiceProcessor.processVoiceNote(silentNote, 'audio/wav')).rejects.toMatchObject({
+      code: 'NO_SPEECH_DETECTED',
+      userMessage: expect.any(String)
+    });
+    expect(transcribe).not.toHaveBeenCalled();
+  });
+
+  test('should leave every note to speech recognition when detection is off', async () => {
+    config.audio.vad.enabled = false;
+    const voiceProcessor = new VoiceProcessor();
+    const transcribe = jest.spyOn(voiceProcessor.sttService, 'transcribeAudioFile');
+
+    const silentNote = VoiceActivityDetector.toWav(pcmWithSpeech(3), SAMPLE_RATE);
+
+    await expect(voiceProcessor.processVoiceNote(silentNote, 'audio/wav')).rejects.toThrow();
+    expect(transcribe).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,327 @@
+// Offline providers and stores, set before the app reads its configuration
+process.env.STT_PROVIDER = 'fixture';
+process.env.TTS_PROVIDER = 'tone';
+process.env.TRANSLATION_PROVIDER = 'dictionary';
+process.env.USER_PREFERENCES_STORE = 'memory';
+process.env.LANGUAGE_PICKER_ENABLED = 'false';
+process.env.DEV_JOB_TIMEOUT = '300';
+
+const axios = require('axios');
+const config = require('../lib/config');
+const WebhookSignature = require('../utils/webhookSignature');
+const WhatsAppService = require('../lib/services/whatsapp');
+const VoiceProcessor = require('../utils/voiceProcessor');
+const { deliveryTracker } = require('../utils/deliveryTracker');
+const ErrorHandler = require('../utils/errorHandler');
+const DictionaryTranslation = require('../lib/services/local/DictionaryTranslation');
+const { userPreferencesService } = require('../lib/services/userPreferences');
+
+describe('POST /webhook', () => {
+  let server;
+  let baseUrl;
+  let sendMessage;
+  let sendTranslatedResponse;
+  let processVoiceNote;
+
+  beforeAll(done => {
+    const app = require('../server');
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    sendMessage = jest.spyOn(WhatsAppService.prototype, 'sendMessage').mockResolvedValue({ messages: [{ id: 'wamid.ack' }] });
+    sendTranslatedResponse = jest.spyOn(WhatsAppService.prototype, 'sendTranslatedResponse').mockResolvedValue([]);
+    jest.spyOn(WhatsAppService.prototype, 'getMediaUrl').mockResolvedValue('https://media.example/voice');
+    jest.spyOn(WhatsAppService.prototype, 'downloadMedia').mockResolvedValue(Buffer.from('voice'));
+    processVoiceNote = jest.spyOn(VoiceProcessor.prototype, 'processVoiceNote').mockResolvedValue({
+      originalText: 'Hello',
+      sourceLanguage: 'en',
+      translations: { spanish: 'Hola' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function postWebhook(body) {
+    const rawBody = JSON.stringify(body);
+
+    return axios.post(`${baseUrl}/webhook`, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': WebhookSignature.computeSignature(Buffer.from(rawBody), config.whatsapp.appSecret)
+      }
+    });
+  }
+
+  // Messages are processed on the job queue after the webhook is acknowledged
+  async function waitFor(condition, timeoutMs = 2000) {
+    const startedAt = Date.now();
+    while (!condition()) {
+      if (Date.now() - startedAt > timeoutMs) {
+        throw new Error('Timed out waiting for background processing');
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  const textMessage = (id, from, body) => ({ id, from, timestamp: '1700000000', type: 'text', text: { body } });
+
+  // Ogg/Opus headers of a voice note of the given length, without any audio in it
+  function oggOpusHeaders(seconds) {
+    const page = (granulePosition, payload) => {
+      const header = Buffer.alloc(27);
+      header.write('OggS', 0, 'ascii');
+      header.writeBigInt64LE(BigInt(granulePosition), 6);
+      header.writeUInt8(1, 26);
+      return Buffer.concat([header, Buffer.from([payload.length]), payload]);
+    };
+    const opusHead = Buffer.alloc(19);
+    opusHead.write('OpusHead', 0, 'ascii');
+    opusHead.writeUInt8(1, 8);
+    opusHead.writeUInt8(1, 9);
+    opusHead.writeUInt32LE(16000, 12);
+
+    return Buffer.concat([page(0, opusHead), page(seconds * 48000, Buffer.alloc(40))]);
+  }
+
+  test('should process every message of every entry and change', async () => {
+    const recordStatus = jest.spyOn(deliveryTracker, 'recordStatus');
+
+    const response = await postWebhook({
+      object: 'whatsapp_business_account',
+      entry: [
+        {
+          id: 'entry1',
+          changes: [
+            {
+              field: 'messages',
+              value: {
+                messages: [
+                  textMessage('wamid.multi1', '15550001', 'Good morning'),
+                  textMessage('wamid.multi2', '15550002', 'Good night')
+                ]
+              }
+            },
+            {
+              field: 'messages',
+              value: {
+                statuses: [{ id: 'wamid.sent1', status: 'delivered', recipient_id: '15550001', timestamp: '1700000001' }],
+                messages: [textMessage('wamid.multi3', '15550003', 'Thank you')]
+              }
+            }
+          ]
+        },
+        {
+          id: 'entry2',
+          changes: [
+            {
+              field: 'messages',
+              value: {
+                messages: [{ id: 'wamid.multi4', from: '15550004', timestamp: '1700000002', type: 'audio', audio: { id: 'media123', mime_type: 'audio/ogg' } }]
+              }
+            }
+          ]
+        }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    await waitFor(() => sendTranslatedResponse.mock.calls.length === 4);
+
+    expect(recordStatus).toHaveBeenCalledWith(expect.objectContaining({ id: 'wamid.sent1', status: 'delivered' }));
+    expect(processVoiceNote).toHaveBeenCalledTimes(1);
+    expect(sendTranslatedResponse.mock.calls.map(call => [call[0], call[2], call[4]])).toEqual(expect.arrayContaining([
+      ['15550001', 'Good morning', 'wamid.multi1'],
+      ['15550002', 'Good night', 'wamid.multi2'],
+      ['15550003', 'Thank you', 'wamid.multi3'],
+      ['15550004', 'Hello', 'wamid.multi4']
+    ]));
+  });
+
+  test('should keep processing the other messages when one is invalid', async () => {
+    await postWebhook({
+      object: 'whatsapp_business_account',
+      entry: [
+        {
+          changes: [
+            {
+              value: {
+                messages: [
+                  { id: 'wamid.invalid1', type: 'text' },
+                  textMessage('wamid.valid1', '15550005', 'See you soon')
+                ]
+              }
+            }
+          ]
+        }
+      ]
+    });
+
+    await waitFor(() => sendTranslatedResponse.mock.calls.length === 1);
+
+    expect(sendTranslatedResponse.mock.calls[0][0]).toBe('15550005');
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('should translate text messages into the configured languages', async () => {
+    const translateText = jest.spyOn(DictionaryTranslation.prototype, 'translateText');
+
+    await postWebhook({
+      object: 'whatsapp_business_account',
+      entry: [{ changes: [{ value: { messages: [textMessage('wamid.text1', '15550007', '  Where is the station?  ')] } }] }]
+    });
+
+    await waitFor(() => sendTranslatedResponse.mock.calls.length === 1);
+
+    expect(translateText.mock.calls.map(call => call[1]).sort()).toEqual(['ar', 'en', 'es', 'hi']);
+    expect(translateText).toHaveBeenCalledWith('Where is the station?', 'es', null);
+    expect(sendTranslatedResponse).toHaveBeenCalledWith(
+      '15550007',
+      {
+        english: '[en] Where is the station?',
+        arabic: '[ar] Where is the station?',
+        hindi: '[hi] Where is the station?',
+        spanish: '[es] Where is the station?'
+      },
+      'Where is the station?',
+      null,
+      'wamid.text1'
+    );
+  });
+
+  test('should tell the user when a text message cannot be translated', async () => {
+    jest.spyOn(DictionaryTranslation.prototype, 'translateText')
+      .mockRejectedValue(new ErrorHandler.ProviderUnavailableError('Dictionary unavailable'));
+
+    await postWebhook({
+      object: 'whatsapp_business_account',
+      entry: [{ changes: [{ value: { messages: [textMessage('wamid.text2', '15550008', 'Is it far?')] } }] }]
+    });
+
+    const unavailableMessage = new ErrorHandler.ProviderUnavailableError('down').userMessage;
+    await waitFor(() => sendMessage.mock.calls.length === 1);
+
+    expect(sendMessage).toHaveBeenCalledWith('15550008', unavailableMessage, 'wamid.text2');
+    expect(sendTranslatedResponse).not.toHaveBeenCalled();
+  });
+
+  test('should process a redelivered message whose first attempt failed', async () => {
+    processVoiceNote.mockRejectedValueOnce(new ErrorHandler.ProviderUnavailableError('Speech recognition unavailable'));
+    const voiceNote = {
+      object: 'whatsapp_business_account',
+      entry: [{ changes: [{ value: { messages: [{ id: 'wamid.retry1', from: '15550009', type: 'audio', audio: { id: 'media789' } }] } }] }]
+    };
+
+    await postWebhook(voiceNote);
+    await waitFor(() => sendMessage.mock.calls.some(call => call[2] === 'wamid.retry1'));
+    // Give the failed job time to release the message ID
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await postWebhook(voiceNote);
+    await waitFor(() => sendTranslatedResponse.mock.calls.length === 1);
+
+    expect(processVoiceNote).toHaveBeenCalledTimes(2);
+    expect(sendTranslatedResponse).toHaveBeenCalledWith('15550009', { spanish: 'Hola' }, 'Hello', 'en', 'wamid.retry1');
+  });
+
+  test('should skip a redelivered message that was processed', async () => {
+    const voiceNote = {
+      object: 'whatsapp_business_account',
+      entry: [{ changes: [{ value: { messages: [{ id: 'wamid.done1', from: '15550010', type: 'audio', audio: { id: 'media790' } }] } }] }]
+    };
+
+    await postWebhook(voiceNote);
+    await waitFor(() => sendTranslatedResponse.mock.calls.length === 1);
+
+    await postWebhook(voiceNote);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(processVoiceNote).toHaveBeenCalledTimes(1);
+    expect(sendTranslatedResponse).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send translations as voice notes to users who asked for audio', async () => {
+    const uploadMedia = jest.spyOn(WhatsAppService.prototype, 'uploadMedia').mockResolvedValue('media.tts1');
+    const sendAudioMessage = jest.spyOn(WhatsAppService.prototype, 'sendAudioMessage').mockResolvedValue({});
+    await userPreferencesService.setOutputMode('15550011', 'spanish', 'audio');
+
+    await postWebhook({
+      object: 'whatsapp_business_account',
+      entry: [{ changes: [{ value: { messages: [{ id: 'wamid.spoken1', from: '15550011', type: 'audio', audio: { id: 'media791' } }] } }] }]
+    });
+
+    await waitFor(() => sendAudioMessage.mock.calls.length === 1);
+    expect(uploadMedia).toHaveBeenCalledTimes(1);
+    expect(sendAudioMessage).toHaveBeenCalledWith('15550011', 'media.tts1', 'wamid.spoken1');
+  });
+
+  test('should send translations as text when spoken replies are off', async () => {
+    const sendAudioMessage = jest.spyOn(WhatsAppService.prototype, 'sendAudioMessage').mockResolvedValue({});
+    await userPreferencesService.setOutputMode('15550012', 'spanish', 'audio');
+    const provider = config.textToSpeech.provider;
+    config.textToSpeech.provider = 'none';
+
+    try {
+      await postWebhook({
+        object: 'whatsapp_business_account',
+        entry: [{ changes: [{ value: { messages: [{ id: 'wamid.spoken2', from: '15550012', type: 'audio', audio: { id: 'media792' } }] } }] }]
+      });
+
+      await waitFor(() => sendTranslatedResponse.mock.calls.length === 1);
+    } finally {
+      config.textToSpeech.provider = provider;
+    }
+
+    expect(sendTranslatedResponse).toHaveBeenCalledWith('15550012', { spanish: 'Hola' }, 'Hello', 'en', 'wamid.spoken2');
+    expect(sendAudioMessage).not.toHaveBeenCalled();
+  });
+
+  test('should tell the user when a voice note times out and not reply later', async () => {
+    processVoiceNote.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({
+      originalText: 'Too late',
+      sourceLanguage: 'en',
+      translations: { spanish: 'Demasiado tarde' }
+    }), 500)));
+    const timeoutMessage = new ErrorHandler.AppError('timed out', { code: 'JOB_TIMEOUT' }).userMessage;
+
+    await postWebhook({
+      object: 'whatsapp_business_account',
+      entry: [{ changes: [{ value: { messages: [{ id: 'wamid.slow1', from: '15550006', type: 'audio', audio: { id: 'media456' } }] } }] }]
+    });
+
+    await waitFor(() => sendMessage.mock.calls.some(call => call[1] === timeoutMessage));
+    expect(sendMessage).toHaveBeenCalledWith('15550006', timeoutMessage, 'wamid.slow1');
+
+    // Let the job run to its end; it stops before sending the translation
+    await new Promise(resolve => setTimeout(resolve, 400));
+    expect(sendTranslatedResponse).not.toHaveBeenCalled();
+  });
+
+  test('should give long voice notes more time than the job timeout', async () => {
+    WhatsAppService.prototype.downloadMedia.mockResolvedValue(oggOpusHeaders(240));
+    processVoiceNote.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({
+      originalText: 'A long story',
+      sourceLanguage: 'en',
+      translations: { spanish: 'Una larga historia' }
+    }), 500)));
+
+    await postWebhook({
+      object: 'whatsapp_business_account',
+      entry: [{ changes: [{ value: { messages: [{ id: 'wamid.long1', from: '15550009', type: 'audio', audio: { id: 'media789' } }] } }] }]
+    });
+
+    await waitFor(() => sendTranslatedResponse.mock.calls.length === 1);
+
+    expect(sendTranslatedResponse.mock.calls[0][2]).toBe('A long story');
+    expect(sendMessage).not.toHaveBeenCalledWith('15550009', expect.stringContaining('took too long'), 'wamid.long1');
+  });
+});
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const WebhookSignature = require('../utils/webhookSignature');
+
+describe('WebhookSignature', () => {
+  const appSecret = 'test_app_secret';
+  const rawBody = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [] }));
+  const validSignature = 'sha256=' + crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+
+  test('should compute the expected signature', () => {
+    expect(WebhookSignature.computeSignature(rawBody, appSecret)).toBe(validSignature);
+  });
+
+  test('should accept a correctly signed payload', () => {
+    const result = WebhookSignature.verifySignature(rawBody, validSignature, appSecret);
+    expect(result.isValid).toBe(true);
+  });
+
+  test('should reject a missing signature header', () => {
+    const result = WebhookSignature.verifySignature(rawBody, undefined, appSecret);
+    expect(result.isValid).toBe(false);
+    expect(result.reason).toBe('missing_signature');
+  });
+
+  test('should reject a malformed signature header', () => {
+    const result = WebhookSignature.verifySignature(rawBody, 'md5=abc', appSecret);
+    expect(result.isValid).toBe(false);
+    expect(result.reason).toBe('malformed_signature');
+  });
+
+  test('should reject a signature for a tampered payload', () => {
+    const tamperedBody = Buffer.from(rawBody.toString().replace('[]', '[{}]'));
+    const result = WebhookSignature.verifySignature(tamperedBody, validSignature, appSecret);
+    expect(result.isValid).toBe(false);
+    expect(result.reason).toBe('invalid_signature');
+  });
+
+  test('should reject when the app secret is not configured', () => {
+    const result = WebhookSignature.verifySignature(rawBody, validSignature, undefined);
+    expect(result.isValid).toBe(false);
+    expect(result.reason).toBe('missing_secret');
+  });
+
+  test('should compare strings safely', () => {
+    expect(WebhookSignature.safeCompare('token', 'token')).toBe(true);
+    expect(WebhookSignature.safeCompare('token', 'other')).toBe(false);
+    expect(WebhookSignature.safeCompare('token', 'token-longer')).toBe(false);
+    expect(WebhookSignature.safeCompare('token', null)).toBe(false);
+  });
+});
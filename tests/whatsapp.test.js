@@ -0,0 +1,35 @@
+const WhatsAppService = require('../lib/services/whatsapp');
+
+describe('WhatsAppService reply context', () => {
+  let service;
+  let post;
+
+  beforeEach(() => {
+    service = new WhatsAppService();
+    post = jest.spyOn(service.client, 'post').mockResolvedValue({ data: { messages: [{ id: 'wamid.reply' }] } });
+  });
+
+  test('should quote the replied-to message', async () => {
+    await service.sendMessage('15551234567', 'Hello', 'wamid.voice');
+
+    expect(post).toHaveBeenCalledWith('/messages', {
+      messaging_product: 'whatsapp',
+      to: '15551234567',
+      type: 'text',
+      text: { body: 'Hello' },
+      context: { message_id: 'wamid.voice' }
+    });
+  });
+
+  test('should leave out the context without a message ID', async () => {
+    await service.sendMessage('15551234567', 'Hello');
+    expect(post.mock.calls[0][1]).not.toHaveProperty('context');
+  });
+
+  test('should thread every part of a translated response', async () => {
+    await service.sendTranslatedResponse('15551234567', { english: 'Good morning. '.repeat(400).trim() }, null, null, 'wamid.voice');
+
+    expect(post.mock.calls.length).toBeGreaterThan(1);
+    post.mock.calls.forEach(([, payload]) => expect(payload.context).toEqual({ message_id: 'wamid.voice' }));
+  });
+});
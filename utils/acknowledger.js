@@ -0,0 +1,134 @@
+const config = require('../lib/config');
+const monitoringService = require('./monitoring');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'acknowledger' },
+  transports: [
+    new transports.File({
+      filename: 'logs/webhook.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('acknowledgement_sent', { type: 'counter', labels: ['mode', 'stage'] });
+
+const ACK_MODES = ['text', 'reaction'];
+
+// Reactions shown on the user's voice note at each stage
+const REACTIONS = {
+  received: '⏳',
+  succeeded: '✅',
+  failed: '❌'
+};
+
+const RECEIVED_MESSAGE = 'Received your voice note! Processing and translating now...';
+
+/**
+ * Lets users know their voice note is being worked on
+ *
+ * In 'text' mode a "Processing..." message is sent when a note arrives. In 'reaction' mode the
+ * note is marked as read and gets a ⏳ reaction, replaced by ✅ or ❌ once processing ends, so
+ * no extra message lands in the chat. Acknowledgements are best effort: failures are logged
+ * and never interrupt processing.
+ */
+class Acknowledger {
+  /**
+   * @param {WhatsAppService} whatsappService - Service used to send acknowledgements
+   * @param {string} mode - 'text' or 'reaction', defaults to config.whatsapp.ackMode
+   */
+  constructor(whatsappService, mode = config.whatsapp.ackMode) {
+    if (!ACK_MODES.includes(mode)) {
+      logger.warn('Unknown acknowledgement mode, using text', { mode });
+      mode = 'text';
+    }
+
+    this.whatsappService = whatsappService;
+    this.mode = mode;
+  }
+
+  /**
+   * Acknowledge a voice note that has just arrived
+   * @param {string} recipientId - The WhatsApp ID of the user
+   * @param {string} messageId - ID of the voice note message (optional)
+   * @returns {Promise<void>}
+   */
+  async received(recipientId, messageId = null) {
+    // Reactions need the message ID, so without it fall back to the text acknowledgement
+    if (this.mode === 'text' || !messageId) {
+      await this.attempt('received', () => this.whatsappService.sendMessage(recipientId, RECEIVED_MESSAGE, messageId));
+      return;
+    }
+
+    await this.attempt('read', () => this.whatsappService.markAsRead(messageId));
+    await this.attempt('received', () => this.whatsappService.sendReaction(recipientId, messageId, REACTIONS.received));
+  }
+
+  /**
+   * Mark a voice note as successfully translated
+   * @param {string} recipientId - The WhatsApp ID of the user
+   * @param {string} messageId - ID of the voice note message (optional)
+   * @returns {Promise<void>}
+   */
+  async succeeded(recipientId, messageId = null) {
+    await this.react('succeeded', recipientId, messageId);
+  }
+
+  /**
+   * Mark a voice note as failed; the error message itself is sent separately
+   * @param {string} recipientId - The WhatsApp ID of the user
+   * @param {string} messageId - ID of the voice note message (optional)
+   * @returns {Promise<void>}
+   */
+  async failed(recipientId, messageId = null) {
+    await this.react('failed', recipientId, messageId);
+  }
+
+  /**
+   * Replace the reaction on a voice note, in reaction mode only
+   * @param {string} stage - 'succeeded' or 'failed'
+   * @param {string} recipientId - The WhatsApp ID of the user
+   * @param {string} messageId - ID of the voice note message
+   * @returns {Promise<void>}
+   */
+  async react(stage, recipientId, messageId) {
+    if (this.mode !== 'reaction' || !messageId) {
+      return;
+    }
+
+    await this.attempt(stage, () => this.whatsappService.sendReaction(recipientId, messageId, REACTIONS[stage]));
+  }
+
+  /**
+   * Run an acknowledgement, logging instead of throwing on failure
+   * @param {string} stage - Acknowledgement stage, for logs and metrics
+   * @param {Function} send - Async function sending the acknowledgement
+   * @returns {Promise<void>}
+   */
+  async attempt(stage, send) {
+    try {
+      await send();
+      monitoringService.recordMetric('acknowledgement_sent', 1, { mode: this.mode, stage });
+    } catch (error) {
+      logger.error('Error sending acknowledgement', {
+        mode: this.mode,
+        stage,
+        error: error.message
+      });
+      monitoringService.recordError('acknowledger', stage, error.constructor.name);
+    }
+  }
+}
+
+module.exports = Acknowledger;
@@ -0,0 +1,392 @@
+// Opus granule positions always count samples at 48 kHz, whatever the input rate
+const OPUS_GRANULE_RATE = 48000;
+
+// Ogg page header size before the segment table
+const OGG_PAGE_HEADER_SIZE = 27;
+
+// MIME type and file extension for each container, and for codecs that change them
+const CONTAINER_TYPES = {
+  ogg: { mimeType: 'audio/ogg', extension: 'ogg' },
+  wav: { mimeType: 'audio/wav', extension: 'wav' },
+  mp3: { mimeType: 'audio/mpeg', extension: 'mp3' },
+  adts: { mimeType: 'audio/aac', extension: 'aac' },
+  mp4: { mimeType: 'audio/mp4', extension: 'm4a' },
+  amr: { mimeType: 'audio/amr', extension: 'amr' },
+  webm: { mimeType: 'audio/webm', extension: 'webm' },
+  flac: { mimeType: 'audio/flac', extension: 'flac' }
+};
+
+// MPEG audio sample rates by version, indexed by the header's sample rate index
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+// Layer III bitrates in kbit/s, indexed by the header's bitrate index
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// ADTS (raw AAC) sample rates, indexed by the header's frequency index
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// AMR frame sizes in bytes including the header byte, indexed by frame type; 0 means invalid
+const AMR_FRAME_SIZES = [13, 14, 16, 18, 20, 21, 27, 32, 6, 0, 0, 0, 0, 0, 0, 1];
+const AMR_WB_FRAME_SIZES = [18, 24, 33, 37, 41, 47, 51, 59, 61, 6, 0, 0, 0, 0, 1, 1];
+
+// Codecs of MP4 audio sample entries
+const MP4_AUDIO_CODECS = {
+  mp4a: 'aac',
+  samr: 'amr',
+  sawb: 'amr_wb',
+  Opus: 'opus',
+  fLaC: 'flac',
+  alac: 'alac'
+};
+
+// MP4 boxes that contain the boxes on the way to the audio sample description
+const MP4_CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+
+/**
+ * Identify audio formats from their bytes and read their basic properties
+ *
+ * inspect() resolves the container from magic bytes rather than the declared MIME type and
+ * returns an object of the form:
+ *   {
+ *     container: string,             // 'ogg', 'wav', 'mp3', 'adts', 'mp4', 'amr', 'webm' or 'flac'
+ *     codec: string|null,            // e.g. 'opus', 'vorbis', 'pcm', 'mulaw', 'mp3', 'aac', 'amr', 'flac'
+ *     sampleRate: number|null,       // Samples per second
+ *     channels: number|null,
+ *     bitsPerSample: number|null,    // Only for uncompressed audio
+ *     durationSeconds: number|null,
+ *     mimeType: string,              // MIME type matching the container
+ *     extension: string              // File extension matching the container
+ *   }
+ * Fields that cannot be read from the headers are null.
+ */
+class AudioInspector {
+  /**
+   * Inspect an audio buffer
+   * @param {Buffer} audioBuffer - Audio data as a buffer
+   * @returns {Object|null} - Audio information, or null if the format is not recognised
+   */
+  static inspect(audioBuffer) {
+    if (!Buffer.isBuffer(audioBuffer) || audioBuffer.length < 4) {
+      return null;
+    }
+
+    const magic = audioBuffer.toString('latin1', 0, 4);
+    let info = null;
+
+    if (magic === 'OggS') {
+      info = AudioInspector.inspectOgg(audioBuffer);
+    } else if (magic === 'RIFF' && audioBuffer.toString('latin1', 8, 12) === 'WAVE') {
+      info = AudioInspector.inspectWav(audioBuffer);
+    } else if (magic === 'fLaC') {
+      info = AudioInspector.inspectFlac(audioBuffer);
+    } else if (audioBuffer.toString('latin1', 0, 5) === '#!AMR') {
+      info = AudioInspector.inspectAmr(audioBuffer);
+    } else if (audioBuffer.readUInt32BE(0) === 0x1A45DFA3) {
+      // EBML header; WebM audio from browsers and Android is Opus
+      info = { container: 'webm', codec: 'opus', sampleRate: 48000 };
+    } else if (audioBuffer.toString('latin1', 4, 8) === 'ftyp') {
+      info = AudioInspector.inspectMp4(audioBuffer);
+    } else {
+      info = AudioInspector.inspectMpegAudio(audioBuffer);
+    }
+
+    if (!info) {
+      return null;
+    }
+
+    const types = info.codec === 'amr_wb'
+      ? { mimeType: 'audio/amr-wb', extension: 'awb' }
+      : CONTAINER_TYPES[info.container];
+
+    return {
+      container: info.container,
+      codec: info.codec || null,
+      sampleRate: info.sampleRate || null,
+      channels: info.channels || null,
+      bitsPerSample: info.bitsPerSample || null,
+      durationSeconds: typeof info.durationSeconds === 'number' && isFinite(info.durationSeconds)
+        ? info.durationSeconds
+        : null,
+      ...types
+    };
+  }
+
+  /**
+   * Inspect an Ogg stream, reading the codec from the first page and the length from the last
+   * @param {Buffer} audioBuffer - Ogg data
+   * @returns {Object} - Partial audio information
+   */
+  static inspectOgg(audioBuffer) {
+    const info = { container: 'ogg', codec: null };
+
+    // The first page holds the codec identification header
+    const segmentCount = audioBuffer.length > 26 ? audioBuffer[26] : 0;
+    const payloadStart = OGG_PAGE_HEADER_SIZE + segmentCount;
+    const payload = audioBuffer.subarray(payloadStart, payloadStart + 64);
+
+    let granuleRate = null;
+    let preSkip = 0;
+
+    if (payload.toString('latin1', 0, 8) === 'OpusHead' && payload.length >= 16) {
+      info.codec = 'opus';
+      info.channels = payload[9];
+      preSkip = payload.readUInt16LE(10);
+      // Rate of the original input; Opus itself always decodes at 48 kHz
+      info.sampleRate = payload.readUInt32LE(12) || OPUS_GRANULE_RATE;
+      granuleRate = OPUS_GRANULE_RATE;
+    } else if (payload.toString('latin1', 1, 7) === 'vorbis' && payload.length >= 16) {
+      info.codec = 'vorbis';
+      info.channels = payload[11];
+      info.sampleRate = payload.readUInt32LE(12);
+      granuleRate = info.sampleRate;
+    } else if (payload.toString('latin1', 1, 5) === 'FLAC') {
+      info.codec = 'flac';
+    }
+
+    if (granuleRate) {
+      // Walk back from the end to the last complete page header
+      let pageIndex = audioBuffer.lastIndexOf('OggS');
+      while (pageIndex > 0 && pageIndex + OGG_PAGE_HEADER_SIZE > audioBuffer.length) {
+        pageIndex = audioBuffer.lastIndexOf('OggS', pageIndex - 1);
+      }
+
+      if (pageIndex > 0) {
+        const granulePosition = Number(audioBuffer.readBigInt64LE(pageIndex + 6));
+        if (granulePosition >= 0) {
+          info.durationSeconds = Math.max(0, granulePosition - preSkip) / granuleRate;
+        }
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Inspect a WAV file from its fmt and data chunks
+   * @param {Buffer} audioBuffer - WAV data
+   * @returns {Object} - Partial audio information
+   */
+  static inspectWav(audioBuffer) {
+    const info = { container: 'wav', codec: null };
+    let byteRate = null;
+    let offset = 12;
+
+    while (offset + 8 <= audioBuffer.length) {
+      const chunkId = audioBuffer.toString('latin1', offset, offset + 4);
+      const chunkSize = audioBuffer.readUInt32LE(offset + 4);
+
+      if (chunkId === 'fmt ' && offset + 24 <= audioBuffer.length) {
+        let formatTag = audioBuffer.readUInt16LE(offset + 8);
+        // WAVE_FORMAT_EXTENSIBLE keeps the real format at the start of the sub-format GUID
+        if (formatTag === 0xFFFE && offset + 34 <= audioBuffer.length) {
+          formatTag = audioBuffer.readUInt16LE(offset + 32);
+        }
+
+        info.codec = { 1: 'pcm', 3: 'pcm_float', 6: 'alaw', 7: 'mulaw' }[formatTag] || `wav_format_${formatTag}`;
+        info.channels = audioBuffer.readUInt16LE(offset + 10);
+        info.sampleRate = audioBuffer.readUInt32LE(offset + 12);
+        info.bitsPerSample = audioBuffer.readUInt16LE(offset + 22);
+        byteRate = audioBuffer.readUInt32LE(offset + 16);
+      } else if (chunkId === 'data') {
+        if (byteRate) {
+          // Streamed WAVs may not fill in the size, so never count past the end of the buffer
+          const dataSize = Math.min(chunkSize, audioBuffer.length - offset - 8);
+          info.durationSeconds = dataSize / byteRate;
+        }
+        break;
+      }
+
+      // Chunks are padded to an even size
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return info;
+  }
+
+  /**
+   * Inspect a native FLAC stream from its STREAMINFO block
+   * @param {Buffer} audioBuffer - FLAC data
+   * @returns {Object} - Partial audio information
+   */
+  static inspectFlac(audioBuffer) {
+    const info = { container: 'flac', codec: 'flac' };
+
+    // STREAMINFO is always the first metadata block, starting after the 4-byte block header
+    if (audioBuffer.length >= 26 && (audioBuffer[4] & 0x7F) === 0) {
+      const streamInfo = audioBuffer.subarray(8, 26);
+      info.sampleRate = (streamInfo[10] << 12) | (streamInfo[11] << 4) | (streamInfo[12] >> 4);
+      info.channels = ((streamInfo[12] >> 1) & 0x07) + 1;
+      info.bitsPerSample = (((streamInfo[12] & 0x01) << 4) | (streamInfo[13] >> 4)) + 1;
+
+      const totalSamples = (streamInfo[13] & 0x0F) * 2 ** 32 + streamInfo.readUInt32BE(14);
+      if (info.sampleRate && totalSamples) {
+        info.durationSeconds = totalSamples / info.sampleRate;
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Inspect an AMR or AMR-WB file, counting its 20 ms frames
+   * @param {Buffer} audioBuffer - AMR data
+   * @returns {Object} - Partial audio information
+   */
+  static inspectAmr(audioBuffer) {
+    const wideband = audioBuffer.toString('latin1', 0, 9) === '#!AMR-WB\n';
+    const frameSizes = wideband ? AMR_WB_FRAME_SIZES : AMR_FRAME_SIZES;
+
+    let offset = wideband ? 9 : 6;
+    let frames = 0;
+    while (offset < audioBuffer.length) {
+      const frameSize = frameSizes[(audioBuffer[offset] >> 3) & 0x0F];
+      if (!frameSize) {
+        break;
+      }
+      offset += frameSize;
+      frames++;
+    }
+
+    return {
+      container: 'amr',
+      codec: wideband ? 'amr_wb' : 'amr',
+      sampleRate: wideband ? 16000 : 8000,
+      channels: 1,
+      durationSeconds: frames * 0.02
+    };
+  }
+
+  /**
+   * Inspect an MP4/M4A file from its movie header and first audio sample description
+   * @param {Buffer} audioBuffer - MP4 data
+   * @returns {Object} - Partial audio information
+   */
+  static inspectMp4(audioBuffer) {
+    const info = { container: 'mp4', codec: null };
+
+    const visit = (start, end) => {
+      let offset = start;
+      while (offset + 8 <= end) {
+        let size = audioBuffer.readUInt32BE(offset);
+        const type = audioBuffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1 && offset + 16 <= end) {
+          size = Number(audioBuffer.readBigUInt64BE(offset + 8));
+          headerSize = 16;
+        } else if (size === 0) {
+          size = end - offset;
+        }
+        if (size < headerSize) {
+          return;
+        }
+
+        const boxEnd = Math.min(offset + size, end);
+        const body = offset + headerSize;
+
+        if (MP4_CONTAINER_BOXES.includes(type)) {
+          visit(body, boxEnd);
+        } else if (type === 'mvhd' && body + 20 <= boxEnd) {
+          const version = audioBuffer[body];
+          const timescale = audioBuffer.readUInt32BE(body + (version === 1 ? 20 : 12));
+          const duration = version === 1
+            ? Number(audioBuffer.readBigUInt64BE(body + 24))
+            : audioBuffer.readUInt32BE(body + 16);
+          if (timescale) {
+            info.durationSeconds = duration / timescale;
+          }
+        } else if (type === 'stsd' && !info.codec && body + 44 <= boxEnd) {
+          // Skip version/flags and entry count to reach the first sample entry
+          const entry = body + 8;
+          const format = audioBuffer.toString('latin1', entry + 4, entry + 8);
+          if (MP4_AUDIO_CODECS[format]) {
+            info.codec = MP4_AUDIO_CODECS[format];
+            info.channels = audioBuffer.readUInt16BE(entry + 24);
+            info.sampleRate = audioBuffer.readUInt32BE(entry + 32) >>> 16;
+          }
+        }
+
+        offset += size;
+      }
+    };
+
+    visit(0, audioBuffer.length);
+    return info;
+  }
+
+  /**
+   * Inspect MPEG audio frames: MP3 (optionally behind an ID3v2 tag) or ADTS-framed AAC
+   * @param {Buffer} audioBuffer - Audio data
+   * @returns {Object|null} - Partial audio information, or null if no frame header is found
+   */
+  static inspectMpegAudio(audioBuffer) {
+    let offset = 0;
+    if (audioBuffer.toString('latin1', 0, 3) === 'ID3' && audioBuffer.length >= 10) {
+      // ID3v2 sizes are sync-safe integers (7 bits per byte)
+      const tagSize = ((audioBuffer[6] & 0x7F) << 21) | ((audioBuffer[7] & 0x7F) << 14) |
+        ((audioBuffer[8] & 0x7F) << 7) | (audioBuffer[9] & 0x7F);
+      const hasFooter = (audioBuffer[5] & 0x10) !== 0;
+      offset = 10 + tagSize + (hasFooter ? 10 : 0);
+    }
+
+    if (offset + 4 > audioBuffer.length || audioBuffer[offset] !== 0xFF || (audioBuffer[offset + 1] & 0xE0) !== 0xE0) {
+      return null;
+    }
+
+    const header = audioBuffer.subarray(offset, offset + 4);
+    const layerBits = (header[1] >> 1) & 0x03;
+
+    // ADTS shares the sync word but has no layer
+    if (layerBits === 0 && (header[1] & 0xF0) === 0xF0) {
+      return {
+        container: 'adts',
+        codec: 'aac',
+        sampleRate: AAC_SAMPLE_RATES[(header[2] >> 2) & 0x0F] || null,
+        channels: ((header[2] & 0x01) << 2) | (header[3] >> 6)
+      };
+    }
+
+    const version = { 0: 2.5, 2: 2, 3: 1 }[(header[1] >> 3) & 0x03];
+    const bitrateIndex = header[2] >> 4;
+    const sampleRateIndex = (header[2] >> 2) & 0x03;
+
+    // Only Layer III, with valid version, bitrate and sample rate fields
+    if (layerBits !== 1 || !version || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      return null;
+    }
+
+    const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+    const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000;
+    const mono = (header[3] >> 6) === 3;
+    const samplesPerFrame = version === 1 ? 1152 : 576;
+
+    const info = { container: 'mp3', codec: 'mp3', sampleRate, channels: mono ? 1 : 2 };
+
+    // VBR files carry a Xing/Info frame with the total frame count after the side information
+    const sideInfoSize = version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const xingOffset = offset + 4 + sideInfoSize;
+    const xingTag = audioBuffer.toString('latin1', xingOffset, xingOffset + 4);
+
+    if ((xingTag === 'Xing' || xingTag === 'Info') && xingOffset + 12 <= audioBuffer.length &&
+      (audioBuffer.readUInt32BE(xingOffset + 4) & 0x01)) {
+      const frames = audioBuffer.readUInt32BE(xingOffset + 8);
+      info.durationSeconds = (frames * samplesPerFrame) / sampleRate;
+    } else {
+      // Otherwise assume a constant bitrate, ignoring a trailing ID3v1 tag
+      const hasId3v1 = audioBuffer.length >= 128 && audioBuffer.toString('latin1', audioBuffer.length - 128, audioBuffer.length - 125) === 'TAG';
+      const audioBytes = audioBuffer.length - offset - (hasId3v1 ? 128 : 0);
+      info.durationSeconds = (audioBytes * 8) / bitrate;
+    }
+
+    return info;
+  }
+}
+
+module.exports = AudioInspector;
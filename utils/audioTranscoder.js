@@ -0,0 +1,223 @@
+const { spawn } = require('child_process');
+const config = require('../lib/config');
+const monitoringService = require('./monitoring');
+const { AppError, ProviderUnavailableError, UnsupportedFormatError } = require('./errorHandler');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'audio-transcoder' },
+  transports: [
+    new transports.File({
+      filename: 'logs/media-handler.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerTimer('audio_transcode', ['format', 'outcome']);
+monitoringService.registerTimer('audio_decode', ['format', 'outcome']);
+monitoringService.registerMetric('audio_transcode_count', { type: 'counter', labels: ['operation', 'format', 'outcome'] });
+
+// ffmpeg audio codec and file extension for each output format
+const OUTPUT_FORMATS = {
+  flac: { codec: 'flac', extension: 'flac' },
+  linear16: { codec: 'pcm_s16le', extension: 'wav' }
+};
+
+// Formats passed through untouched in 'auto' mode, as container/codec
+const NATIVE_FORMATS = ['ogg/opus', 'wav/pcm', 'flac/flac', 'mp3/mp3'];
+
+// How much of ffmpeg's stderr to keep for error messages
+const MAX_STDERR_LENGTH = 4000;
+
+const TRANSCODE_MODES = ['auto', 'always', 'off'];
+
+/**
+ * Normalise audio to mono FLAC or LINEAR16 WAV at a fixed sample rate with a local ffmpeg binary
+ */
+class AudioTranscoder {
+  /**
+   * @param {Object} options - Transcoder options, defaults to config.audio.transcoding
+   * @param {string} options.mode - 'auto' (only formats speech recognition does not take as-is), 'always' or 'off'
+   * @param {string} options.ffmpegPath - ffmpeg binary to run
+   * @param {string} options.format - Output format, 'flac' or 'linear16'
+   * @param {number} options.sampleRate - Output sample rate in Hz
+   * @param {number} options.timeout - Maximum ffmpeg run time in milliseconds
+   */
+  constructor({ mode, ffmpegPath, format, sampleRate, timeout } = config.audio.transcoding) {
+    if (!TRANSCODE_MODES.includes(mode)) {
+      throw new Error(`Audio transcoding mode must be one of: ${TRANSCODE_MODES.join(', ')}`);
+    }
+    if (!OUTPUT_FORMATS[format]) {
+      throw new Error(`Audio transcoding format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.ffmpegPath = ffmpegPath;
+    this.format = format;
+    this.sampleRate = sampleRate;
+    this.timeout = timeout;
+  }
+
+  /**
+   * File extension of transcoded audio
+   * @returns {string} - Extension without the dot
+   */
+  get extension() {
+    return OUTPUT_FORMATS[this.format].extension;
+  }
+
+  /**
+   * Decide whether audio needs transcoding
+   * @param {Object|null} audioInfo - Result of AudioInspector.inspect(), null if not recognised
+   * @returns {boolean} - True if the audio should be transcoded
+   */
+  shouldTranscode(audioInfo) {
+    if (this.mode === 'off') {
+      return false;
+    }
+    if (this.mode === 'always' || !audioInfo) {
+      return true;
+    }
+
+    // Uncompressed audio is only taken as 16-bit
+    if (audioInfo.codec === 'pcm' && audioInfo.bitsPerSample !== 16) {
+      return true;
+    }
+
+    return !NATIVE_FORMATS.includes(`${audioInfo.container}/${audioInfo.codec}`);
+  }
+
+  /**
+   * Transcode an audio file
+   * @param {string} inputPath - Path of the audio to transcode
+   * @param {string} outputPath - Path to write the result to, should end in this.extension
+   * @returns {Promise<string>} - Resolves with outputPath
+   */
+  async transcode(inputPath, outputPath) {
+    await this.run('transcode', inputPath, [
+      '-c:a', OUTPUT_FORMATS[this.format].codec,
+      outputPath
+    ]);
+
+    return outputPath;
+  }
+
+  /**
+   * Decode an audio file to raw mono 16-bit little-endian PCM at this.sampleRate
+   * @param {string} inputPath - Path of the audio to decode
+   * @returns {Promise<Buffer>} - PCM samples
+   */
+  decodeToPcm(inputPath) {
+    return this.run('decode', inputPath, [
+      '-f', 's16le',
+      '-c:a', 'pcm_s16le',
+      'pipe:1'
+    ]);
+  }
+
+  /**
+   * Run ffmpeg on an input file, producing mono audio at this.sampleRate
+   * @param {string} operation - Name of the operation, used in logs and metric tags
+   * @param {string} inputPath - Path of the input audio
+   * @param {Array<string>} outputArgs - ffmpeg arguments describing the output
+   * @returns {Promise<Buffer>} - Whatever ffmpeg wrote to stdout
+   * @throws {AppError} - With a `reason` of FFMPEG_NOT_FOUND or TRANSCODE_FAILED when ffmpeg cannot
+   *   be started (ProviderUnavailableError), TRANSCODE_FAILED when it rejects the audio
+   *   (UnsupportedFormatError) and TRANSCODE_TIMEOUT when it runs too long
+   */
+  run(operation, inputPath, outputArgs) {
+    const args = [
+      '-hide_banner',
+      '-nostdin',
+      '-y',
+      '-i', inputPath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(this.sampleRate),
+      ...outputArgs
+    ];
+
+    const timer = monitoringService.startTimer(`audio_${operation}`);
+
+    return new Promise((resolve, reject) => {
+      const stdoutChunks = [];
+      let stderr = '';
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timeoutHandle);
+
+        const outcome = error ? (error.reason === 'TRANSCODE_TIMEOUT' ? 'timed_out' : 'failed') : 'success';
+        monitoringService.endTimer(timer, { format: this.format, outcome });
+        monitoringService.recordMetric('audio_transcode_count', 1, { operation, format: this.format, outcome });
+
+        if (error) {
+          logger.error('ffmpeg failed', { operation, inputPath, error: error.message, stderr: error.stderr });
+          reject(error);
+        } else {
+          logger.info('ffmpeg finished', { operation, inputPath, format: this.format, sampleRate: this.sampleRate });
+          resolve(Buffer.concat(stdoutChunks));
+        }
+      };
+
+      const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      const timeoutHandle = setTimeout(() => {
+        child.kill('SIGKILL');
+        const error = new AppError(`Audio ${operation} timed out after ${this.timeout}ms`, { code: 'JOB_TIMEOUT' });
+        error.reason = 'TRANSCODE_TIMEOUT';
+        error.stderr = stderr;
+        finish(error);
+      }, this.timeout);
+
+      child.stdout.on('data', chunk => {
+        stdoutChunks.push(chunk);
+      });
+
+      child.stderr.on('data', chunk => {
+        // Keep the end of the output, where ffmpeg reports what went wrong
+        stderr = (stderr + chunk.toString()).slice(-MAX_STDERR_LENGTH);
+      });
+
+      child.on('error', spawnError => {
+        // Without a working ffmpeg no audio can be normalised, so this is an outage rather than bad audio
+        const error = spawnError.code === 'ENOENT'
+          ? new ProviderUnavailableError(`ffmpeg not found at "${this.ffmpegPath}". Install ffmpeg, set FFMPEG_PATH, or set AUDIO_TRANSCODE=off`, { cause: spawnError })
+          : new ProviderUnavailableError(`Failed to start ffmpeg: ${spawnError.message}`, { cause: spawnError });
+        error.reason = spawnError.code === 'ENOENT' ? 'FFMPEG_NOT_FOUND' : 'TRANSCODE_FAILED';
+        finish(error);
+      });
+
+      child.on('close', (exitCode, signal) => {
+        if (exitCode === 0) {
+          finish(null);
+          return;
+        }
+
+        // The last stderr line is usually the actual error
+        const lastLine = stderr.trim().split('\n').pop() || `exit code ${exitCode}, signal ${signal}`;
+        const error = new UnsupportedFormatError(`ffmpeg failed to ${operation} audio: ${lastLine}`);
+        error.reason = 'TRANSCODE_FAILED';
+        error.stderr = stderr;
+        finish(error);
+      });
+    });
+  }
+}
+
+module.exports = AudioTranscoder;
@@ -0,0 +1,182 @@
+const CommandRouter = require('./commandRouter');
+const { CommandError } = CommandRouter;
+const ResponseFormatter = require('./responseFormatter');
+const config = require('../lib/config');
+const { userPreferencesService, OUTPUT_MODES } = require('../lib/services/userPreferences');
+
+/**
+ * Capitalize a language name for display (e.g. 'spanish' -> 'Spanish')
+ * @param {string} name - Language name
+ * @returns {string} - Display name
+ */
+function displayName(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Format a language map as a comma separated list (e.g. 'Spanish (es), French (fr)')
+ * @param {Object} languages - Object with language names as keys and codes as values
+ * @returns {string} - Display list
+ */
+function formatLanguageList(languages) {
+  return Object.entries(languages)
+    .map(([name, code]) => `${displayName(name)} (${code})`)
+    .join(', ');
+}
+
+/**
+ * /help - list the registered commands
+ */
+async function helpCommand(args, { router }) {
+  return router.formatHelp();
+}
+
+/**
+ * /languages - list the languages a user can choose and the ones currently selected
+ */
+async function languagesCommand(args, { userId, userPreferences }) {
+  const targetLanguages = await userPreferences.getTargetLanguages(userId);
+
+  return ResponseFormatter.formatCommandResponse('Languages', [
+    `*Your languages:* ${formatLanguageList(targetLanguages)}`,
+    `*Available:* ${formatLanguageList(config.availableLanguages)}`,
+    '',
+    'Use /lang add <language> or /lang remove <language> to change your languages.'
+  ]);
+}
+
+/**
+ * /lang add <language> and /lang remove <language> - change the user's target languages
+ */
+async function langCommand(args, { userId, userPreferences }) {
+  const [action, ...rest] = args;
+  const language = rest.join(' ');
+
+  if (!['add', 'remove'].includes(action) || !language) {
+    throw new CommandError('Please say which language to add or remove');
+  }
+
+  const resolved = userPreferences.resolveLanguage(language);
+  if (!resolved) {
+    throw new CommandError(`${language} is not an available language`);
+  }
+
+  if (action === 'add') {
+    await userPreferences.addTargetLanguage(userId, resolved.code);
+  } else {
+    const current = Object.values(await userPreferences.getTargetLanguages(userId));
+    if (current.length === 1 && current[0] === resolved.code) {
+      throw new CommandError(`${displayName(resolved.name)} is your only language. Add another before removing it.`);
+    }
+
+    await userPreferences.removeTargetLanguage(userId, resolved.code);
+  }
+
+  const targetLanguages = await userPreferences.getTargetLanguages(userId);
+
+  return ResponseFormatter.formatCommandResponse('Languages updated', [
+    `${action === 'add' ? 'Added' : 'Removed'} ${displayName(resolved.name)}.`,
+    `*Your languages:* ${formatLanguageList(targetLanguages)}`
+  ]);
+}
+
+/**
+ * /output <language> <text|audio|both> - choose how translations into a language are delivered
+ */
+async function outputCommand(args, { userId, userPreferences }) {
+  const mode = (args[args.length - 1] || '').toLowerCase();
+  const language = args.slice(0, -1).join(' ');
+
+  if (!language || !OUTPUT_MODES.includes(mode)) {
+    throw new CommandError(`Please give a language and one of: ${OUTPUT_MODES.join(', ')}`);
+  }
+
+  const resolved = userPreferences.resolveLanguage(language);
+  if (!resolved) {
+    throw new CommandError(`${language} is not an available language`);
+  }
+
+  if (mode !== 'text' && config.textToSpeech.provider === 'none') {
+    throw new CommandError('Voice replies are not available, translations are sent as text');
+  }
+
+  await userPreferences.setOutputMode(userId, resolved.code, mode);
+
+  const description = {
+    text: 'as text',
+    audio: 'as a voice note',
+    both: 'as text and as a voice note'
+  }[mode];
+
+  return ResponseFormatter.formatCommandResponse('Output updated', [
+    `${displayName(resolved.name)} translations will be sent ${description}.`
+  ]);
+}
+
+/**
+ * /settings - show the user's current preferences
+ */
+async function settingsCommand(args, { userId, userPreferences }) {
+  const preferences = await userPreferences.getPreferences(userId);
+  const targetLanguages = await userPreferences.getTargetLanguages(userId);
+  const usesDefaults = !Array.isArray(preferences.targetLanguages) || preferences.targetLanguages.length === 0;
+
+  const outputModes = [];
+  for (const [name, code] of Object.entries(targetLanguages)) {
+    outputModes.push(`${displayName(name)}: ${await userPreferences.getOutputMode(userId, code)}`);
+  }
+
+  return ResponseFormatter.formatCommandResponse('Your settings', [
+    `*Translation languages:* ${formatLanguageList(targetLanguages)}${usesDefaults ? ' (default)' : ''}`,
+    `*Output:* ${outputModes.join(', ')}`,
+    `*Last changed:* ${preferences.updatedAt || 'never'}`
+  ]);
+}
+
+/**
+ * Create a command router with the built-in chat commands registered
+ * @param {Object} dependencies - Services used by the command handlers
+ * @param {Object} dependencies.userPreferences - User preferences service (defaults to the shared instance)
+ * @returns {CommandRouter} - Router ready to dispatch chat commands
+ */
+function createChatCommandRouter({ userPreferences = userPreferencesService } = {}) {
+  const router = new CommandRouter();
+
+  // Give every handler access to the injected services through its context
+  const withServices = handler => (args, context) => handler(args, { ...context, userPreferences });
+
+  router
+    .register('help', {
+      description: 'Show this list of commands',
+      handler: withServices(helpCommand)
+    })
+    .register('languages', {
+      description: 'Show your translation languages and the ones you can add',
+      handler: withServices(languagesCommand)
+    })
+    .register('lang', {
+      description: 'Add or remove a translation language',
+      usage: '/lang add|remove <language>',
+      handler: withServices(langCommand)
+    })
+    .register('output', {
+      description: 'Choose whether a language is sent as text, audio or both',
+      usage: '/output <language> text|audio|both',
+      handler: withServices(outputCommand)
+    })
+    .register('settings', {
+      description: 'Show your current settings',
+      handler: withServices(settingsCommand)
+    });
+
+  return router;
+}
+
+module.exports = {
+  createChatCommandRouter,
+  helpCommand,
+  languagesCommand,
+  langCommand,
+  outputCommand,
+  settingsCommand
+};
@@ -0,0 +1,261 @@
+const config = require('../lib/config');
+const { ProviderUnavailableError } = require('./errorHandler');
+const monitoringService = require('./monitoring');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'circuit-breaker' },
+  transports: [
+    new transports.File({
+      filename: 'logs/circuit-breaker.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('circuit_breaker_rejected', { type: 'counter', labels: ['breaker'] });
+monitoringService.registerMetric('circuit_breaker_state_change', { type: 'counter', labels: ['breaker', 'from', 'to'] });
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// gRPC INVALID_ARGUMENT, NOT_FOUND and OUT_OF_RANGE, HTTP 400, 404 and 413: the request was at fault, not the service
+const REQUEST_ERROR_CODES = new Set([3, 5, 11, 400, 404, 413]);
+
+/**
+ * Thrown instead of calling a service whose circuit is open
+ */
+class CircuitOpenError extends ProviderUnavailableError {
+  /**
+   * @param {CircuitBreaker} breaker - Breaker that rejected the call
+   */
+  constructor(breaker) {
+    super(`Circuit ${breaker.name} is open after ${breaker.failures} consecutive failures`, {
+      userMessage: `Sorry, ${breaker.description} is temporarily unavailable. Please try again in a few minutes.`
+    });
+    this.breaker = breaker.name;
+    this.retryAfterMs = breaker.remainingOpenMs();
+  }
+}
+
+/**
+ * Stops calling a failing service for a while
+ *
+ * Closed: calls go through and consecutive failures are counted. Once failureThreshold is
+ * reached the circuit opens and calls fail straight away with a CircuitOpenError. After
+ * resetTimeoutMs it is half-open: a single probe call goes through, closing the circuit if it
+ * succeeds and opening it again if it fails.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Service name, used in logs, metrics and the health status
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - Time the circuit stays open before a probe call
+   * @param {string} options.description - Name of the service shown to users (optional)
+   * @param {Function} options.isFailure - Whether an error counts against the service (optional)
+   */
+  constructor(name, { failureThreshold, resetTimeoutMs, description = name, isFailure = error => !CircuitBreaker.isRequestError(error) }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.description = description;
+    this.isFailure = isFailure;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+    this.rejectedCalls = 0;
+  }
+
+  /**
+   * Call the service through the breaker
+   * @param {Function} fn - Async function calling the service
+   * @returns {Promise<*>} - Result of fn
+   * @throws {CircuitOpenError} - If the circuit is open
+   */
+  async execute(fn) {
+    const probe = this.admit();
+
+    try {
+      const result = await fn();
+      this.onSuccess(probe);
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error, probe);
+      } else {
+        // The service answered, it just did not like the request
+        this.onSuccess(probe);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Let a call through or reject it
+   * @returns {boolean} - True if the call is the half-open probe
+   * @throws {CircuitOpenError} - If the call is rejected
+   */
+  admit() {
+    if (this.state === STATES.OPEN && this.remainingOpenMs() === 0) {
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    if (this.state !== STATES.CLOSED) {
+      this.rejectedCalls++;
+      monitoringService.recordMetric('circuit_breaker_rejected', 1, { breaker: this.name });
+      throw new CircuitOpenError(this);
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful call
+   * @param {boolean} probe - Whether the call was the half-open probe
+   */
+  onSuccess(probe) {
+    if (probe) {
+      this.probeInFlight = false;
+    }
+
+    this.failures = 0;
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed call, opening the circuit at the threshold or when the probe fails
+   * @param {Error} error - Error of the call
+   * @param {boolean} probe - Whether the call was the half-open probe
+   */
+  onFailure(error, probe) {
+    if (probe) {
+      this.probeInFlight = false;
+    }
+
+    this.failures++;
+    this.lastFailure = { message: error.message, at: new Date().toISOString() };
+
+    if (probe || (this.state === STATES.CLOSED && this.failures >= this.failureThreshold)) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Move to another state
+   * @param {string} state - New state
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    } else if (state === STATES.CLOSED) {
+      this.openedAt = null;
+    }
+
+    logger[state === STATES.OPEN ? 'warn' : 'info']('Circuit state changed', {
+      breaker: this.name,
+      from: previous,
+      to: state,
+      failures: this.failures,
+      lastFailure: this.lastFailure && this.lastFailure.message
+    });
+    monitoringService.recordMetric('circuit_breaker_state_change', 1, { breaker: this.name, from: previous, to: state });
+  }
+
+  /**
+   * Time left before an open circuit lets a probe call through
+   * @returns {number} - Milliseconds, 0 if the circuit is not open or the probe is due
+   */
+  remainingOpenMs() {
+    if (this.state !== STATES.OPEN) {
+      return 0;
+    }
+
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Breaker state, for the health endpoint
+   * @returns {Object} - State, failure count and timings
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryInMs: this.remainingOpenMs(),
+      lastFailure: this.lastFailure ? { ...this.lastFailure } : null,
+      rejectedCalls: this.rejectedCalls
+    };
+  }
+
+  /**
+   * Whether an error was caused by the request itself, so it says nothing about the service's health
+   * @param {Error} error - Error of a call
+   * @returns {boolean} - True for invalid-request errors
+   */
+  static isRequestError(error) {
+    return Boolean(error) && REQUEST_ERROR_CODES.has(error.code);
+  }
+}
+
+// One breaker per service, shared by every client of that service
+const breakers = new Map();
+
+/**
+ * Get the breaker of a service, creating it from config.circuitBreaker on first use
+ * Per-service settings in config.circuitBreaker.services override the defaults.
+ * @param {string} name - Service name, e.g. 'google_stt'
+ * @param {Object} options - Extra CircuitBreaker options, only used when the breaker is created
+ * @returns {CircuitBreaker} - Breaker of the service
+ */
+function getCircuitBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    const { services = {}, ...defaults } = config.circuitBreaker;
+    const overrides = Object.fromEntries(
+      Object.entries(services[name] || {}).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    breakers.set(name, new CircuitBreaker(name, { ...defaults, ...overrides, ...options }));
+  }
+
+  return breakers.get(name);
+}
+
+monitoringService.registerHealthCheck('circuitBreakers', () =>
+  Object.fromEntries([...breakers].map(([name, breaker]) => [name, breaker.getState()]))
+);
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  getCircuitBreaker
+};
@@ -0,0 +1,171 @@
+const ResponseFormatter = require('./responseFormatter');
+const monitoringService = require('./monitoring');
+const ErrorHandler = require('./errorHandler');
+const { AppError } = ErrorHandler;
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'command-router' },
+  transports: [
+    new transports.File({
+      filename: 'logs/command-router.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('chat_command_count', { type: 'counter', labels: ['command'] });
+
+const COMMAND_PREFIX = '/';
+
+/**
+ * A command was used wrongly; the message is written for the user and shown to them
+ */
+class CommandError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'INVALID_COMMAND', userMessage: message });
+  }
+}
+
+/**
+ * Parses `/command args` chat messages and dispatches them to registered handlers
+ */
+class CommandRouter {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  /**
+   * Register a command
+   * @param {string} name - Command name without the leading slash
+   * @param {Object} definition - Command definition
+   * @param {string} definition.description - One-line description shown in the help listing
+   * @param {string} definition.usage - Usage example shown in the help listing (optional)
+   * @param {Function} definition.handler - Async function (args, context) returning the reply text
+   * @returns {CommandRouter} - The router, for chaining
+   */
+  register(name, { description, usage = null, handler }) {
+    if (!name || typeof name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(name)) {
+      throw new Error(`Invalid command name: ${name}`);
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for command /${name} must be a function`);
+    }
+
+    this.commands.set(name, {
+      name,
+      description: description || '',
+      usage: usage || `${COMMAND_PREFIX}${name}`,
+      handler
+    });
+
+    return this;
+  }
+
+  /**
+   * Check whether a text message is a command
+   * @param {string} text - Text message body
+   * @returns {boolean} - Whether the text starts with the command prefix
+   */
+  isCommand(text) {
+    return typeof text === 'string' && text.trim().startsWith(COMMAND_PREFIX) && text.trim().length > 1;
+  }
+
+  /**
+   * Split a command message into its name and arguments
+   * @param {string} text - Text message body, e.g. '/lang add spanish'
+   * @returns {Object|null} - Object with name and args, or null if the text is not a command
+   */
+  parse(text) {
+    if (!this.isCommand(text)) {
+      return null;
+    }
+
+    const [command, ...args] = text.trim().slice(COMMAND_PREFIX.length).split(/\s+/);
+
+    return {
+      name: command.toLowerCase(),
+      args
+    };
+  }
+
+  /**
+   * Run the handler of a command message
+   * @param {string} text - Text message body
+   * @param {Object} context - Context passed to the handler, e.g. { userId }
+   * @returns {Promise<string>} - Reply text for the user
+   */
+  async dispatch(text, context = {}) {
+    const parsed = this.parse(text);
+    if (!parsed) {
+      throw new Error('Text is not a command');
+    }
+
+    const command = this.commands.get(parsed.name);
+    if (!command) {
+      logger.info('Unknown command received', { command: parsed.name, userId: context.userId });
+      monitoringService.recordMetric('chat_command_count', 1, { command: 'unknown' });
+      return this.formatHelp(`Unknown command: ${COMMAND_PREFIX}${parsed.name}`);
+    }
+
+    logger.info('Dispatching command', {
+      command: parsed.name,
+      argCount: parsed.args.length,
+      userId: context.userId
+    });
+    monitoringService.recordMetric('chat_command_count', 1, { command: parsed.name });
+
+    try {
+      return await command.handler(parsed.args, { ...context, router: this });
+    } catch (error) {
+      logger.error('Error running command', {
+        command: parsed.name,
+        userId: context.userId,
+        error: error.message,
+        stack: error.stack
+      });
+      monitoringService.recordError('command_router', parsed.name, error.constructor.name);
+
+      // Only messages meant for users are shown; anything else gets a generic reply
+      const userMessage = ErrorHandler.wrap(error).userMessage;
+
+      return ResponseFormatter.formatCommandResponse(`${COMMAND_PREFIX}${parsed.name}`, [
+        userMessage || "Sorry, that didn't work.",
+        `Usage: ${command.usage}`
+      ]);
+    }
+  }
+
+  /**
+   * Build the help listing from the registered commands
+   * @param {string} notice - Optional line shown above the listing
+   * @returns {string} - Formatted help text
+   */
+  formatHelp(notice = null) {
+    const lines = [];
+
+    if (notice) {
+      lines.push(notice, '');
+    }
+
+    for (const command of this.commands.values()) {
+      lines.push(`${command.usage} - ${command.description}`);
+    }
+
+    return ResponseFormatter.formatCommandResponse('Available commands', lines);
+  }
+}
+
+module.exports = CommandRouter;
+module.exports.CommandError = CommandError;
@@ -0,0 +1,212 @@
+const config = require('../lib/config');
+const monitoringService = require('./monitoring');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'delivery-tracker' },
+  transports: [
+    new transports.File({
+      filename: 'logs/delivery-tracker.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('whatsapp_message_status', { type: 'counter', labels: ['status'] });
+monitoringService.registerMetric('whatsapp_delivery_failed', { type: 'counter', labels: ['errorCode'] });
+monitoringService.registerMetric('whatsapp_status_untracked', { type: 'counter', labels: ['status'] });
+
+// Order of the delivery lifecycle; WhatsApp may deliver statuses out of order, so later stages win
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
+
+/**
+ * Tracks the delivery lifecycle of messages sent by the bot
+ *
+ * Outbound message IDs are recorded as 'accepted' when the messages API returns them, and the
+ * sent/delivered/read/failed statuses from the webhook are matched against them. Messages are
+ * kept in memory for a limited time.
+ */
+class DeliveryTracker {
+  /**
+   * @param {Object} options - Tracker options, defaults to config.deliveryTracking
+   * @param {number} options.ttlMs - How long a message is tracked in milliseconds
+   * @param {number} options.maxEntries - Maximum number of messages tracked
+   */
+  constructor({ ttlMs, maxEntries } = config.deliveryTracking) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // message ID -> delivery record, oldest first
+  }
+
+  /**
+   * Start tracking an outbound message
+   * @param {string} messageId - Message ID returned by the messages API
+   * @param {Object} details - Message details
+   * @param {string} details.recipientId - The WhatsApp ID of the recipient
+   * @param {string} details.type - Message type, e.g. 'text' or 'audio'
+   */
+  track(messageId, { recipientId, type }) {
+    const now = Date.now();
+    this.prune(now);
+
+    this.entries.set(messageId, {
+      messageId,
+      recipientId,
+      type,
+      status: 'accepted',
+      acceptedAt: new Date(now).toISOString(),
+      statuses: [],
+      error: null,
+      expiresAt: now + this.ttlMs
+    });
+
+    // Drop the oldest messages beyond the limit
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Record a status from the webhook's value.statuses
+   * @param {Object} statusEvent - WhatsApp status object ({ id, status, timestamp, recipient_id, errors })
+   * @returns {Object|null} - Updated delivery record, or null if the message is not tracked
+   */
+  recordStatus(statusEvent) {
+    if (!statusEvent || typeof statusEvent !== 'object' || !statusEvent.id || !statusEvent.status) {
+      throw new Error('Status event must have an id and a status');
+    }
+
+    const status = String(statusEvent.status);
+    const error = status === 'failed' ? DeliveryTracker.readError(statusEvent) : null;
+
+    monitoringService.recordMetric('whatsapp_message_status', 1, { status });
+    if (error) {
+      logger.warn('Message delivery failed', {
+        messageId: statusEvent.id,
+        recipientId: statusEvent.recipient_id,
+        ...error
+      });
+      monitoringService.recordMetric('whatsapp_delivery_failed', 1, { errorCode: error.code });
+      monitoringService.recordError('whatsapp_delivery', 'status', `error_${error.code}`);
+    }
+
+    const entry = this.entries.get(String(statusEvent.id));
+    if (!entry || entry.expiresAt <= Date.now()) {
+      // Sent before a restart or by another system
+      monitoringService.recordMetric('whatsapp_status_untracked', 1, { status });
+      return null;
+    }
+
+    entry.statuses.push({
+      status,
+      timestamp: statusEvent.timestamp
+        ? new Date(Number(statusEvent.timestamp) * 1000).toISOString()
+        : new Date().toISOString()
+    });
+
+    if ((STATUS_RANK[status] ?? -1) > (STATUS_RANK[entry.status] ?? -1)) {
+      entry.status = status;
+    }
+    if (error) {
+      entry.error = error;
+    }
+
+    return DeliveryTracker.toRecord(entry);
+  }
+
+  /**
+   * Look up the delivery record of a message
+   * @param {string} messageId - Message ID
+   * @returns {Object|null} - Delivery record, or null if the message is not tracked
+   */
+  get(messageId) {
+    const entry = this.entries.get(messageId);
+
+    return entry && entry.expiresAt > Date.now() ? DeliveryTracker.toRecord(entry) : null;
+  }
+
+  /**
+   * Delivery statistics, for the health endpoint
+   * @returns {Object} - Tracked message count and count per current status
+   */
+  getStats() {
+    this.prune();
+
+    const byStatus = {};
+    for (const entry of this.entries.values()) {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    }
+
+    return {
+      trackedMessages: this.entries.size,
+      byStatus
+    };
+  }
+
+  /**
+   * Read the first error of a failed status
+   * @param {Object} statusEvent - WhatsApp status object
+   * @returns {Object} - { code, title, details }
+   */
+  static readError(statusEvent) {
+    const [error] = Array.isArray(statusEvent.errors) ? statusEvent.errors : [];
+
+    return {
+      code: error && error.code !== undefined ? error.code : 'unknown',
+      title: (error && (error.title || error.message)) || null,
+      details: (error && error.error_data && error.error_data.details) || null
+    };
+  }
+
+  /**
+   * Copy a tracked entry for callers, without internal fields
+   * @param {Object} entry - Tracked entry
+   * @returns {Object} - Delivery record
+   */
+  static toRecord({ expiresAt, statuses, error, ...record }) {
+    return {
+      ...record,
+      statuses: statuses.map(status => ({ ...status })),
+      error: error ? { ...error } : null
+    };
+  }
+
+  /**
+   * Drop messages whose TTL has passed
+   * Every message gets the same TTL, so we can stop at the first one that is still valid
+   * @param {number} now - Current timestamp in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [messageId, entry] of this.entries) {
+      if (entry.expiresAt > now) {
+        break;
+      }
+      this.entries.delete(messageId);
+    }
+  }
+}
+
+// Shared tracker used by the WhatsApp service, the webhook and the admin API
+const deliveryTracker = new DeliveryTracker();
+monitoringService.registerHealthCheck('deliveryTracker', () => deliveryTracker.getStats());
+
+module.exports = {
+  DeliveryTracker,
+  deliveryTracker
+};
@@ -19,6 +19,130 @@ const logger = createLogger({
   ]
 });
 
+// User-facing message and metric tag of each kind of error
+// A null message means the caller's own generic reply is used
+const ERROR_KINDS = {
+  INTERNAL_ERROR: {
+    metricTag: 'internal_error',
+    userMessage: null
+  },
+  AUDIO_TOO_LARGE: {
+    metricTag: 'audio_too_large',
+    userMessage: 'That voice note is too large for me to process. Please send a shorter one.'
+  },
+  UNSUPPORTED_FORMAT: {
+    metricTag: 'unsupported_format',
+    userMessage: "I can't process that audio format. Please record a WhatsApp voice note instead."
+  },
+  NO_SPEECH_DETECTED: {
+    metricTag: 'no_speech_detected',
+    userMessage: "I couldn't hear anyone speaking in that voice note. Please try recording it again."
+  },
+  PROVIDER_UNAVAILABLE: {
+    metricTag: 'provider_unavailable',
+    userMessage: 'Sorry, the service is temporarily unavailable. Please try again in a few minutes.'
+  },
+  RATE_LIMITED: {
+    metricTag: 'rate_limited',
+    userMessage: "Sorry, I'm receiving too many requests right now. Please wait a minute and try again."
+  },
+  INVALID_COMMAND: {
+    metricTag: 'invalid_command',
+    userMessage: null
+  },
+  JOB_TIMEOUT: {
+    metricTag: 'job_timeout',
+    userMessage: 'Sorry, that took too long to process. Please try again, or send a shorter voice note.'
+  },
+  QUEUE_FULL: {
+    metricTag: 'queue_full',
+    userMessage: "Sorry, I'm busy with a lot of messages right now. Please try again in a few minutes."
+  },
+  WHATSAPP_API_ERROR: {
+    metricTag: 'whatsapp_api_error',
+    userMessage: null
+  }
+};
+
+// gRPC status codes, as set on Google client library errors
+const GRPC_DEADLINE_EXCEEDED = 4;
+const GRPC_RESOURCE_EXHAUSTED = 8;
+const GRPC_UNAVAILABLE = 14;
+
+// Network failures that mean the other side could not be reached
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND']);
+
+/**
+ * Base class of errors that keep their kind through the processing pipeline
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Error message, for logs
+   * @param {Object} options - Error details
+   * @param {string} options.code - Kind of error, a key of ERROR_KINDS (default: INTERNAL_ERROR)
+   * @param {string} options.userMessage - Message for the user, instead of the kind's (optional)
+   * @param {string} options.metricTag - Metric tag, instead of the kind's (optional)
+   * @param {number} options.status - HTTP status returned by the service that failed (optional)
+   * @param {Error} options.cause - Underlying error (optional)
+   */
+  constructor(message, { code = 'INTERNAL_ERROR', userMessage, metricTag, status = null, cause = null } = {}) {
+    super(message);
+
+    const kind = ERROR_KINDS[code] || ERROR_KINDS.INTERNAL_ERROR;
+    this.name = this.constructor.name;
+    this.code = code;
+    this.userMessage = userMessage !== undefined ? userMessage : kind.userMessage;
+    this.metricTag = metricTag || kind.metricTag;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Audio over the size we accept
+ */
+class AudioTooLargeError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'AUDIO_TOO_LARGE' });
+  }
+}
+
+/**
+ * Audio in a format speech recognition cannot take
+ */
+class UnsupportedFormatError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'UNSUPPORTED_FORMAT' });
+  }
+}
+
+/**
+ * Audio without anything to transcribe
+ */
+class NoSpeechDetectedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'NO_SPEECH_DETECTED' });
+  }
+}
+
+/**
+ * An external service is down or could not be reached
+ */
+class ProviderUnavailableError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'PROVIDER_UNAVAILABLE' });
+  }
+}
+
+/**
+ * An external service refused the request because of a rate limit or quota
+ */
+class RateLimitedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'RATE_LIMITED' });
+  }
+}
+
 class ErrorHandler {
   /**\n   * Handle application errors\n   * @param {Error} error - The error to handle\n   * @param {Object} context - Additional context about where the error occurred\n   */
   static handleError(error, context = {}) {
@@ -77,6 +201,56 @@ class ErrorHandler {
     const Validation = require('./validation');
     return Validation.validateResponse(data, dataType);
   }
+
+  /**
+   * Get an error to rethrow, keeping its kind
+   * AppErrors are returned as they are. Other errors become an AppError with the original as
+   * its cause, classified as rate-limited or unavailable from their gRPC, HTTP or network code.
+   * @param {Error} error - Caught error
+   * @param {string} message - Message to use instead of the error's, e.g. one returned by the service (optional)
+   * @returns {AppError} - Error to rethrow
+   */
+  static wrap(error, message = null) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    message = message || (error && error.message) || 'An unknown error occurred';
+    const code = error ? error.code : undefined;
+    const status = ErrorHandler.httpStatus(error);
+
+    if (code === GRPC_RESOURCE_EXHAUSTED || status === 429) {
+      return new RateLimitedError(message, { status, cause: error });
+    }
+    if (code === GRPC_UNAVAILABLE || code === GRPC_DEADLINE_EXCEEDED || NETWORK_ERROR_CODES.has(code) || [502, 503, 504].includes(status)) {
+      return new ProviderUnavailableError(message, { status, cause: error });
+    }
+
+    return new AppError(message, { status, cause: error });
+  }
+
+  /**
+   * Read the HTTP status of a failed call, from axios errors or Google REST API errors
+   * @param {Error} error - Caught error
+   * @returns {number|null} - HTTP status, or null if the error has none
+   */
+  static httpStatus(error) {
+    if (!error) {
+      return null;
+    }
+    if (error.response && typeof error.response.status === 'number') {
+      return error.response.status;
+    }
+
+    // Google REST errors carry the HTTP status as their code, gRPC errors a code below 100
+    return typeof error.code === 'number' && error.code >= 100 ? error.code : null;
+  }
 }
 
-module.exports = ErrorHandler;
\ No newline at end of file
+module.exports = ErrorHandler;
+module.exports.AppError = AppError;
+module.exports.AudioTooLargeError = AudioTooLargeError;
+module.exports.UnsupportedFormatError = UnsupportedFormatError;
+module.exports.NoSpeechDetectedError = NoSpeechDetectedError;
+module.exports.ProviderUnavailableError = ProviderUnavailableError;
+module.exports.RateLimitedError = RateLimitedError;
\ No newline at end of file
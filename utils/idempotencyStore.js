@@ -0,0 +1,224 @@
+const config = require('../lib/config');
+const JsonFile = require('./jsonFile');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'idempotency-store' },
+  transports: [
+    new transports.File({
+      filename: 'logs/idempotency-store.log'
+    })
+  ]
+});
+
+/**
+ * Remembers processed keys (WhatsApp message IDs) in memory for a limited time
+ */
+class MemoryIdempotencyStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttlMs - How long a key is remembered in milliseconds
+   */
+  constructor({ ttlMs } = {}) {
+    this.ttlMs = ttlMs || config.idempotency.ttlMs;
+    this.entries = new Map(); // key -> expiry timestamp
+  }
+
+  /**
+   * Record a key if it has not been seen within the TTL
+   * @param {string} key - Idempotency key, e.g. a WhatsApp message ID
+   * @returns {Promise<boolean>} - True if the key is new, false if it is a duplicate
+   */
+  async markIfNew(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Idempotency key is required and must be a string');
+    }
+
+    const now = Date.now();
+    this.prune(now);
+
+    if (this.entries.has(key)) {
+      return false;
+    }
+
+    this.entries.set(key, now + this.ttlMs);
+    return true;
+  }
+
+  /**
+   * Forget a key, so that it is reported as new again
+   * Used when processing fails, so only completed work is deduplicated
+   * @param {string} key - Idempotency key
+   * @returns {Promise<boolean>} - True if the key was known
+   */
+  async release(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Check whether a key has been seen within the TTL
+   * @param {string} key - Idempotency key
+   * @returns {Promise<boolean>} - Whether the key is known
+   */
+  async has(key) {
+    const expiresAt = this.entries.get(key);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  /**
+   * Drop keys whose TTL has passed
+   * Map iteration follows insertion order and every key gets the same TTL,
+   * so we can stop at the first key that is still valid
+   * @param {number} now - Current timestamp in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt > now) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Number of keys currently remembered
+   * @returns {number} - Key count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Idempotency store that also persists keys to a JSON file so restarts don't forget recent messages
+ */
+class FileIdempotencyStore extends MemoryIdempotencyStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttlMs - How long a key is remembered in milliseconds
+   * @param {string} options.filePath - Path of the JSON file holding the keys
+   */
+  constructor({ ttlMs, filePath } = {}) {
+    super({ ttlMs });
+    this.filePath = filePath || config.idempotency.filePath;
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Load previously persisted keys, ignoring those that have expired
+   */
+  load() {
+    try {
+      const data = JsonFile.readSync(this.filePath);
+      if (!data) {
+        return;
+      }
+
+      const now = Date.now();
+      const sortedEntries = Object.entries(data.entries || {}).sort((a, b) => a[1] - b[1]);
+
+      for (const [key, expiresAt] of sortedEntries) {
+        if (typeof expiresAt === 'number' && expiresAt > now) {
+          this.entries.set(key, expiresAt);
+        }
+      }
+
+      logger.info('Idempotency keys loaded from file', {
+        filePath: this.filePath,
+        count: this.entries.size
+      });
+    } catch (error) {
+      // A corrupt file should not stop the bot from starting; we only lose deduplication history
+      logger.error('Error loading idempotency keys from file', {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a key if it has not been seen within the TTL and persist the store
+   * @param {string} key - Idempotency key, e.g. a WhatsApp message ID
+   * @returns {Promise<boolean>} - True if the key is new, false if it is a duplicate
+   */
+  async markIfNew(key) {
+    const isNew = await super.markIfNew(key);
+
+    if (isNew) {
+      await this.persist();
+    }
+
+    return isNew;
+  }
+
+  /**
+   * Forget a key and persist the store
+   * @param {string} key - Idempotency key
+   * @returns {Promise<boolean>} - True if the key was known
+   */
+  async release(key) {
+    const wasKnown = await super.release(key);
+
+    if (wasKnown) {
+      await this.persist();
+    }
+
+    return wasKnown;
+  }
+
+  /**
+   * Write the current keys to disk
+   * Writes are chained so they never interleave
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const snapshot = { entries: Object.fromEntries(this.entries) };
+
+    this.writeChain = this.writeChain.then(async () => {
+      try {
+        await JsonFile.writeAtomic(this.filePath, snapshot);
+      } catch (error) {
+        logger.error('Error persisting idempotency keys to file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    return this.writeChain;
+  }
+}
+
+/**
+ * Create the idempotency store selected in the configuration
+ * @param {Object} options - Store settings, defaults to config.idempotency
+ * @returns {MemoryIdempotencyStore|FileIdempotencyStore} - Idempotency store instance
+ */
+function createIdempotencyStore(options = config.idempotency) {
+  switch (options.store) {
+    case 'file':
+      return new FileIdempotencyStore(options);
+    case 'memory':
+      return new MemoryIdempotencyStore(options);
+    default:
+      logger.warn('Unknown idempotency store type, falling back to memory', { store: options.store });
+      return new MemoryIdempotencyStore(options);
+  }
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  createIdempotencyStore
+};
@@ -0,0 +1,283 @@
+const monitoringService = require('./monitoring');
+const { AppError } = require('./errorHandler');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'job-queue' },
+  transports: [
+    new transports.Console({ // Console so queue activity shows up alongside the webhook logs in Railway
+      format: format.combine(
+        format.timestamp(),
+        format.errors({ stack: true }),
+        format.splat(),
+        format.json()
+      )
+    }),
+    new transports.File({
+      filename: 'logs/job-queue.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('job_queue_depth', { type: 'gauge', labels: ['queue'] });
+monitoringService.registerMetric('job_queue_wait_time_ms', { type: 'histogram', labels: ['queue'] });
+monitoringService.registerMetric('job_queue_run_time_ms', { type: 'histogram', labels: ['queue', 'outcome'] });
+monitoringService.registerMetric('job_queue_rejected_count', { type: 'counter', labels: ['queue'] });
+
+/**
+ * A job ran past the queue's timeout
+ */
+class JobTimeoutError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'JOB_TIMEOUT' });
+  }
+}
+
+/**
+ * A job was turned away because too many jobs are already waiting
+ */
+class QueueFullError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'QUEUE_FULL' });
+  }
+}
+
+/**
+ * In-process job queue with bounded concurrency, a bounded backlog and a per-job timeout
+ *
+ * Jobs receive an AbortSignal that is aborted when they time out. The caller is told about the
+ * timeout straight away, but the job keeps its slot until it has actually stopped, so the
+ * concurrency limit holds even for jobs that ignore the signal. Jobs that find out they need
+ * longer, such as long voice notes, can extend their own timeout.
+ */
+class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.name - Name of the queue, used as a metric tag
+   * @param {number} options.concurrency - Maximum number of jobs running at the same time
+   * @param {number} options.timeout - Maximum run time of a single job in milliseconds (0 disables the timeout)
+   * @param {number} options.maxDepth - Maximum number of jobs waiting for a slot (0 for no limit)
+   */
+  constructor({ name = 'default', concurrency = 1, timeout = 0, maxDepth = 0 } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Job queue concurrency must be a positive integer, got: ${concurrency}`);
+    }
+
+    this.name = name;
+    this.concurrency = concurrency;
+    this.timeout = timeout;
+    this.maxDepth = maxDepth;
+    this.pending = [];
+    this.running = 0;
+    this.stats = {
+      enqueued: 0,
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      rejected: 0
+    };
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Function} jobFn - Async function performing the work, called with an AbortSignal and
+   *   a job handle whose extendTimeout(timeoutMs) raises the job's timeout
+   * @param {Object} metadata - Context about the job, included in logs
+   * @returns {Promise<*>} - Resolves or rejects with the outcome of the job; rejects with a
+   *   JobTimeoutError on timeout and a QueueFullError when the backlog is full
+   */
+  enqueue(jobFn, metadata = {}) {
+    if (typeof jobFn !== 'function') {
+      return Promise.reject(new Error('Job must be a function'));
+    }
+
+    if (this.maxDepth > 0 && this.pending.length >= this.maxDepth) {
+      this.stats.rejected++;
+      logger.warn('Job rejected, queue is full', {
+        queue: this.name,
+        depth: this.pending.length,
+        maxDepth: this.maxDepth,
+        ...metadata
+      });
+      monitoringService.recordMetric('job_queue_rejected_count', 1, { queue: this.name });
+
+      return Promise.reject(new QueueFullError(`Job queue ${this.name} is full (${this.maxDepth} jobs waiting)`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        jobFn,
+        metadata,
+        resolve,
+        reject,
+        enqueuedAt: Date.now()
+      });
+      this.stats.enqueued++;
+
+      logger.info('Job enqueued', {
+        queue: this.name,
+        depth: this.pending.length,
+        running: this.running,
+        ...metadata
+      });
+      this.recordDepth();
+
+      this.drain();
+    });
+  }
+
+  /**
+   * Start pending jobs while there are free slots
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.recordDepth();
+      this.run(job);
+    }
+  }
+
+  /**
+   * Run a single job, enforcing the timeout and recording wait and run times
+   * The slot is only freed once the job has settled, also after a timeout.
+   * @param {Object} job - Job entry taken from the pending list
+   */
+  async run(job) {
+    this.running++;
+
+    const startedAt = Date.now();
+    const waitTime = startedAt - job.enqueuedAt;
+    monitoringService.recordMetric('job_queue_wait_time_ms', waitTime, { queue: this.name });
+
+    const controller = new AbortController();
+    let timeoutHandle = null;
+    let timeout = this.timeout;
+    let outcome = 'completed';
+    let finished = false;
+
+    const armTimeout = () => {
+      clearTimeout(timeoutHandle);
+      timeoutHandle = setTimeout(() => {
+        outcome = 'timed_out';
+        this.stats.timedOut++;
+
+        const timeoutError = new JobTimeoutError(`Job timed out after ${timeout}ms`);
+        logger.error('Job timed out, keeping its slot until it stops', {
+          queue: this.name,
+          timeout,
+          ...job.metadata
+        });
+        monitoringService.recordError('job_queue', this.name, outcome);
+
+        controller.abort(timeoutError);
+        job.reject(timeoutError);
+      }, Math.max(0, startedAt + timeout - Date.now()));
+    };
+
+    if (timeout > 0) {
+      armTimeout();
+    }
+
+    const handle = {
+      /**
+       * Allow the job to run for longer, counted from when it started
+       * @param {number} timeoutMs - New run time limit in milliseconds, ignored unless longer than the current one
+       */
+      extendTimeout: timeoutMs => {
+        if (finished || timeout <= 0 || outcome === 'timed_out' || !(timeoutMs > timeout)) {
+          return;
+        }
+
+        logger.info('Job timeout extended', {
+          queue: this.name,
+          timeout: timeoutMs,
+          ...job.metadata
+        });
+        timeout = timeoutMs;
+        armTimeout();
+      }
+    };
+
+    try {
+      const result = await job.jobFn(controller.signal, handle);
+
+      if (outcome !== 'timed_out') {
+        this.stats.completed++;
+        job.resolve(result);
+      }
+    } catch (error) {
+      // A job that timed out was already rejected, whatever it fails with once it stops
+      if (outcome !== 'timed_out') {
+        outcome = 'failed';
+        this.stats.failed++;
+
+        logger.error('Job did not complete', {
+          queue: this.name,
+          outcome,
+          error: error.message,
+          ...job.metadata
+        });
+        monitoringService.recordError('job_queue', this.name, outcome);
+
+        job.reject(error);
+      }
+    } finally {
+      finished = true;
+      if (timeoutHandle) {
+        clearTimeout(timeoutHandle);
+      }
+
+      const runTime = Date.now() - startedAt;
+      monitoringService.recordMetric('job_queue_run_time_ms', runTime, { queue: this.name, outcome });
+
+      logger.info('Job finished', {
+        queue: this.name,
+        outcome,
+        waitTime,
+        runTime,
+        ...job.metadata
+      });
+
+      this.running--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Record the current number of jobs waiting for a free slot
+   */
+  recordDepth() {
+    monitoringService.recordMetric('job_queue_depth', this.pending.length, { queue: this.name });
+  }
+
+  /**
+   * Get a snapshot of the queue state
+   * @returns {Object} - Queue depth, running jobs, limits and counters
+   */
+  getStats() {
+    return {
+      name: this.name,
+      depth: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      timeout: this.timeout,
+      maxDepth: this.maxDepth,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = JobQueue;
+module.exports.JobTimeoutError = JobTimeoutError;
+module.exports.QueueFullError = QueueFullError;
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helpers for the small JSON files used to persist bot state between restarts
+ */
+class JsonFile {
+  /**
+   * Read and parse a JSON file
+   * @param {string} filePath - Path of the file
+   * @param {*} fallback - Value returned when the file does not exist
+   * @returns {*} - Parsed contents or the fallback
+   */
+  static readSync(filePath, fallback = null) {
+    if (!fs.existsSync(filePath)) {
+      return fallback;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Write data to a JSON file through a temporary file, so a crash mid-write
+   * cannot leave a truncated file behind
+   * @param {string} filePath - Path of the file
+   * @param {*} data - Data to serialize
+   * @returns {Promise<void>}
+   */
+  static async writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data));
+    await fs.promises.rename(tempPath, filePath);
+  }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,65 @@
+const ResponseFormatter = require('./responseFormatter');
+
+// Prefix of the option IDs, so replies to the picker can be told apart from other interactive replies
+const OPTION_PREFIX = 'translate';
+
+// WhatsApp shows up to three reply buttons, and up to ten rows in a list
+const MAX_BUTTONS = 3;
+const MAX_ROWS = 10;
+
+/**
+ * Builds and reads the "Translate to…" picker offered after a voice note
+ *
+ * Each option ID carries the stored transcript ID and the language code, e.g.
+ * "translate:3f2a9c...:fr", so the reply alone says what to translate into which language.
+ */
+class LanguagePicker {
+  /**
+   * Build the picker options for a transcript
+   * @param {string} transcriptId - ID of the stored transcript
+   * @param {Object} languages - Object with language names as keys and codes as values
+   * @returns {Array<Object>} - Options as { id, title }, at most ten
+   */
+  static options(transcriptId, languages) {
+    return Object.values(languages).slice(0, MAX_ROWS).map(code => ({
+      id: `${OPTION_PREFIX}:${transcriptId}:${code}`,
+      title: ResponseFormatter.languageName(code)
+    }));
+  }
+
+  /**
+   * Read the transcript and language from the ID of a chosen option
+   * @param {string} id - ID of the list row or button the user chose
+   * @returns {Object|null} - { transcriptId, languageCode }, or null if the ID is not a picker option
+   */
+  static parseOptionId(id) {
+    const match = /^translate:([0-9a-f]+):([a-z]{2,3}(?:-[A-Za-z0-9]+)?)$/.exec(id || '');
+
+    return match ? { transcriptId: match[1], languageCode: match[2] } : null;
+  }
+
+  /**
+   * Send the picker, as reply buttons for up to three languages and as a list otherwise
+   * @param {WhatsAppService} whatsappService - Service used to send the message
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {string} transcriptId - ID of the stored transcript
+   * @param {Object} languages - Object with language names as keys and codes as values
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  static async send(whatsappService, recipientId, transcriptId, languages) {
+    const options = LanguagePicker.options(transcriptId, languages);
+    const body = 'Need this voice note in another language?';
+
+    if (options.length <= MAX_BUTTONS) {
+      return whatsappService.sendButtonMessage(recipientId, { body, buttons: options });
+    }
+
+    return whatsappService.sendListMessage(recipientId, {
+      body,
+      buttonText: 'Translate to…',
+      sections: [{ title: 'Languages', rows: options }]
+    });
+  }
+}
+
+module.exports = LanguagePicker;
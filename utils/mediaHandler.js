@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('../lib/config');
+const AudioInspector = require('./audioInspector');
+const AudioTranscoder = require('./audioTranscoder');
 const { createLogger, format, transports } = require('winston');
 
 // Create logger for this module
@@ -31,7 +33,12 @@ const logger = createLogger({
 });
 
 class MediaHandler {
-  constructor() {
+  /**
+   * @param {AudioTranscoder} transcoder - Transcoder used to normalise audio (optional)
+   */
+  constructor(transcoder = new AudioTranscoder()) {
+    this.transcoder = transcoder;
+
     // Create temp directory if it doesn't exist
     if (!fs.existsSync(config.audio.tempDir)) {
       fs.mkdirSync(config.audio.tempDir, { recursive: true });
@@ -86,50 +93,90 @@ class MediaHandler {
   }
 
   /**
-   * Process audio buffer through the entire pipeline: save and return path
-   * Google Cloud Speech-to-Text can handle most audio formats directly
+   * Work out the file extension for an audio buffer
+   * The extension follows the actual audio format, since declared MIME types are not reliable
+   * (e.g. AAC uploads from iPhones arrive as audio/mp4)
+   * @param {Buffer} audioBuffer - Audio data as buffer
+   * @param {string} originalMimeType - Declared MIME type of the audio
+   * @returns {string} - File extension without the dot
+   */
+  extensionFor(audioBuffer, originalMimeType) {
+    const audioInfo = AudioInspector.inspect(audioBuffer);
+    if (audioInfo) {
+      return audioInfo.extension;
+    }
+
+    switch (originalMimeType) {
+      case 'audio/ogg':
+      case 'audio/ogg; codecs=opus':
+        return 'ogg';
+      case 'audio/wav':
+        return 'wav';
+      case 'audio/mp4':
+        return 'm4a';
+      case 'audio/mpeg':
+        return 'mp3';
+      default:
+        logger.warn('Unknown audio format, using default extension', { originalMimeType });
+        return 'ogg'; // Default
+    }
+  }
+
+  /**
+   * Process audio buffer through the entire pipeline: save, transcode if needed, and return path
+   * Audio speech recognition does not take as-is is normalised to mono FLAC or LINEAR16
    * @param {Buffer} audioBuffer - Audio data as buffer
    * @param {string} originalMimeType - Original MIME type of the audio
    * @returns {Promise<string>} - Path to the processed audio file ready for STT
    */
   async processAudioBuffer(audioBuffer, originalMimeType) {
+    let savedFilePath = null;
+
     try {
-      // Determine the appropriate file extension based on MIME type
-      let extension;
-      switch (originalMimeType) {
-        case 'audio/ogg':
-        case 'audio/ogg; codecs=opus':
-          extension = 'ogg';
-          break;
-        case 'audio/wav':
-          extension = 'wav';
-          break;
-        case 'audio/mp4':
-          extension = 'mp4';
-          break;
-        case 'audio/mpeg':
-          extension = 'mp3';
-          break;
-        default:
-          extension = 'ogg'; // Default
-          logger.warn('Unknown MIME type, using default extension', { originalMimeType });
-      }
+      const audioInfo = AudioInspector.inspect(audioBuffer);
+
+      // Determine the appropriate file extension from the audio format
+      const extension = this.extensionFor(audioBuffer, originalMimeType);
 
       // Save the audio buffer to a temporary file
-      const tempFilePath = await this.saveAudioBuffer(audioBuffer, extension);
+      savedFilePath = await this.saveAudioBuffer(audioBuffer, extension);
+
+      if (!this.transcoder.shouldTranscode(audioInfo)) {
+        logger.info('Audio buffer processed successfully', {
+          originalMimeType,
+          extension,
+          tempFilePath: savedFilePath
+        });
+
+        return savedFilePath;
+      }
+
+      const transcodedFilePath = savedFilePath.replace(/\.[^.]+$/, `.normalized.${this.transcoder.extension}`);
+      try {
+        await this.transcoder.transcode(savedFilePath, transcodedFilePath);
+      } catch (error) {
+        await this.cleanupTempFile(transcodedFilePath);
+        throw error;
+      }
+      await this.cleanupTempFile(savedFilePath);
 
-      logger.info('Audio buffer processed successfully', {
+      logger.info('Audio buffer transcoded successfully', {
         originalMimeType,
-        tempFilePath
+        codec: audioInfo ? audioInfo.codec : null,
+        tempFilePath: transcodedFilePath
       });
 
-      return tempFilePath;
+      return transcodedFilePath;
     } catch (error) {
       logger.error('Error processing audio buffer', {
         originalMimeType,
         error: error.message,
         stack: error.stack
       });
+
+      if (savedFilePath) {
+        await this.cleanupTempFile(savedFilePath);
+      }
       
       throw error;
     }
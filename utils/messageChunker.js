@@ -0,0 +1,175 @@
+const config = require('../lib/config');
+
+// WhatsApp formatting markers that wrap text, e.g. *bold*, _italic_ and ~strikethrough~
+const FORMATTING_MARKERS = ['*', '_', '~'];
+
+// Room kept free in every part for the "(1/3)" label and re-opened formatting markers
+const RESERVED_LENGTH = 20;
+
+// Sentence ends in the scripts of the supported languages, followed by whitespace
+const SENTENCE_BOUNDARY = /(?<=[.!?…。！？؟।۔])(\s+)/;
+
+/**
+ * Splits replies that are too long for a single WhatsApp message into numbered parts
+ *
+ * Messages are cut between paragraphs first, which in translated replies are the language
+ * sections, then between sentences, then between words. Bold, italic and strikethrough
+ * spans cut in half are closed at the end of one part and reopened at the start of the next.
+ */
+class MessageChunker {
+  /**
+   * Split a message into parts that each fit in one WhatsApp message
+   * @param {string} message - Message text
+   * @param {number} maxLength - Maximum length of one message, defaults to config.whatsapp.maxMessageLength
+   * @returns {Array<string>} - Message parts, labelled "(1/3)" etc. when there is more than one
+   */
+  static split(message, maxLength = config.whatsapp.maxMessageLength) {
+    if (message.length <= maxLength) {
+      return [message];
+    }
+
+    const budget = maxLength - RESERVED_LENGTH;
+    if (budget <= 0) {
+      throw new Error(`Maximum message length must be more than ${RESERVED_LENGTH} characters`);
+    }
+
+    const parts = MessageChunker.balanceMarkers(MessageChunker.pack(MessageChunker.segments(message, budget), budget));
+
+    return parts.map((part, index) => `(${index + 1}/${parts.length})\n${part}`);
+  }
+
+  /**
+   * Break a message into segments no longer than the budget, each with the whitespace
+   * that separated it from the previous segment
+   * @param {string} message - Message text
+   * @param {number} budget - Maximum segment length
+   * @returns {Array<Object>} - Segments as { text, separator }
+   */
+  static segments(message, budget) {
+    const segments = [];
+
+    message.split(/(\n{2,})/).forEach((paragraph, index, pieces) => {
+      if (index % 2 === 1 || paragraph.length === 0) {
+        return;
+      }
+
+      const separator = index > 0 ? pieces[index - 1] : '';
+      if (paragraph.length <= budget) {
+        segments.push({ text: paragraph, separator });
+        return;
+      }
+
+      // Too long for one part: cut between sentences, and between words inside long sentences
+      MessageChunker.splitOn(paragraph, SENTENCE_BOUNDARY).forEach((sentence, sentenceIndex) => {
+        const sentenceSeparator = sentenceIndex === 0 ? separator : sentence.separator;
+
+        if (sentence.text.length <= budget) {
+          segments.push({ text: sentence.text, separator: sentenceSeparator });
+          return;
+        }
+
+        MessageChunker.splitOn(sentence.text, /(\s+)/).forEach((word, wordIndex) => {
+          const wordSeparator = wordIndex === 0 ? sentenceSeparator : word.separator;
+
+          // A single "word" longer than a message, such as a URL, is cut wherever it must be
+          for (let start = 0; start < word.text.length; start += budget) {
+            segments.push({ text: word.text.slice(start, start + budget), separator: start === 0 ? wordSeparator : '' });
+          }
+        });
+      });
+    });
+
+    return segments;
+  }
+
+  /**
+   * Split text on a pattern with one capturing group, keeping the matched whitespace
+   * @param {string} text - Text to split
+   * @param {RegExp} pattern - Separator pattern capturing the separator
+   * @returns {Array<Object>} - Pieces as { text, separator }
+   */
+  static splitOn(text, pattern) {
+    const pieces = text.split(pattern);
+    const result = [];
+
+    for (let i = 0; i < pieces.length; i += 2) {
+      if (pieces[i].length > 0) {
+        result.push({ text: pieces[i], separator: i > 0 ? pieces[i - 1] : '' });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Join segments into as few parts as fit the budget, keeping their order
+   * @param {Array<Object>} segments - Segments as { text, separator }
+   * @param {number} budget - Maximum part length
+   * @returns {Array<string>} - Parts
+   */
+  static pack(segments, budget) {
+    const parts = [];
+    let current = '';
+
+    segments.forEach(({ text, separator }) => {
+      if (current.length === 0) {
+        current = text;
+      } else if (current.length + separator.length + text.length <= budget) {
+        current += separator + text;
+      } else {
+        parts.push(current);
+        current = text;
+      }
+    });
+
+    if (current.length > 0) {
+      parts.push(current);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Close formatting spans left open at the end of a part and reopen them in the next part
+   * @param {Array<string>} parts - Parts
+   * @returns {Array<string>} - Parts with balanced formatting markers
+   */
+  static balanceMarkers(parts) {
+    let carried = [];
+
+    return parts.map(part => {
+      const text = carried.join('') + part;
+      carried = MessageChunker.openMarkers(text);
+
+      return text + [...carried].reverse().join('');
+    });
+  }
+
+  /**
+   * Find the formatting spans left open at the end of a text
+   * A marker opens a span after whitespace and before a non-space character, and closes it
+   * after a non-space character, the way WhatsApp reads them
+   * @param {string} text - Text to inspect
+   * @returns {Array<string>} - Markers of the open spans
+   */
+  static openMarkers(text) {
+    return FORMATTING_MARKERS.filter(marker => {
+      let open = false;
+
+      for (let i = text.indexOf(marker); i !== -1; i = text.indexOf(marker, i + 1)) {
+        const before = i > 0 ? text[i - 1] : '';
+        const after = i < text.length - 1 ? text[i + 1] : '';
+
+        if (!open && (before === '' || /\s/.test(before)) && after !== '' && !/\s/.test(after)) {
+          open = true;
+        } else if (open && before !== '' && !/\s/.test(before)) {
+          open = false;
+        }
+      }
+
+      return open;
+    });
+  }
+}
+
+module.exports = MessageChunker;
@@ -0,0 +1,327 @@
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'metrics-registry' },
+  transports: [
+    new transports.File({
+      filename: 'logs/monitoring.log'
+    })
+  ]
+});
+
+// Histogram bucket upper bounds by the unit in the metric name
+const BUCKETS = {
+  ms: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000],
+  seconds: [0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  ratio: [0.05, 0.1, 0.25, 0.5, 0.75, 0.9, 1]
+};
+
+// Label sets kept per metric, a safety net should a declared label turn out to have too many values
+const DEFAULT_MAX_SERIES = 1000;
+
+const METRIC_TYPES = ['counter', 'gauge', 'histogram'];
+
+/**
+ * Counters, gauges and bucketed histograms with label sets, exposed in the Prometheus text format
+ *
+ * Each metric is registered with its type and the label names it is exported with; values
+ * for metrics that were not registered are dropped, as are tags that are not declared labels.
+ * A metric holds one series per distinct label set, up to maxSeriesPerMetric; observations
+ * for further label sets are dropped.
+ */
+class MetricsRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {number} options.maxSeriesPerMetric - Label sets kept per metric (default: 1000)
+   */
+  constructor({ maxSeriesPerMetric = DEFAULT_MAX_SERIES } = {}) {
+    this.maxSeriesPerMetric = maxSeriesPerMetric;
+    this.families = new Map(); // metric name -> { name, type, labelNames, buckets, series: Map(label key -> series) }
+  }
+
+  /**
+   * Declare a metric
+   * Declaring a metric again is allowed as long as the type and labels are the same.
+   * @param {string} name - Metric name
+   * @param {Object} definition - Metric definition
+   * @param {string} definition.type - 'counter', 'gauge' or 'histogram'
+   * @param {Array<string>} definition.labels - Tags exported as labels; any other tag is left out
+   * @param {Array<number>} definition.buckets - Histogram bucket upper bounds (default: by the unit in the name)
+   */
+  register(name, { type, labels = [], buckets = null }) {
+    if (!METRIC_TYPES.includes(type)) {
+      throw new Error(`Metric ${name} must be one of: ${METRIC_TYPES.join(', ')}, got: ${type}`);
+    }
+
+    const labelNames = [...labels].sort();
+    const existing = this.families.get(name);
+    if (existing) {
+      if (existing.type !== type || existing.labelNames.join(',') !== labelNames.join(',')) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type} with labels: ${existing.labelNames.join(', ') || 'none'}`);
+      }
+      return;
+    }
+
+    this.families.set(name, {
+      name,
+      type,
+      labelNames,
+      buckets: type === 'histogram' ? (buckets || MetricsRegistry.bucketsFor(name)) : null,
+      series: new Map(),
+      droppedSeries: 0
+    });
+  }
+
+  /**
+   * Check whether a metric is registered
+   * @param {string} name - Metric name
+   * @returns {boolean} - True if the metric is registered
+   */
+  has(name) {
+    return this.families.has(name);
+  }
+
+  /**
+   * Record a value as the registered type: counters are increased by it, gauges set to it
+   * and histograms observe it
+   * @param {string} name - Metric name
+   * @param {number} value - Value to record
+   * @param {Object} labels - Tags, of which only the declared labels are kept
+   * @returns {boolean} - False if the metric is not registered
+   */
+  record(name, value, labels = {}) {
+    const family = this.families.get(name);
+    if (!family) {
+      return false;
+    }
+
+    switch (family.type) {
+      case 'histogram':
+        this.observe(name, value, labels);
+        break;
+      case 'gauge':
+        this.set(name, value, labels);
+        break;
+      default:
+        this.increment(name, value, labels);
+    }
+
+    return true;
+  }
+
+  /**
+   * Increase a counter
+   * @param {string} name - Metric name
+   * @param {number} value - Amount to add, not negative
+   * @param {Object} labels - Label names and values
+   */
+  increment(name, value = 1, labels = {}) {
+    if (value < 0) {
+      logger.warn('Counter decrease ignored', { name, value });
+      return;
+    }
+
+    const series = this.series(name, 'counter', labels);
+    if (series) {
+      series.value += value;
+    }
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name
+   * @param {number} value - Current value
+   * @param {Object} labels - Label names and values
+   */
+  set(name, value, labels = {}) {
+    const series = this.series(name, 'gauge', labels);
+    if (series) {
+      series.value = value;
+    }
+  }
+
+  /**
+   * Add an observation to a histogram
+   * @param {string} name - Metric name
+   * @param {number} value - Observed value
+   * @param {Object} labels - Label names and values
+   */
+  observe(name, value, labels = {}) {
+    const series = this.series(name, 'histogram', labels);
+    if (!series) {
+      return;
+    }
+
+    const { buckets } = this.families.get(name);
+    for (let i = 0; i < buckets.length; i++) {
+      if (value <= buckets[i]) {
+        series.bucketCounts[i]++;
+      }
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Find or create the series of a label set
+   * @param {string} name - Metric name
+   * @param {string} type - 'counter', 'gauge' or 'histogram'
+   * @param {Object} labels - Tags, of which only the declared labels are kept
+   * @returns {Object|null} - Series, or null if the metric is not registered, has another type or too many series
+   */
+  series(name, type, labels) {
+    const family = this.families.get(name);
+    if (!family) {
+      logger.warn('Metric not registered', { name, type });
+      return null;
+    }
+
+    if (family.type !== type) {
+      logger.warn('Metric recorded with another type', { name, type, registeredType: family.type });
+      return null;
+    }
+
+    const declared = {};
+    for (const labelName of family.labelNames) {
+      declared[labelName] = labels ? labels[labelName] : undefined;
+    }
+    const normalized = MetricsRegistry.normalizeLabels(declared);
+    const key = JSON.stringify(normalized);
+    let series = family.series.get(key);
+
+    if (!series) {
+      if (family.series.size >= this.maxSeriesPerMetric) {
+        if (family.droppedSeries++ === 0) {
+          logger.warn('Too many label sets for metric, dropping new ones', { name, maxSeriesPerMetric: this.maxSeriesPerMetric });
+        }
+        return null;
+      }
+
+      series = type === 'histogram'
+        ? { labels: normalized, bucketCounts: family.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels: normalized, value: 0 };
+      family.series.set(key, series);
+    }
+
+    return series;
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format (version 0.0.4)
+   * Counters get the conventional _total suffix.
+   * @returns {string} - Exposition text
+   */
+  expose() {
+    const lines = [];
+
+    for (const family of this.families.values()) {
+      const baseName = MetricsRegistry.sanitizeName(family.name);
+      const name = family.type === 'counter' && !baseName.endsWith('_total') ? `${baseName}_total` : baseName;
+
+      lines.push(`# TYPE ${name} ${family.type}`);
+
+      for (const series of family.series.values()) {
+        if (family.type !== 'histogram') {
+          lines.push(`${name}${MetricsRegistry.formatLabels(series.labels)} ${MetricsRegistry.formatValue(series.value)}`);
+          continue;
+        }
+
+        family.buckets.forEach((bound, i) => {
+          const labels = MetricsRegistry.formatLabels({ ...series.labels, le: MetricsRegistry.formatValue(bound) });
+          lines.push(`${name}_bucket${labels} ${series.bucketCounts[i]}`);
+        });
+        lines.push(`${name}_bucket${MetricsRegistry.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${MetricsRegistry.formatLabels(series.labels)} ${MetricsRegistry.formatValue(series.sum)}`);
+        lines.push(`${name}_count${MetricsRegistry.formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Pick histogram buckets from the unit at the end of a metric name, milliseconds by default
+   * @param {string} name - Metric name
+   * @returns {Array<number>} - Bucket upper bounds in ascending order
+   */
+  static bucketsFor(name) {
+    if (name.endsWith('_seconds')) {
+      return BUCKETS.seconds;
+    }
+    if (name.endsWith('_ratio')) {
+      return BUCKETS.ratio;
+    }
+
+    return BUCKETS.ms;
+  }
+
+  /**
+   * Turn tags into labels: valid label names, string values, without undefined or null values
+   * @param {Object} labels - Label names and values
+   * @returns {Object} - Labels sorted by name
+   */
+  static normalizeLabels(labels) {
+    const normalized = {};
+
+    for (const key of Object.keys(labels || {}).sort()) {
+      const value = labels[key];
+      if (value === undefined || value === null) {
+        continue;
+      }
+      normalized[MetricsRegistry.sanitizeName(key).replace(/:/g, '_')] = String(value);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Make a string a valid Prometheus metric name
+   * @param {string} name - Metric or label name
+   * @returns {string} - Name with invalid characters replaced by underscores
+   */
+  static sanitizeName(name) {
+    const sanitized = String(name).replace(/[^a-zA-Z0-9_:]/g, '_');
+    return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+  }
+
+  /**
+   * Render a label set as {name="value",...}
+   * @param {Object} labels - Normalized labels
+   * @returns {string} - Label text, empty when there are no labels
+   */
+  static formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) =>
+      `${key}="${value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+    );
+
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  /**
+   * Render a sample value, including infinities and NaN
+   * @param {number} value - Sample value
+   * @returns {string} - Value text
+   */
+  static formatValue(value) {
+    if (Number.isNaN(value)) {
+      return 'NaN';
+    }
+    if (!Number.isFinite(value)) {
+      return value > 0 ? '+Inf' : '-Inf';
+    }
+
+    return String(value);
+  }
+}
+
+module.exports = MetricsRegistry;
@@ -1,3 +1,4 @@
+const MetricsRegistry = require('./metricsRegistry');
 const { createLogger, format, transports } = require('winston');
 
 // Create logger for this module
@@ -22,34 +23,94 @@ const logger = createLogger({
 class MonitoringService {
   constructor() {
     this.metrics = new Map();
-    this.timers = new Map();
+    this.timers = new Map(); // Start of the latest timer of each operation, for callers ending timers by name
+    this.healthChecks = new Map();
+    this.registry = new MetricsRegistry(); // Typed series for the Prometheus exposition
+    this.unregisteredMetrics = new Set(); // Names already warned about
+
+    // Metrics recorded by this service
+    this.registerMetric('error_count', { type: 'counter', labels: ['module', 'operation', 'errorType'] });
+    this.registerMetric('api_response_time_ms', { type: 'histogram', labels: ['endpoint', 'statusCode'] });
+    for (const name of [
+      'memory_rss_bytes',
+      'memory_heap_total_bytes',
+      'memory_heap_used_bytes',
+      'memory_external_bytes',
+      'memory_array_buffers_bytes',
+      'system_free_memory_bytes',
+      'system_total_memory_bytes',
+      'system_memory_usage_percent',
+      'cpu_usage_percent'
+    ]) {
+      this.registerMetric(name, { type: 'gauge' });
+    }
+  }
+
+  /**
+   * Register a component whose state should be included in the health status
+   * @param {string} name - Name of the component
+   * @param {Function} statusFn - Function returning the current state of the component
+   */
+  registerHealthCheck(name, statusFn) {
+    this.healthChecks.set(name, statusFn);
+  }
+
+  /**
+   * Declare a metric for the Prometheus exposition
+   * Metrics that are not registered are only kept in the JSON summaries.
+   * @param {string} name - Name of the metric
+   * @param {Object} definition - Metric definition
+   * @param {string} definition.type - 'counter' (increased by each value), 'gauge' (set to each value) or 'histogram'
+   * @param {Array<string>} definition.labels - Tags exported as labels; leave out tags with unbounded values such as IDs or paths
+   */
+  registerMetric(name, definition) {
+    this.registry.register(name, definition);
+  }
+
+  /**
+   * Declare the duration histogram recorded by endTimer() for an operation
+   * @param {string} operationId - Name of the timed operation
+   * @param {Array<string>} labels - Tags exported as labels
+   */
+  registerTimer(operationId, labels = []) {
+    this.registerMetric(`${operationId}_duration_ms`, { type: 'histogram', labels });
   }
 
   /**
-   * Start timing a specific operation
-   * @param {string} operationId - Unique identifier for the operation
+   * Start timing an operation
+   * The returned timer belongs to this call, so concurrent runs of the same operation do not
+   * interfere. Ending the timer by operation name instead ends the latest one started.
+   * @param {string} operationId - Name of the operation, the metric is named <operationId>_duration_ms
+   * @returns {Object} - Timer to pass to endTimer()
    */
   startTimer(operationId) {
-    this.timers.set(operationId, process.hrtime.bigint());
+    const startTime = process.hrtime.bigint();
+    this.timers.set(operationId, startTime);
     logger.debug('Timer started', { operationId });
+    return { operationId, startTime };
   }
 
   /**
-   * End timing and record the duration for a specific operation
-   * @param {string} operationId - Unique identifier for the operation
+   * End timing and record the duration of an operation
+   * @param {Object|string} timer - Timer returned by startTimer(), or the operation name
    * @param {Object} tags - Additional tags for the metric
    * @returns {number} - Duration in milliseconds
    */
-  endTimer(operationId, tags = {}) {
-    const startTime = this.timers.get(operationId);
-    if (!startTime) {
+  endTimer(timer, tags = {}) {
+    const operationId = typeof timer === 'string' ? timer : timer?.operationId;
+    const startTime = typeof timer === 'string' ? this.timers.get(timer) : timer?.startTime;
+    if (typeof startTime !== 'bigint') {
       logger.warn('Timer not found', { operationId });
       return 0;
     }
 
+    // Forget the start kept by name once that timer has ended
+    if (this.timers.get(operationId) === startTime) {
+      this.timers.delete(operationId);
+    }
+
     const endTime = process.hrtime.bigint();
     const duration = Number(endTime - startTime) / 1000000; // Convert nanoseconds to milliseconds
-    this.timers.delete(operationId);
 
     // Record the timing metric
     this.recordMetric(`${operationId}_duration_ms`, duration, tags);
@@ -91,6 +152,22 @@ class MonitoringService {
     if (this.metrics.get(name).length > 1000) {
       this.metrics.get(name).shift(); // Remove oldest entry
     }
+
+    // Registered counters, gauges and histograms never drop samples, unlike the list above
+    if (typeof value === 'number' && !Number.isNaN(value) && !this.registry.record(name, value, tags)) {
+      if (!this.unregisteredMetrics.has(name)) {
+        this.unregisteredMetrics.add(name);
+        logger.warn('Metric not registered, leaving it out of the Prometheus metrics', { name });
+      }
+    }
+  }
+
+  /**
+   * Get all metrics in the Prometheus text exposition format
+   * @returns {string} - Exposition text
+   */
+  getPrometheusMetrics() {
+    return this.registry.expose();
   }
 
   /**
@@ -148,6 +225,7 @@ class MonitoringService {
 
   /**
    * Record processing duration 
+   * Register <operation>_processing_time_ms as a histogram to export it to Prometheus.
    * @param {string} operation - Processing operation name
    * @param {number} duration - Duration in milliseconds
    * @param {Object} tags - Additional tags
@@ -210,6 +288,17 @@ class MonitoringService {
     const memoryUsage = process.memoryUsage();
     const os = require('os');
     
+    // Collect the state of registered components such as job queues
+    const components = {};
+    for (const [name, statusFn] of this.healthChecks) {
+      try {
+        components[name] = statusFn();
+      } catch (error) {
+        logger.error('Health check failed', { component: name, error: error.message });
+        components[name] = { error: error.message };
+      }
+    }
+    
     return {
       status: 'healthy',
       timestamp: new Date().toISOString(),
@@ -226,7 +315,8 @@ class MonitoringService {
         freeMemory: os.freemem(),
         memoryUsagePercent: (os.totalmem() - os.freemem()) / os.totalmem() * 100,
         loadAverage: os.loadavg()
-      }
+      },
+      components
     };
   }
 }
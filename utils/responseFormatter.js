@@ -1,3 +1,4 @@
+const config = require('../lib/config');
 const { createLogger, format, transports } = require('winston');
 
 // Create logger for this module
@@ -20,25 +21,40 @@ const logger = createLogger({
 });
 
 class ResponseFormatter {
+  /**
+   * Get the display name of a language code (e.g. 'es' -> 'Spanish')
+   * @param {string} languageCode - Language code or locale
+   * @returns {string} - Capitalized language name, or the code itself for unknown languages
+   */
+  static languageName(languageCode) {
+    const baseCode = languageCode.split('-')[0].toLowerCase();
+    const entry = Object.entries(config.availableLanguages).find(([, code]) => code === baseCode);
+    
+    return entry ? entry[0].charAt(0).toUpperCase() + entry[0].slice(1) : languageCode;
+  }
+
   /**
    * Format a translated response for WhatsApp
-   * @param {Object} translations - Object containing translations in different languages
+   * @param {Object} translations - Object containing translations in different languages, null for failed ones
    * @param {string} originalText - The original transcribed text
+   * @param {string} sourceLanguage - Language code of the original text (optional)
    * @returns {string} - Formatted message string for WhatsApp
    */
-  static formatTranslatedResponse(translations, originalText = null) {
+  static formatTranslatedResponse(translations, originalText = null, sourceLanguage = null) {
     try {
       // Create a formatted message with all translations
       let messageBody = '*Translated Message:*\n\n';
       
       if (originalText) {
-        messageBody += `*Original:* ${originalText}\n\n`;
+        const label = sourceLanguage ? `Original (${ResponseFormatter.languageName(sourceLanguage)})` : 'Original';
+        messageBody += `*${label}:* ${originalText}\n\n`;
       }
       
       // Add each translation to the message
       Object.keys(translations).forEach(lang => {
         const langName = lang.charAt(0).toUpperCase() + lang.slice(1); // Capitalize first letter
-        messageBody += `*${langName}:* ${translations[lang]}\n\n`;
+        const translation = translations[lang] === null ? '_Not available right now, please try again later._' : translations[lang];
+        messageBody += `*${langName}:* ${translation}\n\n`;
       });
       
       // Add a footer
@@ -46,6 +62,7 @@ class ResponseFormatter {
       
       logger.info('Response formatted successfully', {
         originalText: originalText ? originalText.substring(0, 50) + (originalText.length > 50 ? '...' : '') : null,
+        sourceLanguage,
         languages: Object.keys(translations)
       });
 
@@ -60,6 +77,36 @@ class ResponseFormatter {
     }
   }
 
+  /**
+   * Format the reply to a chat command for WhatsApp
+   * @param {string} title - Heading of the reply
+   * @param {Array<string>} lines - Body lines of the reply
+   * @returns {string} - Formatted message string for WhatsApp
+   */
+  static formatCommandResponse(title, lines = []) {
+    try {
+      let messageBody = `*${title}*`;
+      
+      if (lines.length > 0) {
+        messageBody += `\n\n${lines.join('\n')}`;
+      }
+      
+      logger.info('Command response formatted successfully', {
+        title,
+        lineCount: lines.length
+      });
+
+      return messageBody;
+    } catch (error) {
+      logger.error('Error formatting command response', {
+        error: error.message,
+        stack: error.stack
+      });
+      
+      throw error;
+    }
+  }
+
   /**
    * Format a simple text response for WhatsApp
    * @param {string} text - The text to format
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const config = require('../lib/config');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'transcript-store' },
+  transports: [
+    new transports.File({
+      filename: 'logs/transcript-store.log'
+    })
+  ]
+});
+
+/**
+ * Keeps recent transcripts in memory for a limited time, so users can ask for
+ * more translations of a voice note after the first reply
+ */
+class TranscriptStore {
+  /**
+   * @param {Object} options - Store options, defaults to config.languagePicker
+   * @param {number} options.transcriptTtlMs - How long a transcript is kept in milliseconds
+   * @param {number} options.maxTranscripts - Maximum number of transcripts kept
+   */
+  constructor({ transcriptTtlMs, maxTranscripts } = config.languagePicker) {
+    this.ttlMs = transcriptTtlMs;
+    this.maxEntries = maxTranscripts;
+    this.entries = new Map(); // id -> { userId, text, sourceLanguage, expiresAt }, oldest first
+  }
+
+  /**
+   * Store a transcript
+   * @param {string} userId - WhatsApp ID of the user the transcript belongs to
+   * @param {string} text - Transcribed text
+   * @param {string} sourceLanguage - Language code of the text (optional)
+   * @returns {Promise<string>} - Transcript ID, short enough for interactive reply IDs
+   */
+  async save(userId, text, sourceLanguage = null) {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('User ID is required and must be a string');
+    }
+
+    if (!text || typeof text !== 'string') {
+      throw new Error('Transcript text is required and must be a string');
+    }
+
+    const now = Date.now();
+    this.prune(now);
+
+    const id = crypto.randomBytes(8).toString('hex');
+    this.entries.set(id, { userId, text, sourceLanguage, expiresAt: now + this.ttlMs });
+
+    // Drop the oldest transcripts beyond the limit
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    logger.info('Transcript stored', { id, userId, length: text.length });
+    return id;
+  }
+
+  /**
+   * Look up a transcript
+   * @param {string} id - Transcript ID
+   * @param {string} userId - WhatsApp ID of the user asking; other users' transcripts are not returned
+   * @returns {Promise<Object|null>} - { text, sourceLanguage }, or null if unknown or expired
+   */
+  async get(id, userId) {
+    const entry = this.entries.get(id);
+
+    if (!entry || entry.expiresAt <= Date.now() || entry.userId !== userId) {
+      return null;
+    }
+
+    return { text: entry.text, sourceLanguage: entry.sourceLanguage };
+  }
+
+  /**
+   * Drop transcripts whose TTL has passed
+   * Every transcript gets the same TTL, so we can stop at the first one that is still valid
+   * @param {number} now - Current timestamp in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt > now) {
+        break;
+      }
+      this.entries.delete(id);
+    }
+  }
+
+  /**
+   * Number of transcripts currently kept
+   * @returns {number} - Transcript count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = TranscriptStore;
@@ -0,0 +1,289 @@
+const config = require('../lib/config');
+const JsonFile = require('./jsonFile');
+const monitoringService = require('./monitoring');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'translation-cache' },
+  transports: [
+    new transports.File({
+      filename: 'logs/translation.log'
+    })
+  ]
+});
+
+// Metrics recorded by this module
+monitoringService.registerMetric('translation_cache_hit', { type: 'counter', labels: ['tier', 'targetLanguage'] });
+monitoringService.registerMetric('translation_cache_miss', { type: 'counter', labels: ['targetLanguage'] });
+monitoringService.registerMetric('translation_cache_flush', { type: 'counter' });
+
+/**
+ * Cache of translations keyed by provider, normalised text, source and target language
+ *
+ * Entries live in a bounded in-memory LRU tier and, when a file path is configured, in a
+ * larger file tier that survives restarts. File tier hits are promoted back into memory.
+ * Every entry expires after the same TTL.
+ */
+class TranslationCache {
+  /**
+   * @param {Object} options - Cache options, defaults to config.translation.cache
+   * @param {number} options.maxEntries - Maximum number of entries kept in memory
+   * @param {number} options.ttlMs - How long a translation is reused in milliseconds
+   * @param {string} options.filePath - JSON file for the persistent tier (optional)
+   * @param {number} options.maxFileEntries - Maximum number of entries kept in the file
+   * @param {number} options.persistDelayMs - How long file writes are batched for
+   */
+  constructor({ maxEntries, ttlMs, filePath = null, maxFileEntries, persistDelayMs = 1000 } = config.translation.cache) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.filePath = filePath;
+    this.maxFileEntries = maxFileEntries || maxEntries;
+    this.persistDelayMs = persistDelayMs;
+
+    this.memory = new Map(); // key -> { translation, expiresAt }, least recently used first
+    this.fileEntries = filePath ? new Map() : null; // key -> { translation, expiresAt }, oldest first
+    this.writeChain = Promise.resolve();
+    this.persistTimer = null;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+
+    if (this.fileEntries) {
+      this.load();
+    }
+  }
+
+  /**
+   * Normalise text so trivially different inputs share a cache entry
+   * @param {string} text - Text to normalise
+   * @returns {string} - Text in NFC form with trimmed and collapsed whitespace
+   */
+  static normalize(text) {
+    return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Build the cache key of a translation
+   * @param {string} provider - Name of the provider that translated the text
+   * @param {string} text - Source text
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code, null when auto-detected
+   * @returns {string} - Cache key
+   */
+  static key(provider, text, targetLanguage, sourceLanguage = null) {
+    return JSON.stringify([provider, sourceLanguage || 'auto', targetLanguage, TranslationCache.normalize(text)]);
+  }
+
+  /**
+   * Look up a translation
+   * @param {string} provider - Name of the provider the translation should come from
+   * @param {string} text - Source text
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code, null when auto-detected
+   * @returns {Promise<string|null>} - Cached translation, or null on a miss
+   */
+  async get(provider, text, targetLanguage, sourceLanguage = null) {
+    const key = TranslationCache.key(provider, text, targetLanguage, sourceLanguage);
+    const now = Date.now();
+
+    const entry = this.memory.get(key);
+    if (entry && entry.expiresAt > now) {
+      // Move to the most recently used end
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+      return this.recordHit('memory', targetLanguage, entry.translation);
+    }
+    if (entry) {
+      this.memory.delete(key);
+    }
+
+    const fileEntry = this.fileEntries ? this.fileEntries.get(key) : undefined;
+    if (fileEntry && fileEntry.expiresAt > now) {
+      this.setMemory(key, fileEntry);
+      return this.recordHit('file', targetLanguage, fileEntry.translation);
+    }
+
+    this.stats.misses++;
+    monitoringService.recordMetric('translation_cache_miss', 1, { targetLanguage });
+    return null;
+  }
+
+  /**
+   * Store a translation
+   * @param {string} provider - Name of the provider that translated the text
+   * @param {string} text - Source text
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code, null when auto-detected
+   * @param {string} translation - Translated text
+   * @returns {Promise<void>}
+   */
+  async set(provider, text, targetLanguage, sourceLanguage, translation) {
+    const key = TranslationCache.key(provider, text, targetLanguage, sourceLanguage);
+    const entry = { translation, expiresAt: Date.now() + this.ttlMs };
+
+    this.setMemory(key, entry);
+
+    if (this.fileEntries) {
+      this.fileEntries.delete(key);
+      this.fileEntries.set(key, entry);
+      while (this.fileEntries.size > this.maxFileEntries) {
+        this.fileEntries.delete(this.fileEntries.keys().next().value);
+      }
+      this.schedulePersist();
+    }
+  }
+
+  /**
+   * Drop every cached translation from both tiers
+   * @returns {Promise<Object>} - Number of entries removed per tier
+   */
+  async flush() {
+    const flushed = {
+      memoryEntries: this.memory.size,
+      fileEntries: this.fileEntries ? this.fileEntries.size : 0
+    };
+
+    this.memory.clear();
+    if (this.fileEntries) {
+      this.fileEntries.clear();
+      await this.persist();
+    }
+
+    logger.info('Translation cache flushed', flushed);
+    monitoringService.recordMetric('translation_cache_flush', 1);
+
+    return flushed;
+  }
+
+  /**
+   * Cache statistics, for the health endpoint
+   * @returns {Object} - Entry counts, hits, misses, hit rate and evictions
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      memoryEntries: this.memory.size,
+      maxEntries: this.maxEntries,
+      fileEntries: this.fileEntries ? this.fileEntries.size : null,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Count a hit and pass the translation through
+   * @param {string} tier - Tier that answered, 'memory' or 'file'
+   * @param {string} targetLanguage - Target language code
+   * @param {string} translation - Cached translation
+   * @returns {string} - The translation
+   */
+  recordHit(tier, targetLanguage, translation) {
+    this.stats.hits++;
+    monitoringService.recordMetric('translation_cache_hit', 1, { tier, targetLanguage });
+    return translation;
+  }
+
+  /**
+   * Add an entry to the memory tier, evicting the least recently used entries beyond the limit
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry with translation and expiresAt
+   */
+  setMemory(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+
+    while (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Load the file tier, ignoring expired entries
+   */
+  load() {
+    try {
+      const data = JsonFile.readSync(this.filePath, { entries: [] });
+      const now = Date.now();
+
+      for (const [key, translation, expiresAt] of data.entries || []) {
+        if (typeof translation === 'string' && expiresAt > now) {
+          this.fileEntries.set(key, { translation, expiresAt });
+        }
+      }
+
+      logger.info('Translation cache loaded from file', {
+        filePath: this.filePath,
+        count: this.fileEntries.size
+      });
+    } catch (error) {
+      // A corrupt file only costs us the cached translations
+      logger.error('Error loading translation cache from file', {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Persist the file tier after a short delay, so a burst of translations causes one write
+   */
+  schedulePersist() {
+    if (this.persistTimer) {
+      return;
+    }
+
+    this.persistTimer = setTimeout(() => {
+      this.persist();
+    }, this.persistDelayMs);
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Write the file tier to disk
+   * Writes are chained so they never interleave
+   * @returns {Promise<void>}
+   */
+  persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    const now = Date.now();
+    const snapshot = {
+      entries: [...this.fileEntries]
+        .filter(([, entry]) => entry.expiresAt > now)
+        .map(([key, entry]) => [key, entry.translation, entry.expiresAt])
+    };
+
+    this.writeChain = this.writeChain.then(async () => {
+      try {
+        await JsonFile.writeAtomic(this.filePath, snapshot);
+      } catch (error) {
+        logger.error('Error persisting translation cache to file', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    });
+
+    return this.writeChain;
+  }
+}
+
+// Shared cache used by the translation pipeline and the admin API
+const translationCache = new TranslationCache();
+monitoringService.registerHealthCheck('translationCache', () => translationCache.getStats());
+
+module.exports = {
+  TranslationCache,
+  translationCache
+};
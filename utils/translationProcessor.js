@@ -1,4 +1,7 @@
-const GoogleTranslation = require('../lib/services/google/Translation');
+const { createTranslationProvider } = require('../lib/services/providers');
+const CachingTranslation = require('../lib/services/providers/CachingTranslation');
+const { translationCache } = require('./translationCache');
+const { userPreferencesService } = require('../lib/services/userPreferences');
 const config = require('../lib/config');
 const ErrorHandler = require('../utils/errorHandler');
 const monitoringService = require('../utils/monitoring');
@@ -31,19 +34,54 @@ const logger = createLogger({
   ]
 });
 
+// Metrics recorded by this module
+monitoringService.registerTimer('translation_processing_multiple', ['sourceLanguage', 'success', 'targetCount']);
+monitoringService.registerTimer('translation_pipeline_process', ['sourceLanguage', 'success']);
+monitoringService.registerMetric('translation_success', { type: 'counter', labels: ['sourceLanguage', 'targetCount'] });
+monitoringService.registerMetric('source_language_resolution', { type: 'counter', labels: ['method'] });
+monitoringService.registerMetric('translation_source_target_skipped', { type: 'counter', labels: ['sourceLanguage'] });
+
 class TranslationProcessor {
   constructor() {
-    this.translationService = new GoogleTranslation();
+    const translationProvider = createTranslationProvider();
+    this.translationService = config.translation.cache.enabled
+      ? new CachingTranslation(translationProvider, translationCache)
+      : translationProvider;
+    this.userPreferences = userPreferencesService;
+  }
+
+  /**
+   * Resolve the target languages for a user, falling back to the configured languages
+   * @param {string} userId - WhatsApp ID of the user (optional)
+   * @returns {Promise<Object>} - Object with language names as keys and language codes as values
+   */
+  async resolveTargetLanguages(userId = null) {
+    if (!userId) {
+      return config.supportedLanguages;
+    }
+    
+    try {
+      return await this.userPreferences.getTargetLanguages(userId);
+    } catch (error) {
+      // A broken preferences store should not stop translations, so use the global set instead
+      logger.error('Error reading user target languages, using configured languages', {
+        userId,
+        error: error.message
+      });
+      monitoringService.recordError('translation_processor', 'resolveTargetLanguages', error.constructor.name);
+      return config.supportedLanguages;
+    }
   }
 
   /**
-   * Translate text to the configured target languages
+   * Translate text to the given target languages
    * @param {string} text - Text to translate
    * @param {string} sourceLanguage - Source language code (optional, auto-detect if not provided)
-   * @returns {Promise<Object>} - Object with language names as keys and translations as values
+   * @param {Object} targetLanguages - Object with language names as keys and codes as values (defaults to the configured languages)
+   * @returns {Promise<Object>} - Object with language names as keys and translations as values, null for languages that failed
    */
-  async translateToTargetLanguages(text, sourceLanguage = null) {
-    monitoringService.startTimer('translation_processing_multiple', { sourceLanguage });
+  async translateToTargetLanguages(text, sourceLanguage = null, targetLanguages = config.supportedLanguages) {
+    const timer = monitoringService.startTimer('translation_processing_multiple');
     
     try {
       // Validate inputs
@@ -51,9 +89,6 @@ class TranslationProcessor {
         throw new Error('Text to translate is required and must be a non-empty string');
       }
       
-      // Get target languages from config
-      const targetLanguages = config.supportedLanguages;
-      
       // Extract language codes for the API
       const targetLanguageCodes = Object.values(targetLanguages);
       
@@ -67,9 +102,9 @@ class TranslationProcessor {
       // Map the language codes back to readable names
       const namedTranslations = {};
       for (const [langName, langCode] of Object.entries(targetLanguages)) {
-        // Google Translate API returns translations using the language code as key
-        // So we need to map from language code back to language name
-        namedTranslations[langName] = translations[langCode] || translations[langName];
+        // Translation providers return translations using the language code as key
+        // So we need to map from language code back to language name; failed languages stay null
+        namedTranslations[langName] = translations[langCode] ?? translations[langName] ?? null;
       }
       
       logger.info('Text translated to target languages successfully', {
@@ -93,7 +128,7 @@ class TranslationProcessor {
         sourceLanguage,
         targetCount: Object.keys(namedTranslations).length 
       });
-      monitoringService.endTimer('translation_processing_multiple', { 
+      monitoringService.endTimer(timer, { 
         sourceLanguage, 
         success: true,
         targetCount: Object.keys(namedTranslations).length 
@@ -109,19 +144,19 @@ class TranslationProcessor {
       
       // Record error in monitoring
       monitoringService.recordError('translation_processor', 'translateToTargetLanguages', error.constructor.name);
-      monitoringService.endTimer('translation_processing_multiple', { 
+      monitoringService.endTimer(timer, { 
         sourceLanguage, 
         success: false 
       });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'TranslationProcessor',
         function: 'translateToTargetLanguages',
         sourceText: text.substring(0, 50) + (text.length > 50 ? '...' : '')
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
     }
   }
   
@@ -140,14 +175,72 @@ class TranslationProcessor {
     return parts[0];
   }
 
+  /**
+   * Work out the language of the text being translated
+   * The speech-to-text language is used when recognition was confident about it, otherwise
+   * the translation provider detects the language from the text itself.
+   * @param {string} text - Text to translate
+   * @param {string} sourceLanguage - Language reported by speech-to-text (optional)
+   * @param {number} sourceConfidence - Speech-to-text confidence from 0 to 1 (optional, trusted when missing)
+   * @returns {Promise<Object>} - { language, confident } with the base language code or null
+   */
+  async resolveSourceLanguage(text, sourceLanguage = null, sourceConfidence = null) {
+    const { minSpeechConfidence, minTextConfidence } = config.translation.sourceDetection;
+    const speechLanguage = sourceLanguage ? this.extractBaseLanguageCode(sourceLanguage) : null;
+
+    if (speechLanguage && (typeof sourceConfidence !== 'number' || sourceConfidence >= minSpeechConfidence)) {
+      monitoringService.recordMetric('source_language_resolution', 1, { method: 'speech' });
+      return { language: speechLanguage, confident: true };
+    }
+
+    try {
+      const detection = await this.translationService.detectLanguage(text);
+
+      if (detection && detection.confidence >= minTextConfidence) {
+        logger.info('Source language detected from text', {
+          language: detection.language,
+          confidence: detection.confidence,
+          speechLanguage
+        });
+        monitoringService.recordMetric('source_language_resolution', 1, { method: 'text' });
+        return { language: this.extractBaseLanguageCode(detection.language), confident: true };
+      }
+    } catch (error) {
+      // Detection only refines the target languages, so carry on without it
+      logger.error('Error detecting source language, translating from the reported language', {
+        speechLanguage,
+        error: error.message
+      });
+      monitoringService.recordError('translation_processor', 'resolveSourceLanguage', error.constructor.name);
+    }
+
+    monitoringService.recordMetric('source_language_resolution', 1, { method: 'unknown' });
+    return { language: speechLanguage, confident: false };
+  }
+
+  /**
+   * Leave the source language out of the target languages
+   * @param {Object} targetLanguages - Object with language names as keys and codes as values
+   * @param {string} sourceLanguage - Base language code of the source text
+   * @returns {Object} - Target languages without the source language
+   */
+  excludeSourceLanguage(targetLanguages, sourceLanguage) {
+    return Object.fromEntries(
+      Object.entries(targetLanguages).filter(([, code]) => this.extractBaseLanguageCode(code) !== sourceLanguage)
+    );
+  }
+
   /**
    * Process text through translation pipeline
    * @param {string} transcribedText - Text from speech-to-text conversion
    * @param {string} sourceLanguage - Source language code (optional)
-   * @returns {Promise<Object>} - Object with original text and translations
+   * @param {Object} options - Processing options
+   * @param {string} options.userId - WhatsApp ID of the user whose target languages should be used (optional)
+   * @param {number} options.sourceConfidence - Speech-to-text confidence in the source language (optional)
+   * @returns {Promise<Object>} - Object with original text, its language (null unless confidently known) and translations
    */
-  async processTranslation(transcribedText, sourceLanguage = null) {
-    monitoringService.startTimer('translation_pipeline_process', { sourceLanguage });
+  async processTranslation(transcribedText, sourceLanguage = null, options = {}) {
+    const timer = monitoringService.startTimer('translation_pipeline_process');
     
     try {
       // Validate inputs
@@ -159,15 +252,29 @@ class TranslationProcessor {
         transcribedText: transcribedText.substring(0, 100) + (transcribedText.length > 100 ? '...' : '')
       });
       
-      // Extract base language code if a locale is provided (e.g., 'en-US' -> 'en')
-      const baseSourceLanguage = sourceLanguage ? this.extractBaseLanguageCode(sourceLanguage) : null;
+      // Base language code of the original (e.g., 'en-US' -> 'en'), checked against the text when STT was unsure
+      const source = await this.resolveSourceLanguage(transcribedText, sourceLanguage, options.sourceConfidence);
+      
+      // Use the user's chosen target languages when present, without translating into the original's language
+      const userTargetLanguages = await this.resolveTargetLanguages(options.userId);
+      const targetLanguages = source.confident
+        ? this.excludeSourceLanguage(userTargetLanguages, source.language)
+        : userTargetLanguages;
+      
+      if (Object.keys(targetLanguages).length < Object.keys(userTargetLanguages).length) {
+        monitoringService.recordMetric('translation_source_target_skipped', 1, { sourceLanguage: source.language });
+      }
       
-      // Perform translations to target languages
-      const translations = await this.translateToTargetLanguages(transcribedText, baseSourceLanguage);
+      // Perform translations to target languages; there may be none left if the user only reads the original's language
+      const translations = Object.keys(targetLanguages).length > 0
+        ? await this.translateToTargetLanguages(transcribedText, source.language, targetLanguages)
+        : {};
       
-      // Return object with original text and all translations
+      // Return object with original text, its language and all translations
+      // An unsure language is left out, so the reply does not label the original with a guess
       const result = {
         originalText: transcribedText,
+        sourceLanguage: source.confident ? source.language : null,
         translations: translations,
         processedAt: new Date().toISOString()
       };
@@ -189,7 +296,7 @@ class TranslationProcessor {
       }
 
       // Record successful translation process
-      monitoringService.endTimer('translation_pipeline_process', { 
+      monitoringService.endTimer(timer, { 
         sourceLanguage, 
         success: true 
       });
@@ -204,19 +311,19 @@ class TranslationProcessor {
       
       // Record error in monitoring
       monitoringService.recordError('translation_processor', 'processTranslation', error.constructor.name);
-      monitoringService.endTimer('translation_pipeline_process', { 
+      monitoringService.endTimer(timer, { 
         sourceLanguage, 
         success: false 
       });
       
       // Use the centralized error handler
-      const handledError = ErrorHandler.handleError(error, {
+      ErrorHandler.handleError(error, {
         module: 'TranslationProcessor',
         function: 'processTranslation',
         transcribedText: transcribedText.substring(0, 50) + (transcribedText.length > 50 ? '...' : '')
       });
       
-      throw new Error(handledError.error);
+      throw ErrorHandler.wrap(error);
     }
   }
 }
@@ -0,0 +1,190 @@
+const config = require('../lib/config');
+
+// Level of digital silence, used instead of -Infinity for all-zero frames
+const SILENCE_DB = -100;
+
+/**
+ * Energy-based voice activity detection on mono 16-bit PCM
+ *
+ * Audio is split into short frames and a frame counts as speech when its level is above both
+ * an absolute threshold and the estimated noise floor plus a margin. Speech frames are
+ * extended by a short hangover so quiet word endings are not counted as silence.
+ */
+class VoiceActivityDetector {
+  /**
+   * @param {Object} options - Detector options, defaults to config.audio.vad
+   * @param {number} options.frameMs - Frame length in milliseconds
+   * @param {number} options.thresholdDb - Minimum frame level for speech, in dBFS
+   * @param {number} options.noiseMarginDb - How far above the noise floor speech must be, in dB
+   * @param {number} options.hangoverMs - How long a speech frame keeps following frames marked as speech
+   * @param {number} options.minSpeechRatio - Share of speech frames below which audio is mostly silent
+   * @param {number} options.paddingMs - Silence kept around speech when trimming
+   */
+  constructor({
+    frameMs = 30,
+    thresholdDb = -45,
+    noiseMarginDb = 10,
+    hangoverMs = 150,
+    minSpeechRatio = 0.1,
+    paddingMs = 250
+  } = config.audio.vad) {
+    this.frameMs = frameMs;
+    this.thresholdDb = thresholdDb;
+    this.noiseMarginDb = noiseMarginDb;
+    this.hangoverMs = hangoverMs;
+    this.minSpeechRatio = minSpeechRatio;
+    this.paddingMs = paddingMs;
+  }
+
+  /**
+   * Measure how much of the audio is speech
+   * @param {Buffer} pcm - Mono 16-bit little-endian PCM samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Object} - Object with durationSeconds, speechRatio, speechStartSeconds, speechEndSeconds and isMostlySilent
+   */
+  analyze(pcm, sampleRate) {
+    const samplesPerFrame = Math.max(1, Math.round(sampleRate * this.frameMs / 1000));
+    const sampleCount = Math.floor(pcm.length / 2);
+    const frameCount = Math.ceil(sampleCount / samplesPerFrame);
+
+    // Level of each frame in dBFS
+    const levels = [];
+    for (let frame = 0; frame < frameCount; frame++) {
+      const start = frame * samplesPerFrame;
+      const end = Math.min(start + samplesPerFrame, sampleCount);
+      let sumOfSquares = 0;
+      for (let i = start; i < end; i++) {
+        const sample = pcm.readInt16LE(i * 2) / 32768;
+        sumOfSquares += sample * sample;
+      }
+      const rms = Math.sqrt(sumOfSquares / (end - start));
+      levels.push(rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB);
+    }
+
+    // The quietest tenth of the frames approximates the background noise
+    const sortedLevels = [...levels].sort((a, b) => a - b);
+    const noiseFloorDb = sortedLevels.length > 0 ? sortedLevels[Math.floor(sortedLevels.length * 0.1)] : SILENCE_DB;
+    const speechThresholdDb = Math.max(this.thresholdDb, noiseFloorDb + this.noiseMarginDb);
+
+    const hangoverFrames = Math.round(this.hangoverMs / this.frameMs);
+    let hangover = 0;
+    let speechFrames = 0;
+    let firstSpeechFrame = -1;
+    let lastSpeechFrame = -1;
+
+    levels.forEach((level, frame) => {
+      if (level > speechThresholdDb) {
+        hangover = hangoverFrames;
+        if (firstSpeechFrame === -1) {
+          firstSpeechFrame = frame;
+        }
+        lastSpeechFrame = frame;
+      } else if (hangover > 0) {
+        hangover--;
+      } else {
+        return;
+      }
+      speechFrames++;
+    });
+
+    const frameSeconds = samplesPerFrame / sampleRate;
+    const speechRatio = frameCount > 0 ? speechFrames / frameCount : 0;
+
+    return {
+      durationSeconds: sampleCount / sampleRate,
+      speechRatio,
+      noiseFloorDb,
+      speechStartSeconds: firstSpeechFrame === -1 ? null : firstSpeechFrame * frameSeconds,
+      speechEndSeconds: lastSpeechFrame === -1 ? null : Math.min((lastSpeechFrame + 1) * frameSeconds, sampleCount / sampleRate),
+      isMostlySilent: speechRatio < this.minSpeechRatio
+    };
+  }
+
+  /**
+   * Cut leading and trailing silence, keeping some padding around the speech
+   * @param {Buffer} pcm - Mono 16-bit little-endian PCM samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} analysis - Result of analyze() for the same samples
+   * @returns {Buffer} - Trimmed PCM samples
+   */
+  trim(pcm, sampleRate, analysis) {
+    if (analysis.speechStartSeconds === null) {
+      return pcm;
+    }
+
+    const padding = this.paddingMs / 1000;
+    const startSample = Math.floor(Math.max(0, analysis.speechStartSeconds - padding) * sampleRate);
+    const endSample = Math.ceil(Math.min(analysis.durationSeconds, analysis.speechEndSeconds + padding) * sampleRate);
+
+    return pcm.subarray(startSample * 2, endSample * 2);
+  }
+
+  /**
+   * Read the samples of a mono 16-bit PCM WAV file
+   * @param {Buffer} wav - WAV file contents
+   * @returns {Object|null} - Object with pcm and sampleRate, or null if the file is not mono 16-bit PCM
+   */
+  static readWavPcm(wav) {
+    if (wav.length < 12 || wav.toString('latin1', 0, 4) !== 'RIFF' || wav.toString('latin1', 8, 12) !== 'WAVE') {
+      return null;
+    }
+
+    let sampleRate = null;
+    let offset = 12;
+
+    while (offset + 8 <= wav.length) {
+      const chunkId = wav.toString('latin1', offset, offset + 4);
+      const chunkSize = wav.readUInt32LE(offset + 4);
+
+      if (chunkId === 'fmt ' && offset + 24 <= wav.length) {
+        const isMono16BitPcm = wav.readUInt16LE(offset + 8) === 1 &&
+          wav.readUInt16LE(offset + 10) === 1 &&
+          wav.readUInt16LE(offset + 22) === 16;
+        if (!isMono16BitPcm) {
+          return null;
+        }
+        sampleRate = wav.readUInt32LE(offset + 12);
+      } else if (chunkId === 'data') {
+        if (!sampleRate) {
+          return null;
+        }
+        return { pcm: wav.subarray(offset + 8, offset + 8 + chunkSize), sampleRate };
+      }
+
+      // Chunks are padded to an even size
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return null;
+  }
+
+  /**
+   * Wrap mono 16-bit PCM samples in a WAV file
+   * @param {Buffer} pcm - Mono 16-bit little-endian PCM samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Buffer} - WAV file contents
+   */
+  static toWav(pcm, sampleRate) {
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8, 'ascii');
+
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(pcm.length, 40);
+
+    return Buffer.concat([header, pcm]);
+  }
+}
+
+module.exports = VoiceActivityDetector;
@@ -1,9 +1,12 @@
-const GoogleSpeechToText = require('../lib/services/google/SpeechToText');
+const { createSpeechToTextProvider } = require('../lib/services/providers');
 const TranslationProcessor = require('./translationProcessor');
 const MediaHandler = require('./mediaHandler');
+const VoiceActivityDetector = require('./voiceActivityDetector');
 const ErrorHandler = require('./errorHandler');
+const { AudioTooLargeError, NoSpeechDetectedError } = ErrorHandler;
 const monitoringService = require('./monitoring');
 const config = require('../lib/config');
+const fs = require('fs');
 const { createLogger, format, transports } = require('winston');
 
 // Create logger for this module
@@ -33,11 +36,85 @@ const logger = createLogger({
   ]
 });
 
+// Metrics recorded by this module
+monitoringService.registerTimer('voice_processing', ['mimeType']);
+monitoringService.registerTimer('memory_check');
+monitoringService.registerTimer('stt_processing');
+monitoringService.registerTimer('translation_processing');
+monitoringService.registerMetric('voice_processing_attempts', { type: 'counter', labels: ['mimeType'] });
+monitoringService.registerMetric('vad_skipped', { type: 'counter', labels: ['reason'] });
+monitoringService.registerMetric('vad_rejected_count', { type: 'counter', labels: ['mimeType'] });
+monitoringService.registerMetric('vad_speech_ratio', { type: 'histogram', labels: ['outcome'] });
+monitoringService.registerMetric('vad_trimmed_seconds', { type: 'histogram' });
+
 class VoiceProcessor {
   constructor() {
-    this.sttService = new GoogleSpeechToText();
+    this.sttService = createSpeechToTextProvider();
     this.translationProcessor = new TranslationProcessor();
     this.mediaHandler = new MediaHandler();
+    this.voiceActivityDetector = new VoiceActivityDetector();
+  }
+
+  /**
+   * Run voice activity detection on an audio file
+   * WAV files are read directly; anything else is decoded with ffmpeg. Detection is skipped
+   * (returning null) when it is disabled or the audio cannot be decoded.
+   * @param {string} audioFilePath - Path to the audio file
+   * @returns {Promise<Object|null>} - Object with analysis, pcm and sampleRate, or null if skipped
+   */
+  async detectSpeech(audioFilePath) {
+    if (!config.audio.vad.enabled) {
+      return null;
+    }
+
+    const transcoder = this.mediaHandler.transcoder;
+    let decoded = VoiceActivityDetector.readWavPcm(await fs.promises.readFile(audioFilePath));
+
+    if (!decoded) {
+      if (transcoder.mode === 'off') {
+        monitoringService.recordMetric('vad_skipped', 1, { reason: 'decoding_disabled' });
+        return null;
+      }
+
+      try {
+        decoded = { pcm: await transcoder.decodeToPcm(audioFilePath), sampleRate: transcoder.sampleRate };
+      } catch (error) {
+        // Detection only saves cost, so carry on to speech recognition without it
+        logger.warn('Could not decode audio for voice activity detection', { error: error.message });
+        monitoringService.recordMetric('vad_skipped', 1, { reason: error.reason || 'decode_failed' });
+        return null;
+      }
+    }
+
+    const analysis = this.voiceActivityDetector.analyze(decoded.pcm, decoded.sampleRate);
+
+    logger.info('Voice activity detected', {
+      durationSeconds: analysis.durationSeconds,
+      speechRatio: analysis.speechRatio,
+      noiseFloorDb: analysis.noiseFloorDb
+    });
+    monitoringService.recordMetric('vad_speech_ratio', analysis.speechRatio, {
+      outcome: analysis.isMostlySilent ? 'silent' : 'speech'
+    });
+
+    return { analysis, ...decoded };
+  }
+
+  /**
+   * Write a copy of the audio without leading and trailing silence
+   * @param {Object} speech - Result of detectSpeech()
+   * @returns {Promise<string|null>} - Path of the trimmed WAV file, or null if there was little to trim
+   */
+  async trimSilence(speech) {
+    const trimmedPcm = this.voiceActivityDetector.trim(speech.pcm, speech.sampleRate, speech.analysis);
+    const trimmedSeconds = (speech.pcm.length - trimmedPcm.length) / 2 / speech.sampleRate;
+
+    if (trimmedSeconds < 0.5) {
+      return null;
+    }
+
+    monitoringService.recordMetric('vad_trimmed_seconds', trimmedSeconds);
+    return this.mediaHandler.saveAudioBuffer(VoiceActivityDetector.toWav(trimmedPcm, speech.sampleRate), 'wav');
   }
 
   /**
@@ -68,13 +145,16 @@ class VoiceProcessor {
    * Process a voice note: convert to text and translate
    * @param {Buffer} audioBuffer - Audio data as buffer
    * @param {string} mimeType - MIME type of the audio
+   * @param {Object} options - Processing options
+   * @param {string} options.userId - WhatsApp ID of the sender, used to pick their target languages (optional)
    * @returns {Promise<Object>} - Object with original text and translations
    */
-  async processVoiceNote(audioBuffer, mimeType) {
+  async processVoiceNote(audioBuffer, mimeType, options = {}) {
     let processedFilePath = null;
+    let trimmedFilePath = null;
     
     // Start monitoring the process
-    monitoringService.startTimer('voice_processing');
+    const timer = monitoringService.startTimer('voice_processing');
     monitoringService.recordMetric('voice_processing_attempts', 1, { mimeType });
     
     try {
@@ -85,17 +165,17 @@ class VoiceProcessor {
 
       // Memory check before processing large files
       if (audioBuffer && audioBuffer.length > config.audio.maxFileSize / 2) { // More than half the max size
-        monitoringService.startTimer('memory_check');
+        const memoryTimer = monitoringService.startTimer('memory_check');
         if (!this.hasSufficientMemory()) {
-          monitoringService.endTimer('memory_check');
+          monitoringService.endTimer(memoryTimer);
           throw new Error('Insufficient memory available for processing this audio file');
         }
-        monitoringService.endTimer('memory_check');
+        monitoringService.endTimer(memoryTimer);
       }
 
       // Check if the audio file size exceeds the limit
       if (audioBuffer && audioBuffer.length > config.audio.maxFileSize) {
-        throw new Error(`Audio file too large: ${audioBuffer.length} bytes. Maximum allowed: ${config.audio.maxFileSize} bytes`);
+        throw new AudioTooLargeError(`Audio file too large: ${audioBuffer.length} bytes. Maximum allowed: ${config.audio.maxFileSize} bytes`);
       }
 
       logger.info('Processing audio buffer with MediaHandler', { mimeType });
@@ -103,22 +183,36 @@ class VoiceProcessor {
       processedFilePath = await this.mediaHandler.processAudioBuffer(audioBuffer, mimeType);
       logger.info('Audio buffer processed successfully', { processedFilePath });
       
-      logger.info('Starting transcription with Google STT service');
+      // Skip silent notes before paying for speech recognition
+      const speech = await this.detectSpeech(processedFilePath);
+      if (speech && speech.analysis.isMostlySilent) {
+        monitoringService.recordMetric('vad_rejected_count', 1, { mimeType });
+        throw new NoSpeechDetectedError(`No speech detected: speech ratio ${speech.analysis.speechRatio.toFixed(2)}`);
+      }
+      
+      let transcriptionFilePath = processedFilePath;
+      if (speech && config.audio.vad.trimSilence) {
+        trimmedFilePath = await this.trimSilence(speech);
+        transcriptionFilePath = trimmedFilePath || processedFilePath;
+      }
+      
+      logger.info('Starting transcription with speech-to-text provider', { provider: this.sttService.name });
       // Get the transcription from the processed audio file
-      monitoringService.startTimer('stt_processing');
-      const transcriptionResult = await this.sttService.transcribeAudioFile(processedFilePath);
-      monitoringService.endTimer('stt_processing');
+      const sttTimer = monitoringService.startTimer('stt_processing');
+      const transcriptionResult = await this.sttService.transcribeAudioFile(transcriptionFilePath);
+      monitoringService.endTimer(sttTimer);
       
       // Handle both old and new return formats
-      let transcribedText, detectedLanguage;
+      let transcribedText, detectedLanguage, confidence = null;
       if (typeof transcriptionResult === 'string') {
         // Old format - just the text
         transcribedText = transcriptionResult;
         detectedLanguage = null; // Unknown language
-      } else if (typeof transcriptionResult === 'object' && transcriptionResult.text) {
-        // New format - object with text and language
+      } else if (transcriptionResult && typeof transcriptionResult === 'object' && typeof transcriptionResult.text === 'string') {
+        // Provider format - object with text, language, confidence and segments
         transcribedText = transcriptionResult.text;
         detectedLanguage = transcriptionResult.language;
+        confidence = transcriptionResult.confidence;
       } else {
         throw new Error('Unexpected transcription result format');
       }
@@ -129,15 +223,18 @@ class VoiceProcessor {
       });
       
       if (!transcribedText || transcribedText.trim().length === 0) {
-        throw new Error('Unable to transcribe audio: No text detected');
+        throw new NoSpeechDetectedError('Unable to transcribe audio: No text detected');
       }
       
       logger.info('Starting translation processing');
       // Process the transcription through translation
-      // Pass the detected language if available
-      monitoringService.startTimer('translation_processing');
-      const result = await this.translationProcessor.processTranslation(transcribedText, detectedLanguage);
-      monitoringService.endTimer('translation_processing');
+      // Pass the detected language if available, with the confidence so an unsure guess is checked
+      const translationTimer = monitoringService.startTimer('translation_processing');
+      const result = await this.translationProcessor.processTranslation(transcribedText, detectedLanguage, {
+        userId: options.userId,
+        sourceConfidence: confidence
+      });
+      monitoringService.endTimer(translationTimer);
       logger.info('Translation processing completed', {
         originalTextLength: transcribedText.length,
         translationCount: Object.keys(result.translations).length
@@ -182,11 +279,15 @@ class VoiceProcessor {
       throw error; // Re-throw the original error to maintain error flow
     } finally {
       // Record processing duration
-      monitoringService.endTimer('voice_processing', { mimeType });
+      monitoringService.endTimer(timer, { mimeType });
       
       // Record memory usage
       monitoringService.recordMemoryUsage();
       
+      if (trimmedFilePath) {
+        await this.mediaHandler.cleanupTempFile(trimmedFilePath);
+      }
+      
       // Enhanced cleanup in finally block to ensure resources are always freed
       if (processedFilePath) {
         try {
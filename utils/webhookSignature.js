@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { createLogger, format, transports } = require('winston');
+
+// Create logger for this module
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'webhook-signature' },
+  transports: [
+    new transports.File({
+      filename: 'logs/webhook.log'
+    })
+  ]
+});
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Verification helpers for requests sent to the WhatsApp webhook
+ */
+class WebhookSignature {
+  /**
+   * Compare two strings in constant time
+   * Both values are hashed first so that inputs of different lengths
+   * can be compared without leaking their length through timing
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} - Whether the values are equal
+   */
+  static safeCompare(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') {
+      return false;
+    }
+
+    const hashA = crypto.createHash('sha256').update(a, 'utf8').digest();
+    const hashB = crypto.createHash('sha256').update(b, 'utf8').digest();
+
+    return crypto.timingSafeEqual(hashA, hashB);
+  }
+
+  /**
+   * Compute the X-Hub-Signature-256 header value for a payload
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {string} appSecret - Meta app secret
+   * @returns {string} - Signature in the form 'sha256=<hex digest>'
+   */
+  static computeSignature(rawBody, appSecret) {
+    const digest = crypto
+      .createHmac('sha256', appSecret)
+      .update(rawBody)
+      .digest('hex');
+
+    return `${SIGNATURE_PREFIX}${digest}`;
+  }
+
+  /**
+   * Verify the X-Hub-Signature-256 header of a webhook request
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header
+   * @param {string} appSecret - Meta app secret
+   * @returns {Object} - Validation result with the rejection reason when invalid
+   */
+  static verifySignature(rawBody, signatureHeader, appSecret) {
+    try {
+      if (!appSecret) {
+        throw Object.assign(new Error('App secret is not configured'), { reason: 'missing_secret' });
+      }
+
+      if (!signatureHeader || typeof signatureHeader !== 'string') {
+        throw Object.assign(new Error('Signature header is missing'), { reason: 'missing_signature' });
+      }
+
+      if (!signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+        throw Object.assign(new Error('Signature header has an unexpected format'), { reason: 'malformed_signature' });
+      }
+
+      if (rawBody === undefined || rawBody === null) {
+        throw Object.assign(new Error('Raw request body is not available'), { reason: 'missing_body' });
+      }
+
+      const expectedSignature = WebhookSignature.computeSignature(rawBody, appSecret);
+      if (!WebhookSignature.safeCompare(signatureHeader.trim(), expectedSignature)) {
+        throw Object.assign(new Error('Signature does not match payload'), { reason: 'invalid_signature' });
+      }
+
+      return {
+        isValid: true
+      };
+    } catch (error) {
+      logger.warn('Webhook signature verification failed', {
+        reason: error.reason,
+        error: error.message
+      });
+
+      return {
+        isValid: false,
+        reason: error.reason || 'invalid_signature',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = WebhookSignature;